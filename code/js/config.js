@@ -13,9 +13,10 @@ const DEFAULT_CONFIG = {
         runSpeed: 5,
         startAmmo: 200,
         ammoCap: 500,
-        ammoRegen: 10,
+        ammoRegen: 10, // Shooting rounds regenerated per minute (by the server)
         ammoPerDamage: 20,
-        billboardSlots: 1,
+        billboardSlots: 1, // Billboards a player may own at once (enforced by the server)
+        maxBillboardSlots: 5, // Limit when buying extra slots with credits
         shootRange: 50,
         gun: {
             startingAmmoShooting: 200,
@@ -35,16 +36,30 @@ const DEFAULT_CONFIG = {
         spawnCycle: 300,
         spawnCount: [5, 10]
     },
+    teams: {
+        enabled: true,
+        friendlyFire: false, // Whether shots damage teammates' billboards (enforced by the server)
+        factions: [
+            { id: 'crimson', name: 'Crimson Dust', color: '#c0392b' },
+            { id: 'azure', name: 'Azure Frost', color: '#2e86de' },
+            { id: 'verdant', name: 'Verdant Colony', color: '#27ae60' }
+        ]
+    },
     economy: {
         mcPerDamage: 5,
-        mcDailyBonus: 100
+        mcDailyBonus: 100,
+        ammoRefillCost: 50, // Credits to refill shooting ammo
+        billboardUpgradeCost: 150, // Credits to grow your smallest billboard
+        billboardUpgradeGrowth: 2, // Size units added per upgrade
+        billboardSlotCost: 300 // Credits for one extra billboard slot
     },
     persistence: {
         autoSaveDelay: 15 // Auto-save player data every 15 seconds
     },
     server: {
         url: 'ws://localhost:8090',
-        reconnectInterval: 5000
+        reconnectInterval: 5000,
+        binaryEncoding: true // Use compact binary frames for positions and billboard resizes when the server offers them
     },
     isMultiplayer: true // Whether to connect to multiplayer server
 };
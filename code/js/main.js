@@ -42,14 +42,29 @@ class Game {
         this.playerControls = null;
         this.playerMovement = null;
         this.weaponManager = null;
-        this.botManager = null; // Bot Manager for automated billboard spawning
         this.powerupManager = null; // Powerup Manager for spawning and handling powerups
         this.otherPlayersManager = null; // Other Players Manager for tracking other players
+        this.leaderboard = window.Leaderboard ? new Leaderboard(this) : null; // Territory leaderboard panel
+        this.matchHud = window.MatchHud ? new MatchHud(this) : null; // Match mode countdown and results
+        this.statusEffects = window.StatusEffects ? new StatusEffects(this) : null; // Timed powerup effects and their HUD timers
         
         // WebSocket connection for multiplayer
         this.socket = null;
         this.connectedToServer = false;
+        this.hasConnectedOnce = false; // Set after the first successful connection
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.outbox = []; // Billboard changes made while offline, one per billboard, flushed on reconnect
+        this.connectionStatus = document.getElementById('connection-status');
+        this.binaryEncoding = false; // Set once the server agrees to binary frames for high-frequency messages
+        this.entityId = null; // Our numeric id in binary frames
+        this.isAdmin = false; // Set once the server accepts adminLogin() on this connection
+        this.entityUsernames = new Map(); // Entity id -> username for binary position frames
+        this.billboardNetIds = new Map(); // Billboard net id -> billboard id for binary resize frames
         this.billboards = []; // Global billboard data store
+        this.credits = 0; // Martian Credits balance (server-authoritative)
+        this.billboardSlots = CONFIG.player.billboardSlots || 1; // Billboards this player may own (server-authoritative)
+        this.team = null; // Faction id assigned by the server, null when teams are off
         
         // Player persistence system
         this.persistence = null;
@@ -61,6 +76,12 @@ class Game {
         this.startScreen = document.getElementById('start-screen');
         this.startButton = document.getElementById('start-button');
         this.usernameInput = document.getElementById('username-input');
+        this.accountPasswordInput = document.getElementById('account-password-input');
+        this.accountRecoveryInput = document.getElementById('account-recovery-input');
+        this.accountClaimButton = document.getElementById('account-claim-button');
+        this.accountLoginButton = document.getElementById('account-login-button');
+        this.accountStatus = document.getElementById('account-status');
+        this.teamSelect = document.getElementById('team-select');
         
         // Popup elements
         this.billboardPopup = document.getElementById('billboard-popup');
@@ -295,23 +316,9 @@ class Game {
         });
         
         // If we're in development mode or we're not using server terrain, generate terrain locally
+        // (the shared generator gives the same layout the server would send)
         if (!CONFIG.world.useServerTerrain || !CONFIG.isMultiplayer) {
-            // Configure terrain - increased rock count and more detailed craters
-            this.terrain.generateAll({
-                craterCount: 70, // More craters
-                rockCount: 250, // More rocks
-                craterOptions: {
-                    minSize: 1.5,
-                    maxSize: 7,
-                    depth: 0.5, // Deeper craters
-                    distribution: 'clustered' // Clustered distribution for more realism
-                },
-                rockOptions: {
-                    minSize: 0.6,
-                    maxSize: 3.0, // Slightly larger rocks
-                    distribution: 'clustered' // Clustered distribution for more realism
-                }
-            });
+            this.terrain.generateAll();
             
             console.log('Created local terrain with fixed seed from config:', terrainSeed);
         } else {
@@ -350,15 +357,6 @@ class Game {
         // Set weapon manager reference in player controls
         this.playerControls.setWeaponManager(this.weaponManager);
         
-        // Create bot manager - don't initialize yet, will be done when game starts
-        // BotManager will be initialized with a delay after game start to allow other systems to stabilize
-        if (window.BotManager) {
-            console.log('Setting up bot manager - will be fully initialized when game starts');
-            this.botManager = new BotManager(this);
-        } else {
-            console.warn('BotManager class not found, bot billboards will not be available');
-        }
-        
         // Create powerup manager
         if (window.PowerupManager) {
             console.log('Setting up powerup manager');
@@ -467,6 +465,10 @@ class Game {
             });
         }
         
+        // Account buttons and team choice on the start screen
+        this.setupAccountControls();
+        this.setupTeamSelect();
+        
         // Billboard popup buttons
         if (this.confirmBillboardButton) {
             this.confirmBillboardButton.addEventListener('click', () => {
@@ -541,6 +543,106 @@ class Game {
         }
     }
 
+    /**
+     * Wire up the start screen's save progress and log in buttons
+     */
+    setupAccountControls() {
+        if (this.accountClaimButton) {
+            this.accountClaimButton.addEventListener('click', async () => {
+                if (!this.persistence || !this.persistence.token) {
+                    this.setAccountStatus('Saving progress needs a server connection');
+                    return;
+                }
+                
+                try {
+                    const password = this.accountPasswordInput ? this.accountPasswordInput.value : '';
+                    const recoveryCode = await this.persistence.claimAccount(password);
+                    this.setAccountStatus(`Progress saved. Your recovery code is ${recoveryCode} - write it down!`);
+                    if (this.accountPasswordInput) this.accountPasswordInput.value = '';
+                } catch (error) {
+                    this.setAccountStatus(`Could not save progress: ${error}`);
+                }
+            });
+        }
+        
+        if (this.accountLoginButton) {
+            this.accountLoginButton.addEventListener('click', async () => {
+                if (!this.persistence) {
+                    this.setAccountStatus('Logging in needs a server connection');
+                    return;
+                }
+                
+                // A recovery code wins; otherwise log in with username and password
+                const recoveryCode = this.accountRecoveryInput ? this.accountRecoveryInput.value.trim() : '';
+                const credentials = recoveryCode ? { recoveryCode } : {
+                    username: this.usernameInput ? this.usernameInput.value.trim() : '',
+                    password: this.accountPasswordInput ? this.accountPasswordInput.value : ''
+                };
+                
+                try {
+                    await this.persistence.loginAccount(credentials);
+                    if (this.usernameInput && this.username) {
+                        this.usernameInput.value = this.username;
+                    }
+                    if (this.accountPasswordInput) this.accountPasswordInput.value = '';
+                    if (this.accountRecoveryInput) this.accountRecoveryInput.value = '';
+                    this.setAccountStatus('Logged in - welcome back!');
+                } catch (error) {
+                    this.setAccountStatus(`Could not log in: ${error}`);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Fill the start screen's team picker from the configured factions
+     */
+    setupTeamSelect() {
+        if (!this.teamSelect) return;
+        
+        if (!CONFIG.teams || !CONFIG.teams.enabled) {
+            this.teamSelect.style.display = 'none';
+            return;
+        }
+        
+        CONFIG.teams.factions.forEach(faction => {
+            const option = document.createElement('option');
+            option.value = faction.id;
+            option.textContent = faction.name;
+            option.style.color = faction.color;
+            this.teamSelect.appendChild(option);
+        });
+    }
+    
+    /**
+     * Join the team picked on the start screen (or let the server assign one)
+     */
+    async joinTeam() {
+        if (!CONFIG.teams || !CONFIG.teams.enabled || !this.persistence || !this.connectedToServer) return;
+        
+        try {
+            const requested = this.teamSelect ? this.teamSelect.value : 'auto';
+            this.team = await this.persistence.setTeam(requested);
+            
+            const faction = Helpers.getFaction(this.team);
+            if (faction) {
+                Helpers.showNotification(`You fight for ${faction.name}`);
+            }
+        } catch (error) {
+            console.warn('Could not join a team:', error);
+        }
+    }
+    
+    /**
+     * Show a message under the account buttons
+     * @param {string} text - Message to show
+     */
+    setAccountStatus(text) {
+        if (this.accountStatus) {
+            this.accountStatus.textContent = text;
+        }
+    }
+
     /**
      * Hide start screen
      */
@@ -655,6 +757,9 @@ class Game {
                 }
             }
             
+            // Teams are picked on the start screen, so join once we're online
+            await this.joinTeam();
+            
             // Set flag to indicate weaponManager is ready
             if (this.weaponManager) {
                 console.log('WeaponManager is ready for use');
@@ -685,27 +790,6 @@ class Game {
                 this.validatePlayerSpawnLocation();
             }
             
-            // Initialize bot manager with a longer delay
-            // This ensures the weapon manager and billboards are fully loaded first
-            setTimeout(() => {
-                if (this.botManager) {
-                    console.log('Initializing bot billboard system...');
-                    
-                    // If the botManager has an initialize method, call it
-                    if (typeof this.botManager.initialize === 'function') {
-                        this.botManager.initialize();
-                    }
-                    // Otherwise, if it has a spawnInitialBillboards method, call that
-                    else if (typeof this.botManager.spawnInitialBillboards === 'function') {
-                        this.botManager.spawnInitialBillboards();
-                    }
-                    
-                    console.log('Bot billboard system initialized');
-                } else {
-                    console.warn('BotManager not available, bot billboards will not be spawned');
-                }
-            }, 10000); // 10 second delay to ensure weapon manager is fully initialized
-            
             // Show started message
             this.showGameStartedMessage();
         } catch (error) {
@@ -917,9 +1001,17 @@ class Game {
             this.globe.update(deltaTime);
         }
         
-        // Update environment
+        // Update environment (day/night is worked out for the player's position)
         if (this.environment) {
-            this.environment.update(deltaTime);
+            this.environment.update(deltaTime, this.playerCamera ? this.playerCamera.camera.position : null);
+            
+            // Light billboards at night, only when the light level has visibly changed
+            const nightFactor = this.environment.nightFactor;
+            if (this.weaponManager && this.weaponManager.billboardGun &&
+                Math.abs(nightFactor - (this.lastNightFactor ?? -1)) > 0.01) {
+                this.weaponManager.billboardGun.setNightLighting(nightFactor);
+                this.lastNightFactor = nightFactor;
+            }
         }
         
         // Update player controls
@@ -927,6 +1019,11 @@ class Game {
             this.playerControls.update(deltaTime);
         }
         
+        // Expire timed powerup effects before movement and weapons use them
+        if (this.statusEffects) {
+            this.statusEffects.update();
+        }
+        
         // Update player movement
         if (this.playerMovement) {
             this.playerMovement.update(deltaTime);
@@ -942,11 +1039,6 @@ class Game {
             this.weaponManager.update(deltaTime);
         }
         
-        // Update bot manager
-        if (this.botManager) {
-            this.botManager.update(deltaTime);
-        }
-        
         // Update powerup manager
         if (this.powerupManager) {
             this.powerupManager.update(deltaTime);
@@ -1157,6 +1249,12 @@ class Game {
                 return;
             }
             
+            // Connecting now supersedes any scheduled retry
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            
             let serverUrl = CONFIG.server.url || 'ws://localhost:8090';
             
             // Make sure we're using wss:// for https sites
@@ -1167,11 +1265,19 @@ class Game {
             console.log('Connecting to server:', serverUrl);
             
             try {
-                this.socket = new WebSocket(serverUrl);
+                const socket = new WebSocket(serverUrl);
+                socket.binaryType = 'arraybuffer';
+                this.socket = socket;
+                
+                // Encoding and admin access are renegotiated on every connection
+                this.binaryEncoding = false;
+                this.isAdmin = false;
                 
                 // Set a connection timeout
                 const connectionTimeout = setTimeout(() => {
                     console.error('Connection to server timed out');
+                    // Give up on this socket; closing it lets a reconnect be scheduled
+                    socket.close();
                     reject('Connection timeout');
                 }, 5000);
                 
@@ -1182,15 +1288,34 @@ class Game {
                     // Clear the timeout since we're connected
                     clearTimeout(connectionTimeout);
                     
+                    const isReconnect = this.hasConnectedOnce;
+                    const isLateFirstConnection = !isReconnect && this.reconnectAttempts > 0;
+                    this.hasConnectedOnce = true;
+                    this.reconnectAttempts = 0;
+                    this.setConnectionStatus(null);
+                    
                     // Send initial player data
                     this.sendPlayerData();
                     
+                    // Replay anything queued while offline before asking for the world state,
+                    // so the snapshots below already include our changes
+                    if (isReconnect) {
+                        this.handleReconnected();
+                    } else if (isLateFirstConnection) {
+                        this.handleLateFirstConnection();
+                    }
+                    
                     // Request terrain data
                     this.requestTerrainData();
                     
                     // Request all existing billboards
                     this.requestAllBillboards();
                     
+                    // Request the current leaderboard
+                    if (this.leaderboard) {
+                        this.leaderboard.request();
+                    }
+                    
                     // Request all existing powerups
                     if (this.powerupManager) {
                         this.powerupManager.requestAllPowerups();
@@ -1205,6 +1330,11 @@ class Game {
                 this.socket.onclose = (event) => {
                     console.log('Disconnected from server:', event.code, event.reason);
                     this.connectedToServer = false;
+                    clearTimeout(connectionTimeout);
+                    
+                    // Keep retrying, whether the first connect failed or we dropped later,
+                    // rather than leaving a frozen world
+                    this.scheduleReconnect();
                     
                     // If not resolved yet, reject the promise
                     reject('Connection closed');
@@ -1226,6 +1356,132 @@ class Game {
         });
     }
 
+    /**
+     * Schedule the next reconnect attempt with exponential backoff
+     */
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+        
+        // Back off from the configured interval, doubling up to a minute, with jitter
+        // so a server restart isn't hit by every client at once
+        const baseDelay = CONFIG.server.reconnectInterval || 5000;
+        const delay = Math.min(baseDelay * Math.pow(2, this.reconnectAttempts), 60000);
+        const jitteredDelay = Math.round(delay * (0.8 + Math.random() * 0.4));
+        this.reconnectAttempts++;
+        
+        console.log(`Reconnecting in ${jitteredDelay}ms (attempt ${this.reconnectAttempts})`);
+        this.setConnectionStatus(`Reconnecting... (attempt ${this.reconnectAttempts})`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.setConnectionStatus('Reconnecting...');
+            
+            // A failed attempt closes the socket, which schedules the next one
+            this.connectToServer().catch(error => {
+                console.warn('Reconnect attempt failed:', error);
+            });
+        }, jitteredDelay);
+    }
+    
+    /**
+     * Restore session state after the connection comes back
+     */
+    handleReconnected() {
+        console.log(`Reconnected to server, flushing ${this.outbox.length} queued messages`);
+        
+        // Rebind the socket to our player record (ammo, credits, slots)
+        if (this.persistence && this.persistence.playerId) {
+            this.persistence.loadPlayerData().catch(error => console.warn('Player data reload failed:', error));
+        }
+        
+        this.flushOutbox();
+        
+        // The powerup manager listens on the socket directly
+        if (this.powerupManager && this.powerupManager.isInitialized) {
+            this.powerupManager.setupServerPowerupSync();
+        }
+        
+        // Drop remote players; the roster sent in reply to our player_join brings
+        // back everyone still online
+        if (this.otherPlayersManager) {
+            for (const username of Array.from(this.otherPlayersManager.players.keys())) {
+                this.otherPlayersManager.removePlayer(username);
+            }
+        }
+    }
+    
+    /**
+     * Finish the online setup skipped when the first connection attempt failed at startup
+     */
+    async handleLateFirstConnection() {
+        console.log('Connected to server after startup, initializing player data');
+        
+        if (!this.persistence) {
+            try {
+                await this.initializePersistence();
+            } catch (error) {
+                console.warn('Player data initialization failed:', error);
+                return;
+            }
+        }
+        
+        // Teams are joined from startGame, which already ran while we were offline
+        if (this.gameStarted) {
+            await this.joinTeam();
+        }
+    }
+    
+    /**
+     * Show or hide the connection status in the HUD
+     * @param {string|null} text - Status text, or null to hide
+     */
+    setConnectionStatus(text) {
+        if (!this.connectionStatus) return;
+        
+        this.connectionStatus.textContent = text || '';
+        this.connectionStatus.style.display = text ? 'block' : 'none';
+    }
+    
+    /**
+     * Send a message now, or queue it until the connection is back
+     * @param {Object} message - Message to send
+     * @returns {boolean} - True if sent immediately
+     */
+    sendOrQueue(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+            return true;
+        }
+        
+        // Powerup claims are checked against our position when they arrive, so a late
+        // one would only be rejected; the powerup manager retries once we're back
+        if (message.type === 'powerup_collected') {
+            return false;
+        }
+        
+        // Only the latest message of a type for the same object matters, which also
+        // keeps the queue bounded by the number of objects touched during an outage
+        const id = message.id !== undefined ? message.id : message.powerupId;
+        this.outbox = this.outbox.filter(queued =>
+            !(queued.type === message.type && (queued.id !== undefined ? queued.id : queued.powerupId) === id));
+        
+        this.outbox.push(message);
+        
+        return false;
+    }
+    
+    /**
+     * Send all queued messages in order
+     */
+    flushOutbox() {
+        const queued = this.outbox;
+        this.outbox = [];
+        
+        for (const message of queued) {
+            this.sendOrQueue(message);
+        }
+    }
+
     /**
      * Request terrain data from the server
      */
@@ -1250,6 +1506,7 @@ class Game {
         const playerData = {
             type: 'player_join',
             username: this.getUsername(),
+            protocolVersion: Protocol.VERSION,
             timestamp: Date.now()
         };
         
@@ -1275,8 +1532,10 @@ class Game {
      */
     handleServerMessage(event) {
         try {
-            // Check if the data is a Blob (binary data)
-            if (event.data instanceof Blob) {
+            // Binary frames are the compact encoding of high-frequency messages
+            if (event.data instanceof ArrayBuffer) {
+                this.processBinaryMessage(event.data);
+            } else if (event.data instanceof Blob) {
                 // Handle binary data by reading it as text first
                 const reader = new FileReader();
                 reader.onload = () => {
@@ -1302,12 +1561,97 @@ class Game {
         }
     }
     
+    /**
+     * Ask for binary frames if both the config and the server allow them
+     * @param {Array} encodings - Encodings offered in the server's hello
+     */
+    negotiateEncoding(encodings) {
+        if (!CONFIG.server.binaryEncoding || !Array.isArray(encodings) || !encodings.includes('binary')) return;
+        
+        this.socket.send(JSON.stringify({
+            type: 'set_encoding',
+            encoding: 'binary'
+        }));
+    }
+    
+    /**
+     * Decode a binary frame and hand it to the matching JSON handler
+     * @param {ArrayBuffer} buffer - Frame received from the server
+     */
+    processBinaryMessage(buffer) {
+        const message = Protocol.decodeBinary(buffer);
+        if (!message) {
+            console.warn('Ignoring unrecognised binary frame');
+            return;
+        }
+        
+        if (message.type === 'player_position') {
+            // Players we haven't heard a join or roster entry for yet appear with their next summary
+            const username = this.entityUsernames.get(message.entityId);
+            if (!username) return;
+            
+            this.processPlayerPosition({ ...message, username });
+        } else if (message.type === 'billboard_update') {
+            const billboard = this.billboards.find(b => b.id === this.billboardNetIds.get(message.netId));
+            if (!billboard) return;
+            
+            this.processBillboardData({
+                id: billboard.id,
+                position: billboard.position,
+                width: message.width,
+                height: message.height,
+                health: message.health
+            });
+        }
+    }
+    
+    /**
+     * Remember the numeric ids used for a player or billboard in binary frames
+     * @param {Object} data - Player or billboard data carrying entityId or netId
+     */
+    rememberNetIds(data) {
+        if (data.entityId && data.username) {
+            this.entityUsernames.set(data.entityId, data.username);
+        }
+        if (data.netId && data.id) {
+            this.billboardNetIds.set(data.netId, data.id);
+        }
+    }
+    
     /**
      * Process a server message
      * @param {Object} data - The parsed message data
      */
     processServerMessage(data) {
+        // Drop anything that doesn't match the shared protocol
+        const problem = Protocol.validate(Protocol.SERVER_MESSAGES, data);
+        if (problem) {
+            console.warn(`Ignoring server message: ${problem.message}`);
+            return;
+        }
+        
         switch (data.type) {
+            case 'server_hello':
+                if (data.protocolVersion !== Protocol.VERSION) {
+                    console.error(`Protocol mismatch: server ${data.protocolVersion}, client ${Protocol.VERSION}`);
+                    this.showErrorMessage('The server runs a different game version. Please reload the page.');
+                }
+                this.negotiateEncoding(data.encodings);
+                break;
+            case 'encoding_set':
+                this.binaryEncoding = data.encoding === 'binary';
+                this.entityId = data.entityId;
+                console.log(`Using ${data.encoding} encoding for high-frequency messages`);
+                break;
+            case 'error':
+                console.warn(`Server rejected ${data.requestType || 'message'}: ${data.message}`);
+                if (data.code === 'banned' || data.code === 'rate_limited') {
+                    Helpers.showNotification(data.message);
+                }
+                break;
+            case 'report_result':
+                Helpers.showNotification(data.success ? 'Billboard reported to the moderators' : `Report not sent: ${data.error}`);
+                break;
             case 'billboard_data':
                 this.processBillboardData(data);
                 break;
@@ -1320,6 +1664,22 @@ class Game {
             case 'admin_command':
                 this.processAdminCommand(data);
                 break;
+            case 'admin_auth_result':
+                this.isAdmin = data.success;
+                Helpers.showNotification(data.success ? 'Admin access granted' : 'Admin token rejected');
+                break;
+            case 'admin_result':
+                console.log(`Admin ${data.command}:`, data);
+                Helpers.showNotification(`${data.success ? '' : 'Failed: '}${data.message}`);
+                break;
+            case 'announcement':
+                Helpers.showNotification(`Announcement: ${data.message}`, 8000);
+                break;
+            case 'config_updated':
+                // Live config change from an admin or an edited config file
+                mergeConfig(CONFIG, data.config);
+                console.log(`Game configuration updated (${data.source || 'server'})`);
+                break;
             case 'terrain_data':
                 this.processTerrainData(data);
                 break;
@@ -1336,18 +1696,75 @@ class Game {
             case 'player_join':
                 this.processPlayerJoin(data);
                 break;
-            // Handle powerup data - forwarded directly to powerupManager
-            case 'shooting_ammo':
-            case 'billboard_ammo':
-                this.processPowerupData(data);
+            case 'player_left':
+                for (const [entityId, username] of this.entityUsernames) {
+                    if (username === data.username) this.entityUsernames.delete(entityId);
+                }
+                if (this.otherPlayersManager) {
+                    console.log(`Player left: ${data.username}`);
+                    this.otherPlayersManager.removePlayer(data.username);
+                }
                 break;
-            default:
-                // Check if this might be a powerup even without a specific type prefix
-                if (data.id && data.id.startsWith('powerup_') && data.position && data.type) {
-                    this.processPowerupData(data);
-                } else {
-                   // console.log('Received unknown message type:', data.type);
+            case 'player_roster':
+                this.processPlayerRoster(data.players);
+                break;
+            case 'world_summary':
+                this.processWorldSummary(data);
+                break;
+            case 'credits_update':
+                this.processCreditsUpdate(data);
+                break;
+            case 'ammo_update':
+                this.processAmmoUpdate(data);
+                break;
+            case 'world_time':
+                if (this.environment) {
+                    this.environment.setCyclePhase(data.phase, data.cycleLength);
+                }
+                break;
+            case 'slots_update':
+                this.setBillboardSlots(data.billboardSlots);
+                break;
+            case 'billboard_rejected':
+                this.processBillboardRejected(data);
+                break;
+            case 'leaderboard_update':
+                if (this.leaderboard) {
+                    this.leaderboard.update(data);
+                }
+                break;
+            case 'match_state':
+                if (this.matchHud) {
+                    this.matchHud.updateState(data);
+                }
+                break;
+            case 'match_results':
+                if (this.matchHud) {
+                    this.matchHud.showResults(data);
                 }
+                break;
+            case 'purchase_result':
+                this.processPurchaseResult(data);
+                break;
+            case 'powerup_result':
+                if (this.powerupManager) {
+                    this.powerupManager.handlePowerupResult(data);
+                }
+                break;
+            case 'status_effects':
+                if (this.statusEffects) {
+                    this.statusEffects.sync(data);
+                }
+                break;
+            case 'legacy_migration':
+                if (this.persistence) {
+                    this.persistence.handleLegacyMigration(data);
+                }
+                break;
+            // Handle powerup data - forwarded directly to powerupManager
+            case 'powerup_spawned':
+                this.processPowerupData(data.powerup);
+                break;
         }
     }
     
@@ -1364,26 +1781,54 @@ class Game {
         
         // Update the player in the other players manager
         if (this.otherPlayersManager) {
-            // Use quaternion if available, otherwise fall back to Euler rotation
-            if (data.quaternion) {
-                this.otherPlayersManager.updatePlayer(
-                    data.username,
-                    data.position,
-                    data.rotation,
-                    data.quaternion // Pass quaternion as fourth parameter
-                );
-            } else {
-                this.otherPlayersManager.updatePlayer(
-                    data.username,
-                    data.position,
-                    data.rotation
-                );
-            }
+            // The sender's timestamp places the snapshot on their timeline for interpolation
+            this.otherPlayersManager.updatePlayer(
+                data.username,
+                data.position,
+                data.rotation,
+                data.quaternion,
+                data.timestamp
+            );
         } else {
             console.error('otherPlayersManager not available - position update cannot be processed');
         }
     }
     
+    /**
+     * Show everyone who was already online when we joined
+     * @param {Array} players - Online players from the server's roster
+     */
+    processPlayerRoster(players) {
+        if (!this.otherPlayersManager) return;
+        
+        players.forEach(player => {
+            this.rememberNetIds(player);
+            
+            // Players who haven't moved yet appear with their first position update
+            if (!player.username || !player.position) return;
+            
+            this.otherPlayersManager.updatePlayer(
+                player.username,
+                player.position,
+                null,
+                player.quaternion,
+                player.timestamp
+            );
+        });
+    }
+    
+    /**
+     * Apply the server's low-rate summary of activity outside our area of interest
+     * @param {Object} data - Far-away players plus billboards and powerups that changed
+     */
+    processWorldSummary(data) {
+        // Same shape as the roster: a position snapshot per player
+        this.processPlayerRoster(data.players);
+        
+        data.billboards.forEach(billboard => this.processBillboardData(billboard));
+        data.powerups.forEach(powerup => this.processPowerupData(powerup));
+    }
+    
     /**
      * Process a player join notification from the server
      * @param {Object} data - Player join data
@@ -1395,6 +1840,7 @@ class Game {
         }
         
         console.log(`Player joined: ${data.username}`);
+        this.rememberNetIds(data);
         
         // If we have our position, send it immediately so the new player can see us
         if (this.playerCamera) {
@@ -1412,6 +1858,7 @@ class Game {
             console.warn('Received invalid billboard data from server');
             return;
         }
+        this.rememberNetIds(data);
         
         // console.log(`Received billboard data for: ${data.id}`);
         
@@ -1419,13 +1866,15 @@ class Game {
         const existingIndex = this.billboards.findIndex(b => b.id === data.id);
         
         if (existingIndex !== -1) {
-            // Save the original text and owner
-            const originalText = this.billboards[existingIndex].text;
-            const originalOwner = this.billboards[existingIndex].owner;
+            // Save the original text and owner, unless a moderator just changed them
+            const existing = this.billboards[existingIndex];
+            const textEdited = data.textEditedAt && data.textEditedAt !== existing.textEditedAt;
+            const originalText = textEdited ? data.text : existing.text;
+            const originalOwner = textEdited ? data.owner : existing.owner;
             
             // Update existing billboard in our array but preserve text and owner
             this.billboards[existingIndex] = {
-                ...this.billboards[existingIndex],
+                ...existing,
                 ...data,
                 // Restore original text and owner
                 text: originalText,
@@ -1436,10 +1885,13 @@ class Game {
             // Update visual if we have a weapon manager with billboard gun
             if (this.weaponManager && typeof this.weaponManager.updateBillboard === 'function') {
                 // console.log(`Updating visual billboard ${data.id}`);
-                // Make sure we don't pass text updates to updateBillboard
+                // Make sure we don't pass text updates to updateBillboard (moderator edits excepted)
                 const updateData = {...data};
                 // Remove text property to prevent accidental updates
-                delete updateData.text;
+                if (!textEdited) {
+                    delete updateData.text;
+                    delete updateData.owner;
+                }
                 this.weaponManager.updateBillboard(updateData);
             } else {
                 // console.log('WeaponManager or updateBillboard function not available');
@@ -1482,11 +1934,26 @@ class Game {
             return;
         }
         
-        // Clear existing billboards first to avoid duplicates
-        if (this.weaponManager && typeof this.weaponManager.clearBillboards === 'function') {
-            // console.log('Clearing existing billboards before adding new ones');
-            this.weaponManager.clearBillboards();
+        if (!this.weaponManager) {
+            console.warn('Cannot process billboards - weapon manager not initialized');
+            return;
+        }
+        
+        // Apply the snapshot as a delta against what we already show, so a resync
+        // after reconnecting doesn't rebuild every billboard
+        const serverIds = new Set(billboards.filter(b => b && b.id).map(b => b.id));
+        const placedBillboards = this.weaponManager.billboardGun ? this.weaponManager.billboardGun.placedBillboards : [];
+        const localIds = new Set(placedBillboards.map(b => b.id));
+        
+        // Remove billboards that disappeared while we weren't listening
+        for (const id of localIds) {
+            if (!serverIds.has(id)) {
+                this.weaponManager.removeBillboard(id);
+            }
         }
+        this.billboards = billboards.filter(b => b && b.id);
+        this.billboardNetIds.clear();
+        this.billboards.forEach(billboard => this.rememberNetIds(billboard));
         
         let successCount = 0;
         
@@ -1498,6 +1965,15 @@ class Game {
                 return;
             }
             
+            // Refresh size and health of billboards we already have
+            if (localIds.has(billboardData.id)) {
+                const updateData = {...billboardData};
+                delete updateData.text;
+                this.weaponManager.updateBillboard(updateData);
+                successCount++;
+                return;
+            }
+            
             // console.log(`Processing billboard - ID: ${billboardData.id}, Text: "${billboardData.text || 'undefined'}", Owner: ${billboardData.owner || 'unknown'}`);
             
             // Validate position and rotation
@@ -1529,7 +2005,7 @@ class Game {
             }
         });
         
-        console.log(`Successfully added ${successCount} of ${billboards.length} billboards from server`);
+        console.log(`Synced ${successCount} of ${billboards.length} billboards from server`);
     }
     
     /**
@@ -1545,14 +2021,16 @@ class Game {
             return;
         }
         
-        // Remove the billboard in the game
-        this.weaponManager.removeBillboard(data.id);
-        
-        // Notify bot manager if it's a bot billboard
-        if (this.botManager && data.id && data.id.startsWith('bot_')) {
-            this.botManager.onBillboardRemoved(data.id);
+        // Remove the billboard in the game, with the falling animation if it was shot down
+        if (data.destroyed) {
+            this.weaponManager.destroyBillboard(data.id);
+        } else {
+            this.weaponManager.removeBillboard(data.id);
         }
         
+        // Keep the local data array in step
+        this.billboards = this.billboards.filter(b => b.id !== data.id);
+        
         // Show debug message
         console.log(`Billboard ${data.id} removed from game`);
     }
@@ -1650,7 +2128,8 @@ class Game {
             const playerPosition = {
                 type: 'player_position',
                 username: this.getUsername(),
-                playerId: this.persistence ? this.persistence.playerId : 'anonymous_player',
+                playerId: this.persistence ? this.persistence.playerId : undefined,
+                token: this.persistence ? this.persistence.token : undefined,
                 position: {
                     x: position.x,
                     y: position.y,
@@ -1670,7 +2149,13 @@ class Game {
                 timestamp: now
             };
             
-            this.socket.send(JSON.stringify(playerPosition));
+            // Once binary is agreed, send compact frames; every 25th update still goes as JSON
+            // so the server keeps our username and player id current
+            if (this.binaryEncoding && this.positionSyncCounter % 25 !== 1) {
+                this.socket.send(Protocol.encodePlayerPosition(this.entityId, position, quaternion, now));
+            } else {
+                this.socket.send(JSON.stringify(playerPosition));
+            }
             
             // Log only every 100th sync to avoid console spam
             if (this.positionSyncCounter % 100 === 0) {
@@ -1679,6 +2164,184 @@ class Game {
         }
     }
     
+    /**
+     * Apply the server's ammo counts (regeneration, powerups and corrections)
+     * @param {Object} data - Ammo update data
+     */
+    processAmmoUpdate(data) {
+        if (!this.weaponManager) return;
+        
+        if (typeof data.shootingAmmo === 'number' && this.weaponManager.shooterGun) {
+            this.weaponManager.shooterGun.ammo = data.shootingAmmo;
+        }
+        if (typeof data.billboardAmmo === 'number' && this.weaponManager.billboardGun) {
+            this.weaponManager.billboardGun.ammo = data.billboardAmmo;
+        }
+        
+        this.weaponManager.updateWeaponIndicator();
+    }
+    
+    /**
+     * Process a credit balance update from the server
+     * @param {Object} data - Credits update data
+     */
+    processCreditsUpdate(data) {
+        this.setCredits(data.credits);
+        
+        if (data.reason === 'daily_bonus') {
+            Helpers.showNotification(`Daily bonus: +${data.delta} MC`);
+        }
+    }
+    
+    /**
+     * Process the server's answer to a shop purchase
+     * @param {Object} data - Purchase result data
+     */
+    processPurchaseResult(data) {
+        this.setCredits(data.credits);
+        
+        if (!data.success) {
+            Helpers.showNotification(`Purchase failed: ${data.error}`);
+            return;
+        }
+        
+        if (data.item === 'ammo_refill' && this.weaponManager?.shooterGun) {
+            this.weaponManager.shooterGun.ammo = data.shootingAmmo;
+            this.weaponManager.updateWeaponIndicator();
+            Helpers.showNotification(`Ammo refilled for ${data.cost} MC`);
+        } else if (data.item === 'billboard_upgrade') {
+            Helpers.showNotification(`Billboard upgraded for ${data.cost} MC`);
+        } else if (data.item === 'billboard_slot') {
+            this.setBillboardSlots(data.billboardSlots);
+            Helpers.showNotification(`Extra billboard slot bought for ${data.cost} MC`);
+        }
+    }
+    
+    /**
+     * Set the number of billboard slots and refresh the HUD
+     * @param {number} slots - Billboards this player may own
+     */
+    setBillboardSlots(slots) {
+        if (typeof slots !== 'number') return;
+        
+        this.billboardSlots = slots;
+        if (this.weaponManager) {
+            this.weaponManager.updateWeaponIndicator();
+        }
+    }
+    
+    /**
+     * Undo a billboard placement the server refused (e.g. no free slots)
+     * @param {Object} data - Rejection data with the billboard id and reason
+     */
+    processBillboardRejected(data) {
+        console.log(`Billboard ${data.id} rejected by server: ${data.error}`);
+        
+        if (this.weaponManager) {
+            this.weaponManager.removeBillboard(data.id);
+            this.weaponManager.updateWeaponIndicator();
+        }
+        this.billboards = this.billboards.filter(b => b.id !== data.id);
+        
+        Helpers.showNotification(`Billboard not placed: ${data.error}`);
+    }
+    
+    /**
+     * Set the credit balance and refresh the HUD
+     * @param {number} credits - New balance
+     */
+    setCredits(credits) {
+        if (typeof credits !== 'number') return;
+        
+        this.credits = credits;
+        if (this.weaponManager) {
+            this.weaponManager.updateWeaponIndicator();
+        }
+    }
+    
+    /**
+     * Ask the server to spend credits on a shop item
+     * @param {string} item - 'ammo_refill', 'billboard_upgrade' or 'billboard_slot'
+     */
+    purchaseItem(item) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.persistence) {
+            Helpers.showNotification('Purchases need a server connection');
+            return;
+        }
+        
+        this.socket.send(JSON.stringify({
+            type: 'shop_purchase',
+            playerId: this.persistence.playerId,
+            token: this.persistence.token,
+            item: item,
+            timestamp: Date.now()
+        }));
+    }
+    
+    /**
+     * Report the billboard under the crosshair to the moderators
+     */
+    reportTargetBillboard() {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN || !this.persistence || !this.playerCamera) {
+            Helpers.showNotification('Reporting needs a server connection');
+            return;
+        }
+        
+        const placedBillboards = this.weaponManager && this.weaponManager.billboardGun ?
+            this.weaponManager.billboardGun.placedBillboards : [];
+        
+        // Find the closest billboard along the view ray
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(new THREE.Vector2(0, 0), this.playerCamera.camera);
+        raycaster.far = CONFIG.player.shootRange || 50;
+        
+        const hits = raycaster.intersectObjects(placedBillboards.map(b => b.mesh).filter(Boolean), true);
+        const target = hits.length > 0 ? placedBillboards.find(b => {
+            let object = hits[0].object;
+            while (object && object !== b.mesh) object = object.parent;
+            return !!object;
+        }) : null;
+        
+        if (!target) {
+            Helpers.showNotification('Aim at a billboard to report it');
+            return;
+        }
+        
+        this.socket.send(JSON.stringify({
+            type: 'billboard_report',
+            playerId: this.persistence.playerId,
+            token: this.persistence.token,
+            billboardId: target.id,
+            reason: 'Reported from the game'
+        }));
+    }
+    
+    /**
+     * Send a shot intent to the server, which resolves hits and damage
+     * @param {THREE.Vector3} origin - World position the shot was fired from
+     * @param {THREE.Vector3} direction - Normalized direction of the shot
+     */
+    sendShotFired(origin, direction) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        
+        this.socket.send(JSON.stringify({
+            type: 'shot_fired',
+            playerId: this.persistence ? this.persistence.playerId : 'anonymous_player',
+            token: this.persistence ? this.persistence.token : undefined,
+            origin: {
+                x: origin.x,
+                y: origin.y,
+                z: origin.z
+            },
+            direction: {
+                x: direction.x,
+                y: direction.y,
+                z: direction.z
+            },
+            timestamp: Date.now()
+        }));
+    }
+    
     /**
      * Get billboard data for sync
      * @param {Object} billboardObj - The billboard object to sync
@@ -1758,6 +2421,7 @@ class Game {
             text: billboardObj.text || "Default Text",
             owner: billboardObj.owner || this.getUsername(),
             player_id: playerId,
+            token: this.persistence ? this.persistence.token : undefined,
             billboard_category: billboardCategory,
             timestamp: Date.now()
         };
@@ -1768,11 +2432,6 @@ class Game {
      * @param {Object} billboardObj - The billboard to sync
      */
     syncBillboardData(billboardObj) {
-        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
-            console.log('WebSocket not available for billboard sync');
-            return;
-        }
-        
         // Get serializable billboard data
         const billboardData = this.getBillboardDataForSync(billboardObj);
         
@@ -1791,16 +2450,33 @@ class Game {
             console.log(`Added local billboard: ${billboardObj.id}`);
         }
         
-        // Send to server
-        console.log('Syncing billboard to server:', billboardData);
-        this.socket.send(JSON.stringify(billboardData));
+        // Send to server, or hold it until we reconnect
+        if (this.sendOrQueue(billboardData)) {
+            console.log('Syncing billboard to server:', billboardData);
+        } else {
+            console.log('Offline, queued billboard sync:', billboardObj.id);
+        }
+    }
+    
+    /**
+     * Authenticate this connection as an admin so it may send admin commands
+     * @param {string} adminToken - The server's admin token
+     */
+    adminLogin(adminToken) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            Helpers.showNotification('Connect to the server before logging in as admin');
+            return;
+        }
+        
+        this.socket.send(JSON.stringify({ type: 'admin_auth', adminToken: adminToken }));
     }
     
     /**
      * Execute admin command
      * @param {string} command - Admin command
+     * @param {Object} args - Command arguments, e.g. {playerId} for kick
      */
-    executeAdminCommand(command) {
+    executeAdminCommand(command, args = {}) {
         if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
             // Handle locally in offline mode
             if (command === 'reveal_billboards') {
@@ -1812,8 +2488,7 @@ class Game {
         const adminCommand = {
             type: 'admin_command',
             command: command,
-            username: this.getUsername(),
-            timestamp: Date.now()
+            args: args
         };
         
         this.socket.send(JSON.stringify(adminCommand));
@@ -1831,42 +2506,9 @@ class Game {
             return;
         }
         
-        // Check if server has empty terrain data (first player needs to generate it)
-        const emptyServerData = data.terrainData.craters.length === 0 &&
-                               data.terrainData.rocks.length === 0;
-        
-        if (emptyServerData) {
-            console.log('Server has empty terrain data - generating and sending terrain data as first player');
-            
-            // Generate terrain locally
-            const result = this.terrain.generateAll({
-                craterCount: 70,
-                rockCount: 250,
-                craterOptions: {
-                    minSize: 1.5,
-                    maxSize: 7,
-                    depth: 0.5,
-                    distribution: 'clustered'
-                },
-                rockOptions: {
-                    minSize: 0.6,
-                    maxSize: 3.0,
-                    distribution: 'clustered'
-                }
-            });
-            
-            // Send generated terrain data to server for future clients
-            this.sendTerrainData(result.terrainData);
-        } else {
-            // Use terrain data provided by server
-            console.log('Using terrain data from server');
-            
-            // Set the terrain data in the terrain system
-            this.terrain.setServerTerrainData(data.terrainData);
-            
-            // Generate terrain from the server data
-            this.terrain.generateAll();
-        }
+        // The server generates the terrain from the world seed; just build it
+        this.terrain.setServerTerrainData(data.terrainData);
+        this.terrain.generateAll();
         
         // Make sure player spawn is valid with the new terrain
         this.validatePlayerSpawnLocation();
@@ -1874,23 +2516,6 @@ class Game {
         console.log('Server terrain data processed successfully');
     }
 
-    /**
-     * Send generated terrain data to the server
-     * @param {Object} terrainData - The generated terrain data
-     */
-    sendTerrainData(terrainData) {
-        if (!this.connectedToServer) return;
-        
-        console.log('Sending terrain data to server for future clients');
-        
-        const message = {
-            type: 'terrain_data_update',
-            terrainData: terrainData
-        };
-        
-        this.socket.send(JSON.stringify(message));
-    }
-
     /**
      * Process powerup data from the server
      * @param {Object} data - Powerup data
@@ -1945,9 +2570,15 @@ class Game {
             return;
         }
         
-        // Clear existing powerups first to avoid duplicates
-        if (this.powerupManager && typeof this.powerupManager.clearAllPowerups === 'function') {
-            this.powerupManager.clearAllPowerups();
+        // Drop powerups that were collected or expired while we were offline;
+        // ones we already have are skipped by handlePowerupData
+        if (this.powerupManager) {
+            const serverIds = new Set(powerups.filter(p => p && p.id).map(p => p.id));
+            for (const id of Array.from(this.powerupManager.powerups.keys())) {
+                if (!serverIds.has(id)) {
+                    this.powerupManager.removePowerupById(id);
+                }
+            }
         }
         
         // Process each powerup
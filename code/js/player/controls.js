@@ -41,9 +41,18 @@ class PlayerControls {
             jump: [' '], // Space
             switchWeapon: ['q'], // Switch weapon binding
             editBillboard: ['b'], // Edit billboard text
-            showInfo: ['i'] // Show info popup
+            showInfo: ['i'], // Show info popup
+            buyAmmo: ['r'], // Spend credits on an ammo refill
+            buyUpgrade: ['u'], // Spend credits on a billboard upgrade
+            buySlot: ['n'], // Spend credits on an extra billboard slot
+            toggleLeaderboard: ['l'], // Show/hide the leaderboard panel
+            reportBillboard: ['x'] // Report the billboard under the crosshair
         };
         
+        // Credit purchases need the same key pressed twice within the confirm window
+        this.pendingPurchase = null; // {item, expiresAt}
+        this.purchaseConfirmWindow = 3000; // ms
+        
         // Initialize controls
         this.initialize();
     }
@@ -821,6 +830,33 @@ class PlayerControls {
             this.showInfoPopup();
         }
         
+        // Spend Martian Credits (Alt+R is reserved for the admin command below)
+        if (this.keyBindings.buyAmmo.includes(key) && !event.altKey && !event.repeat) {
+            this.confirmPurchase('ammo_refill', 'an ammo refill', key);
+        }
+        
+        if (this.keyBindings.buyUpgrade.includes(key) && !event.repeat) {
+            this.confirmPurchase('billboard_upgrade', 'a billboard upgrade', key);
+        }
+        
+        if (this.keyBindings.buySlot.includes(key) && !event.repeat) {
+            this.confirmPurchase('billboard_slot', 'an extra billboard slot', key);
+        }
+        
+        // Toggle leaderboard
+        if (this.keyBindings.toggleLeaderboard.includes(key)) {
+            if (window.game && window.game.leaderboard) {
+                window.game.leaderboard.toggle();
+            }
+        }
+        
+        // Report an offensive billboard
+        if (this.keyBindings.reportBillboard.includes(key)) {
+            if (window.game) {
+                window.game.reportTargetBillboard();
+            }
+        }
+        
         // Admin command: Reveal billboards (Alt+R)
         if (key === 'r' && event.altKey) {
             if (window.Helpers) {
@@ -830,6 +866,29 @@ class PlayerControls {
         }
     }
 
+    /**
+     * Spend credits only on the second press of a purchase key, so a stray
+     * keypress can't buy anything
+     * @param {string} item - Shop item id
+     * @param {string} label - Item name for the confirm prompt
+     * @param {string} key - Key that was pressed
+     */
+    confirmPurchase(item, label, key) {
+        if (!window.game) return;
+        
+        const now = Date.now();
+        const pending = this.pendingPurchase;
+        
+        if (pending && pending.item === item && pending.expiresAt > now) {
+            this.pendingPurchase = null;
+            window.game.purchaseItem(item);
+            return;
+        }
+        
+        this.pendingPurchase = { item, expiresAt: now + this.purchaseConfirmWindow };
+        Helpers.showNotification(`Press ${key.toUpperCase()} again to buy ${label} with Martian Credits`, this.purchaseConfirmWindow);
+    }
+
     /**
      * Handle key up events
      * @param {KeyboardEvent} event - Key event
@@ -28,6 +28,7 @@ class PlayerMovement {
         this.velocity = new THREE.Vector3();
         this.direction = new THREE.Vector3();
         this.playerSpeed = 10;
+        this.speedMultiplier = 1; // Raised while a speed boost powerup is active
         this.gravity = 18;       // Reduced gravity to simulate Mars (was 30)
         this.jumpForce = 10.5;   // Reduced by 30% from 15 for more realistic jump height
         this.playerHeight = 1.8;
@@ -244,7 +245,7 @@ class PlayerMovement {
         // Only apply horizontal movement if there is any input
         if (moveDirection.lengthSq() > 0) {
             // Scale movement by speed and delta time
-            moveDirection.normalize().multiplyScalar(this.playerSpeed * deltaTime);
+            moveDirection.normalize().multiplyScalar(this.playerSpeed * this.speedMultiplier * deltaTime);
             
             // Calculate new position
             const newPosition = cameraPosition.clone().add(moveDirection);
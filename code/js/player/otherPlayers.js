@@ -24,6 +24,28 @@ class OtherPlayersManager {
         // Set timeout for removing inactive players (5 minutes)
         this.inactivityTimeout = 300000; // Increased from 10 seconds to 5 minutes
         
+        // Timestamped position/orientation snapshots per player, oldest first
+        this.snapshots = new Map();
+        
+        // Per-player network timing (transit delay, jitter and send interval), in ms
+        this.timing = new Map();
+        
+        // Remote players are drawn this far in the past so there is usually a
+        // snapshot on either side to interpolate between (ms, adapted per player)
+        this.minInterpolationDelay = 100;
+        this.maxInterpolationDelay = 600;
+        
+        // How long to keep moving a player along their last heading when packets are late (ms)
+        this.maxExtrapolation = 250;
+        
+        // How much snapshot history to keep per player (ms)
+        this.snapshotHistory = 2000;
+        
+        // Scratch objects reused every frame
+        this.orientationHelper = new THREE.Object3D();
+        this.tempDirA = new THREE.Vector3();
+        this.tempDirB = new THREE.Vector3();
+        
         // Initialize models
         this.initialize();
     }
@@ -199,104 +221,87 @@ class OtherPlayersManager {
      * @param {Object} position - Player's position {x, y, z}
      * @param {Object} rotation - Player's rotation {x, y, z}
      * @param {Object} [quaternion] - Optional quaternion for more accurate rotation
+     * @param {number} [timestamp] - Sender's clock time of the update, in ms
      */
-    updatePlayer(username, position, rotation, quaternion) {
+    updatePlayer(username, position, rotation, quaternion, timestamp) {
         // Don't render the local player
         if (username === this.game.getUsername()) {
             return;
         }
         
-        // Create new player if it doesn't exist
-        if (!this.players.has(username)) {
-            console.log(`Creating new player model for ${username}`);
-            
-            // Create player model group
-            const playerGroup = new THREE.Group();
-            
-            // Add character model
-            const model = this.createPlayerModel();
-            playerGroup.add(model);
-            
-            // Add name tag
-            const nameTag = this.createNameTag(username);
-            playerGroup.add(nameTag);
-            
-            // Lift the model slightly above the surface to avoid z-fighting
-            const direction = new THREE.Vector3(position.x, position.y, position.z).normalize();
-            const liftedPosition = new THREE.Vector3(
-                position.x + direction.x * 0.5, // Reduced from 2 to 0.5 units outward
-                position.y + direction.y * 0.5, // Reduced from 2 to 0.5 units outward
-                position.z + direction.z * 0.5  // Reduced from 2 to 0.5 units outward
-            );
-            
-            // Set initial position
-            playerGroup.position.set(liftedPosition.x, liftedPosition.y, liftedPosition.z);
-            
-            // Add to scene and map
-            this.scene.add(playerGroup);
-            this.players.set(username, playerGroup);
-            console.log(`Player ${username} added to scene. Total players: ${this.players.size}`);
-        }
-        
-        // Get player model
-        const playerModel = this.players.get(username);
-        
         try {
             // Calculate surface normal (direction from center to position)
             const direction = new THREE.Vector3(position.x, position.y, position.z).normalize();
             
             // Lift the position to ensure the model is above the surface (0.5 units)
             const liftedPosition = new THREE.Vector3(
-                position.x + direction.x * 0.5, // Reduced from 2 to 0.5 units outward
-                position.y + direction.y * 0.5, // Reduced from 2 to 0.5 units outward
-                position.z + direction.z * 0.5  // Reduced from 2 to 0.5 units outward
+                position.x + direction.x * 0.5,
+                position.y + direction.y * 0.5,
+                position.z + direction.z * 0.5
             );
             
-            // Update position with lifted position
-            playerModel.position.set(liftedPosition.x, liftedPosition.y, liftedPosition.z);
-            
-            // Apply orientation based on surface normal
-            playerModel.lookAt(0, 0, 0); // Look at center of globe
-            
-            // Apply quaternion if available (after lookAt to override it)
+            // Orientation from the quaternion if sent, otherwise face the globe's center
+            const playerQuaternion = new THREE.Quaternion();
             if (quaternion) {
-                // Create THREE.js quaternion from data
-                const playerQuaternion = new THREE.Quaternion(
-                    quaternion.x,
-                    quaternion.y,
-                    quaternion.z,
-                    quaternion.w
-                );
-                
-                // Apply the quaternion
-                playerModel.quaternion.copy(playerQuaternion);
+                playerQuaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            } else {
+                this.orientationHelper.position.copy(liftedPosition);
+                this.orientationHelper.lookAt(0, 0, 0);
+                playerQuaternion.copy(this.orientationHelper.quaternion);
             }
             
-            // Make sure player is aligned with the surface normal
-            playerModel.up.copy(direction);
+            // Create new player if it doesn't exist
+            if (!this.players.has(username)) {
+                console.log(`Creating new player model for ${username}`);
+                
+                // Create player model group
+                const playerGroup = new THREE.Group();
+                
+                // Add character model
+                const model = this.createPlayerModel();
+                playerGroup.add(model);
+                
+                // Add name tag
+                const nameTag = this.createNameTag(username);
+                playerGroup.add(nameTag);
+                
+                // Start at the first snapshot; later ones are interpolated in update()
+                playerGroup.position.copy(liftedPosition);
+                playerGroup.quaternion.copy(playerQuaternion);
+                playerGroup.up.copy(direction);
+                
+                // Add to scene and map
+                this.scene.add(playerGroup);
+                this.players.set(username, playerGroup);
+                console.log(`Player ${username} added to scene. Total players: ${this.players.size}`);
+            }
             
-            // Update name tag to face camera
-            this.updateNameTagOrientation(username);
+            // Queue the snapshot; update() moves the model between snapshots every frame
+            const sentAt = this.recordTiming(username, timestamp);
+            if (sentAt !== null) {
+                this.addSnapshot(username, {
+                    sentAt: sentAt,
+                    position: liftedPosition,
+                    quaternion: playerQuaternion
+                });
+            }
             
             // Update last update time
             this.lastUpdateTimes.set(username, Date.now());
             
             // Add a debug line from center to character to verify position
+            const playerModel = this.players.get(username);
+            const lineGeometry = new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                liftedPosition
+            ]);
             if (!playerModel.debugLine) {
-                const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-                    new THREE.Vector3(0, 0, 0),
-                    liftedPosition
-                ]);
                 const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffff00 });
                 const debugLine = new THREE.Line(lineGeometry, lineMaterial);
                 this.scene.add(debugLine);
                 playerModel.debugLine = debugLine;
             } else {
                 // Update existing debug line
-                const lineGeometry = new THREE.BufferGeometry().setFromPoints([
-                    new THREE.Vector3(0, 0, 0),
-                    liftedPosition
-                ]);
                 playerModel.debugLine.geometry.dispose();
                 playerModel.debugLine.geometry = lineGeometry;
             }
@@ -305,6 +310,159 @@ class OtherPlayersManager {
         }
     }
     
+    /**
+     * Update a player's network timing from a new packet
+     * @param {string} username - Player's username
+     * @param {number} [timestamp] - Sender's clock time of the update
+     * @returns {number|null} - Send time to file the snapshot under, or null if it arrived out of order
+     */
+    recordTiming(username, timestamp) {
+        const receivedAt = Date.now();
+        const sentAt = typeof timestamp === 'number' ? timestamp : receivedAt;
+        
+        // Transit delay as seen by us; includes any clock difference between the two machines
+        const delay = receivedAt - sentAt;
+        
+        let timing = this.timing.get(username);
+        if (!timing) {
+            timing = { offset: delay, latency: delay, jitter: 0, interval: 200, lastSentAt: sentAt };
+            this.timing.set(username, timing);
+            return sentAt;
+        }
+        
+        // Older than what we already have - interpolation has moved past it
+        if (sentAt <= timing.lastSentAt) {
+            return null;
+        }
+        
+        // offset follows the fastest recent packet (creeping up slowly so it can adapt),
+        // latency and jitter are smoothed averages, interval is how often the player sends
+        timing.offset = Math.min(delay, timing.offset + 1);
+        timing.latency += (delay - timing.latency) * 0.1;
+        timing.jitter += (Math.abs(delay - timing.latency) - timing.jitter) * 0.1;
+        timing.interval += ((sentAt - timing.lastSentAt) - timing.interval) * 0.1;
+        timing.lastSentAt = sentAt;
+        
+        return sentAt;
+    }
+    
+    /**
+     * How far in the past to draw a player so slow or uneven packets don't cause stutter
+     * @param {Object} timing - The player's timing record
+     * @returns {number} - Interpolation delay in ms
+     */
+    getInterpolationDelay(timing) {
+        const delay = timing.interval + (timing.latency - timing.offset) + timing.jitter * 2;
+        return Math.min(this.maxInterpolationDelay, Math.max(this.minInterpolationDelay, delay));
+    }
+    
+    /**
+     * Get a player's measured network timing
+     * @param {string} username - Player's username
+     * @returns {Object|null} - {latency, jitter, interpolationDelay} in ms, or null if unknown
+     */
+    getPlayerLatency(username) {
+        const timing = this.timing.get(username);
+        if (!timing) return null;
+        
+        return {
+            latency: timing.latency,
+            jitter: timing.jitter,
+            interpolationDelay: this.getInterpolationDelay(timing)
+        };
+    }
+    
+    /**
+     * Add a snapshot to a player's buffer and drop old history
+     * @param {string} username - Player's username
+     * @param {Object} snapshot - {sentAt, position, quaternion}
+     */
+    addSnapshot(username, snapshot) {
+        if (!this.snapshots.has(username)) {
+            this.snapshots.set(username, []);
+        }
+        
+        const buffer = this.snapshots.get(username);
+        buffer.push(snapshot);
+        
+        // Keep at least two snapshots so we can always extrapolate
+        while (buffer.length > 2 && buffer[0].sentAt < snapshot.sentAt - this.snapshotHistory) {
+            buffer.shift();
+        }
+    }
+    
+    /**
+     * Move a point along the sphere between two positions (great-circle slerp)
+     * Values of t above 1 continue along the same great circle.
+     * @param {THREE.Vector3} from - Start position
+     * @param {THREE.Vector3} to - End position
+     * @param {number} t - Interpolation factor
+     * @param {THREE.Vector3} out - Receives the result
+     * @returns {THREE.Vector3} - out
+     */
+    slerpOnSphere(from, to, t, out) {
+        const fromRadius = from.length();
+        const toRadius = to.length();
+        const dirA = this.tempDirA.copy(from).divideScalar(fromRadius);
+        const dirB = this.tempDirB.copy(to).divideScalar(toRadius);
+        
+        const angle = Math.acos(Math.min(1, Math.max(-1, dirA.dot(dirB))));
+        if (angle < 1e-6) {
+            out.copy(dirA);
+        } else {
+            const sinAngle = Math.sin(angle);
+            out.copy(dirA).multiplyScalar(Math.sin((1 - t) * angle) / sinAngle)
+                .addScaledVector(dirB, Math.sin(t * angle) / sinAngle);
+            out.normalize();
+        }
+        
+        return out.multiplyScalar(fromRadius + (toRadius - fromRadius) * t);
+    }
+    
+    /**
+     * Sample a player's buffer at a point in the sender's timeline
+     * @param {Array} buffer - Snapshots, oldest first
+     * @param {number} time - Sender clock time to sample at
+     * @param {THREE.Object3D} target - Object whose position and quaternion are set
+     */
+    sampleSnapshots(buffer, time, target) {
+        const first = buffer[0];
+        const last = buffer[buffer.length - 1];
+        
+        // Too early: hold the oldest snapshot
+        if (time <= first.sentAt) {
+            target.position.copy(first.position);
+            target.quaternion.copy(first.quaternion);
+            return;
+        }
+        
+        // Between two snapshots: interpolate
+        if (time <= last.sentAt) {
+            for (let i = buffer.length - 1; i > 0; i--) {
+                const from = buffer[i - 1];
+                const to = buffer[i];
+                if (time >= from.sentAt) {
+                    const t = (time - from.sentAt) / Math.max(1, to.sentAt - from.sentAt);
+                    this.slerpOnSphere(from.position, to.position, t, target.position);
+                    target.quaternion.slerpQuaternions(from.quaternion, to.quaternion, t);
+                    return;
+                }
+            }
+        }
+        
+        // Packets are late: dead-reckon along the last heading for a short while, then hold
+        target.quaternion.copy(last.quaternion);
+        if (buffer.length < 2) {
+            target.position.copy(last.position);
+            return;
+        }
+        
+        const previous = buffer[buffer.length - 2];
+        const span = Math.max(1, last.sentAt - previous.sentAt);
+        const ahead = Math.min(time - last.sentAt, this.maxExtrapolation);
+        this.slerpOnSphere(previous.position, last.position, 1 + ahead / span, target.position);
+    }
+    
     /**
      * Update the name tag to always face the camera
      * @param {string} username - Player's username
@@ -353,6 +511,8 @@ class OtherPlayersManager {
             this.scene.remove(playerModel);
             this.players.delete(username);
             this.lastUpdateTimes.delete(username);
+            this.snapshots.delete(username);
+            this.timing.delete(username);
         }
     }
     
@@ -361,7 +521,21 @@ class OtherPlayersManager {
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime = 0.016) {
-        // No animation updates needed in this version
+        const now = Date.now();
+        
+        // Place each player where they were interpolationDelay ago, in their own clock
+        this.players.forEach((playerModel, username) => {
+            const buffer = this.snapshots.get(username);
+            const timing = this.timing.get(username);
+            if (!buffer || buffer.length === 0 || !timing) return;
+            
+            const renderTime = now - timing.offset - this.getInterpolationDelay(timing);
+            this.sampleSnapshots(buffer, renderTime, playerModel);
+            
+            // Keep the model aligned with the surface normal
+            playerModel.up.copy(playerModel.position).normalize();
+            this.updateNameTagOrientation(username);
+        });
     }
 }
 
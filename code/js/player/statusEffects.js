@@ -0,0 +1,117 @@
+// statusEffects.js - Timed powerup effects on the player and their HUD timers - 2026-10-19
+
+/**
+ * Tracks the timed effects granted by powerups (speed boost, rapid fire, ...).
+ * The server applies an effect when it accepts a pickup and sends the player's
+ * effects in a status_effects message, which replaces the local state. Active
+ * multipliers are handed to the player movement and shooter gun every frame.
+ */
+class StatusEffects {
+    /**
+     * Create the status effect tracker
+     * @param {Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.effects = new Map(); // type -> {amount, stacks, expiresAt, text}
+        this.clockOffset = 0; // Server time minus local time
+        this.lastRenderedSecond = null;
+
+        this.container = document.getElementById('status-effects');
+    }
+
+    /**
+     * Current time by the server's clock
+     * @returns {number} - Milliseconds since the epoch
+     */
+    now() {
+        return Date.now() + this.clockOffset;
+    }
+
+    /**
+     * Replace the local effects with a status_effects message from the server
+     * @param {Object} data - Server time and the player's active effects
+     */
+    sync(data) {
+        this.clockOffset = data.serverTime - Date.now();
+        this.effects.clear();
+
+        data.effects.forEach(effect => {
+            this.effects.set(effect.type, {
+                amount: effect.amount,
+                stacks: effect.stacks,
+                expiresAt: effect.expiresAt,
+                text: effect.text
+            });
+        });
+
+        this.render();
+    }
+
+    /**
+     * Multiplier an effect gives right now (1 while it isn't active); every stack
+     * adds the amount's difference from 1 again, matching the server
+     * @param {string} type - Powerup type
+     * @returns {number} - The multiplier
+     */
+    getMultiplier(type) {
+        const effect = this.effects.get(type);
+        if (!effect || effect.expiresAt <= this.now()) return 1;
+
+        return Math.max(0, 1 + (effect.amount - 1) * effect.stacks);
+    }
+
+    /**
+     * Drop expired effects, pass multipliers on to movement and the shooter gun
+     * and refresh the HUD timers once a second
+     */
+    update() {
+        const now = this.now();
+
+        for (const [type, effect] of this.effects) {
+            if (effect.expiresAt <= now) {
+                this.effects.delete(type);
+            }
+        }
+
+        if (this.game.playerMovement) {
+            this.game.playerMovement.speedMultiplier = this.getMultiplier('speed_boost');
+        }
+
+        const shooterGun = this.game.weaponManager ? this.game.weaponManager.shooterGun : null;
+        if (shooterGun) {
+            shooterGun.fireRateMultiplier = this.getMultiplier('rapid_fire');
+        }
+
+        const second = Math.floor(now / 1000);
+        if (second !== this.lastRenderedSecond) {
+            this.render();
+        }
+    }
+
+    /**
+     * Draw one row per active effect with its stacks and time left
+     */
+    render() {
+        const now = this.now();
+        this.lastRenderedSecond = Math.floor(now / 1000);
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.container.style.display = this.effects.size > 0 ? 'block' : 'none';
+
+        // Use textContent since labels come from the server's config
+        for (const [type, effect] of this.effects) {
+            const secondsLeft = Math.max(0, Math.ceil((effect.expiresAt - now) / 1000));
+            const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+
+            const row = document.createElement('div');
+            row.className = 'status-effect';
+            row.textContent = `${effect.text || type}${stacks} ${Helpers.formatTime(secondsLeft)}`;
+            this.container.appendChild(row);
+        }
+    }
+}
+
+// Export the class
+window.StatusEffects = StatusEffects;
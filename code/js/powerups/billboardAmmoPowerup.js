@@ -27,107 +27,27 @@ class BillboardAmmoPowerup extends Powerup {
     }
     
     /**
-     * Apply this powerup's effect (add billboard ammo to player)
+     * Apply this powerup's effect. The server credits the ammo when it accepts the
+     * pickup and sends the new total in an ammo_update, so this only reports the gain.
      * @param {Object} game The game object to apply the effect to
+     * @param {Object} granted What the server granted ({billboardAmmo: billboards added})
      * @returns {Boolean} True if effect was applied successfully
      */
-    applyEffect(game) {
+    applyEffect(game, granted = {}) {
         if (!game) {
             console.error('Cannot apply billboard ammo powerup: Game object is undefined');
             return false;
         }
         
-        // Get weaponManager from game object
-        const weaponManager = game.weaponManager;
-        
-        if (!weaponManager) {
-            console.error('Cannot apply billboard ammo powerup: WeaponManager not found in game object');
-            return false;
-        }
-        
-        // Get current ammo from the billboard gun
-        if (!weaponManager.billboardGun) {
-            console.error('Cannot apply billboard ammo powerup: BillboardGun not found in WeaponManager');
-            return false;
-        }
-        
-        // Get current ammo and max ammo directly from the billboard gun
-        const currentAmmo = weaponManager.billboardGun.ammo || 0;
-        const maxAmmo = weaponManager.billboardGun.maxAmmo || 5;
-        
-        // Calculate new ammo value (don't exceed max)
-        const newAmmo = Math.min(currentAmmo + this.effectAmount, maxAmmo);
-        const ammoAdded = newAmmo - currentAmmo;
-        
-        // Update the ammo value directly in the billboard gun
-        weaponManager.billboardGun.ammo = newAmmo;
-        
-        // Force update the UI
-        weaponManager.updateWeaponIndicator();
+        const ammoAdded = granted.billboardAmmo || 0;
+        Helpers.showNotification(ammoAdded > 0 ? `+${ammoAdded} billboard ammo` : 'Billboard ammo is already full');
         
         // Log the effect
-        console.log(`Billboard Ammo powerup collected! Added ${ammoAdded} ammo (${currentAmmo} → ${newAmmo})`);
-        
-        // Save to server if persistence is available
-        this.saveAmmoToServer(game, newAmmo);
+        console.log(`Billboard Ammo powerup collected! Added ${ammoAdded} ammo`);
         
         return true;
     }
     
-    /**
-     * Save the updated ammo value to the server
-     * @param {Object} game The game object
-     * @param {Number} newAmmo The new billboard ammo value to save
-     */
-    saveAmmoToServer(game, newAmmo) {
-        try {
-            // Try to find the player ID from the game object
-            let playerId = null;
-            
-            if (game.playerId) {
-                playerId = game.playerId;
-            } else if (game.persistence && game.persistence.playerId) {
-                playerId = game.persistence.playerId;
-            }
-            
-            if (!playerId) {
-                console.warn('Could not find player ID for server save');
-                return;
-            }
-            
-            // Get current shooting ammo from weaponManager
-            let shootingAmmo = 0;
-            
-            if (game.weaponManager && game.weaponManager.shooterGun) {
-                shootingAmmo = game.weaponManager.shooterGun.ammo;
-            }
-            
-            // Create data to send to server
-            const ammoData = {
-                type: 'player_save_ammo',
-                playerId: playerId,
-                shootingAmmo: shootingAmmo,
-                billboardAmmo: newAmmo
-            };
-            
-            console.log('Saving billboard ammo to server:', ammoData);
-            
-            // Send to server if WebSocket is available
-            if (game.webSocket && game.webSocket.readyState === WebSocket.OPEN) {
-                game.webSocket.send(JSON.stringify(ammoData));
-                console.log('Saved updated billboard ammo to server (via webSocket)');
-            } else if (game.socket && game.socket.readyState === WebSocket.OPEN) {
-                // Try alternate socket property name
-                game.socket.send(JSON.stringify(ammoData));
-                console.log('Saved updated billboard ammo to server (via socket)');
-            } else {
-                console.warn('WebSocket not available, ammo not saved to server');
-            }
-        } catch (error) {
-            console.error('Error saving billboard ammo to server:', error);
-        }
-    }
-    
     /**
      * Create a BillboardAmmoPowerup from data object
      * @param {Object} data Data representation of a powerup
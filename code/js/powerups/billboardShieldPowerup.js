@@ -0,0 +1,49 @@
+// billboardShieldPowerup.js - Billboard Shield Powerup - 2026-10-19
+
+/**
+ * Billboard Shield Powerup
+ * Protects the player's billboards from part of the damage they take for a while
+ * Appears as a glowing box with "Shield" text
+ */
+class BillboardShieldPowerup extends TimedEffectPowerup {
+    /**
+     * Constructor for BillboardShieldPowerup
+     * @param {Object} params Configuration parameters
+     */
+    constructor(params = {}) {
+        // Set default parameters for this powerup type
+        const billboardShieldParams = {
+            ...params,
+            type: 'billboard_shield',
+            text: params.text || 'Shield',
+            color: params.color || '#B388FF', // Purple color
+            size: params.size || 1.5,
+            effectAmount: params.effectAmount || 0.5, // Billboards take half damage per stack
+            effectDuration: params.effectDuration || 30000,
+            stacking: params.stacking || 'stack',
+            maxStacks: params.maxStacks || 2 // Two stacks block all damage
+        };
+        
+        // Call parent constructor
+        super(billboardShieldParams);
+    }
+    
+    /**
+     * Create a BillboardShieldPowerup from data object
+     * @param {Object} data Data representation of a powerup
+     * @returns {BillboardShieldPowerup} New powerup instance
+     */
+    static fromData(data) {
+        return new BillboardShieldPowerup(data);
+    }
+}
+
+// Register BillboardShieldPowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.BillboardShieldPowerup = BillboardShieldPowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BillboardShieldPowerup;
+}
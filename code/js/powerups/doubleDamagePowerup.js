@@ -0,0 +1,48 @@
+// doubleDamagePowerup.js - Double Damage Powerup - 2026-10-19
+
+/**
+ * Double Damage Powerup
+ * Makes the player's shots do more damage for a while
+ * Appears as a glowing box with "2x Damage" text
+ */
+class DoubleDamagePowerup extends TimedEffectPowerup {
+    /**
+     * Constructor for DoubleDamagePowerup
+     * @param {Object} params Configuration parameters
+     */
+    constructor(params = {}) {
+        // Set default parameters for this powerup type
+        const doubleDamageParams = {
+            ...params,
+            type: 'double_damage',
+            text: params.text || '2x Damage',
+            color: params.color || '#FF1744', // Red color
+            size: params.size || 1.5,
+            effectAmount: params.effectAmount || 2, // Shots do double damage
+            effectDuration: params.effectDuration || 20000,
+            stacking: params.stacking || 'refresh'
+        };
+        
+        // Call parent constructor
+        super(doubleDamageParams);
+    }
+    
+    /**
+     * Create a DoubleDamagePowerup from data object
+     * @param {Object} data Data representation of a powerup
+     * @returns {DoubleDamagePowerup} New powerup instance
+     */
+    static fromData(data) {
+        return new DoubleDamagePowerup(data);
+    }
+}
+
+// Register DoubleDamagePowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.DoubleDamagePowerup = DoubleDamagePowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DoubleDamagePowerup;
+}
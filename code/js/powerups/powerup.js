@@ -261,11 +261,13 @@ class Powerup {
     }
     
     /**
-     * Apply the powerup effect to the target (player, etc.)
+     * Apply the powerup effect to the target (player, etc.) once the server has
+     * accepted the pickup; the server has already updated its own state
      * @param {Object} target The target to apply the effect to
+     * @param {Object} granted What the server granted for this powerup
      * @returns {Boolean} True if effect was applied successfully
      */
-    applyEffect(target) {
+    applyEffect(target, granted = {}) {
         console.log(`Base powerup effect applied to ${this.effectTarget}`);
         return true;
     }
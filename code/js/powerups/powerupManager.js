@@ -18,11 +18,13 @@ class PowerupManager {
         
         // Configuration
         this.collisionDistance = 2.5; // Distance for powerup collection
+        this.claimRetryDelay = 2000; // Wait before claiming a powerup again after the server turned us down (ms)
         this.checkInterval = 100; // How often to check for collisions (ms)
         this.lastCheckTime = 0;
         
         // Initialization state
         this.isInitialized = false;
+        this.syncedSocket = null; // Socket the server sync listener is attached to
         
         // Register known powerup types
         this.registerPowerupTypes();
@@ -62,6 +64,27 @@ class PowerupManager {
             this.registerPowerupType('billboard_ammo', BillboardAmmoPowerup);
         }
         
+        // Register the timed effect powerups and the repair kit
+        if (typeof SpeedBoostPowerup !== 'undefined') {
+            this.registerPowerupType('speed_boost', SpeedBoostPowerup);
+        }
+        
+        if (typeof DoubleDamagePowerup !== 'undefined') {
+            this.registerPowerupType('double_damage', DoubleDamagePowerup);
+        }
+        
+        if (typeof BillboardShieldPowerup !== 'undefined') {
+            this.registerPowerupType('billboard_shield', BillboardShieldPowerup);
+        }
+        
+        if (typeof RapidFirePowerup !== 'undefined') {
+            this.registerPowerupType('rapid_fire', RapidFirePowerup);
+        }
+        
+        if (typeof RepairKitPowerup !== 'undefined') {
+            this.registerPowerupType('repair_kit', RepairKitPowerup);
+        }
+        
         console.log(`Registered ${this.powerupTypes.size} powerup types`);
     }
     
@@ -427,8 +450,15 @@ class PowerupManager {
             return;
         }
         
+        const now = Date.now();
+        
         // Check each powerup for collision with player
         for (const powerup of this.powerups.values()) {
+            // Skip powerups waiting on the server's answer, or recently turned down
+            if (powerup.isPendingCollection || (powerup.nextClaimAt && now < powerup.nextClaimAt)) {
+                continue;
+            }
+            
             // Calculate distance between player and powerup
             const powerupPos = powerup.mesh ? powerup.mesh.position : powerup.position;
             
@@ -458,8 +488,17 @@ class PowerupManager {
         // Get a reference to the WebSocket
         const socket = this.game.socket;
         
+        // Called again after a reconnect; don't listen twice on the same socket
+        if (this.syncedSocket === socket) {
+            return;
+        }
+        this.syncedSocket = socket;
+        
         // Create a message event handler
         const handleSocketMessage = (event) => {
+            // Binary frames only carry positions and billboard resizes
+            if (typeof event.data !== 'string') return;
+            
             try {
                 const data = JSON.parse(event.data);
                 
@@ -468,10 +507,10 @@ class PowerupManager {
                     console.log(`Receiving removal of powerup ID ${data.id}`);
                     this.removePowerupById(data.id);
                 }
-                // Handle powerup data messages
-                else if (data.id && data.id.startsWith('powerup_') && data.position && data.type) {
-                    console.log(`Received powerup data from WebSocket: ${data.type} (${data.id})`);
-                    this.handlePowerupData(data);
+                // Handle newly spawned powerups
+                else if (data.type === 'powerup_spawned' && data.powerup) {
+                    console.log(`Received powerup data from WebSocket: ${data.powerup.type} (${data.powerup.id})`);
+                    this.handlePowerupData(data.powerup);
                 }
             } catch (error) {
                 // Only log if it's a parsing error for valid JSON data
@@ -594,9 +633,9 @@ class PowerupManager {
         try {
             console.log(`Sending collection event for powerup ${powerup.id} to server...`);
             
-            // Ensure we have a connection to the server
-            if (!this.game.socket || this.game.socket.readyState !== WebSocket.OPEN) {
-                console.warn(`WebSocket not available, powerup collection for ${powerup.id} cannot be saved`);
+            // Ensure we have a game that can talk to the server
+            if (!this.game || typeof this.game.sendOrQueue !== 'function') {
+                console.warn(`Game not available, powerup collection for ${powerup.id} cannot be saved`);
                 return;
             }
             
@@ -605,12 +644,17 @@ class PowerupManager {
                 type: 'powerup_collected',
                 powerupId: powerup.id,
                 powerupType: powerup.type,
-                playerId: this.game.playerId || ''
+                playerId: this.game.persistence?.playerId || this.game.playerId || '',
+                token: this.game.persistence?.token
             };
             
-            // Send to the server
-            this.game.socket.send(JSON.stringify(powerupData));
-            console.log(`Sent powerup ${powerup.id} collection event to server`);
+            // Claims aren't queued while offline: show the powerup again and retry later
+            if (this.game.sendOrQueue(powerupData)) {
+                console.log(`Sent powerup ${powerup.id} collection event to server`);
+            } else {
+                console.log(`Offline, will retry powerup ${powerup.id} collection later`);
+                this.releaseClaim(powerup);
+            }
         }
         catch (error) {
             console.error(`Error sending powerup ${powerup.id} collection to server:`, error);
@@ -618,7 +662,8 @@ class PowerupManager {
     }
     
     /**
-     * Collect a powerup (apply its effect and remove it)
+     * Collect a powerup: claim it from the server and hide it until the server answers.
+     * The effect is applied by handlePowerupResult once the claim is accepted.
      * @param {Powerup} powerup The powerup to collect
      */
     collectPowerup(powerup) {
@@ -628,14 +673,55 @@ class PowerupManager {
         
         console.log(`Collecting powerup: ${powerup.type} (${powerup.id})`);
         
-        // Apply the powerup effect
-        powerup.applyEffect(this.game);
+        powerup.isPendingCollection = true;
+        if (powerup.mesh) {
+            powerup.mesh.visible = false;
+        }
         
-        // Send collection event to server before removing locally
+        // The server checks the claim, applies the effect and broadcasts the removal
         this.sendPowerupCollectedToServer(powerup);
+    }
+    
+    /**
+     * Show a powerup whose claim didn't go through again and hold off the next claim
+     * @param {Powerup} powerup The powerup that is still there
+     */
+    releaseClaim(powerup) {
+        if (!powerup) return;
+        
+        powerup.isPendingCollection = false;
+        powerup.nextClaimAt = Date.now() + this.claimRetryDelay;
+        if (powerup.mesh) {
+            powerup.mesh.visible = true;
+        }
+    }
+    
+    /**
+     * Handle the server's answer to a powerup claim
+     * @param {Object} data - powerup_result message: success, or a code and error, and what was granted
+     */
+    handlePowerupResult(data) {
+        const powerup = this.powerups.get(data.powerupId);
+        
+        if (!data.success) {
+            console.log(`Powerup claim on ${data.powerupId} rejected: ${data.error}`);
+            
+            // Out of range means it's still there: show it again and retry later
+            if (data.code === 'out_of_range') {
+                this.releaseClaim(powerup);
+                return;
+            }
+            
+            // Otherwise the server no longer has it
+            this.removePowerup(powerup);
+            Helpers.showNotification(data.error);
+            return;
+        }
         
-        // Remove the powerup from the scene - the server will broadcast removal to other clients
-        this.removePowerup(powerup);
+        if (powerup) {
+            powerup.applyEffect(this.game, data.granted);
+            this.removePowerup(powerup);
+        }
     }
     
     /**
@@ -0,0 +1,48 @@
+// rapidFirePowerup.js - Rapid Fire Powerup - 2026-10-19
+
+/**
+ * Rapid Fire Powerup
+ * Makes the shooter gun fire faster for a while
+ * Appears as a glowing box with "Rapid Fire" text
+ */
+class RapidFirePowerup extends TimedEffectPowerup {
+    /**
+     * Constructor for RapidFirePowerup
+     * @param {Object} params Configuration parameters
+     */
+    constructor(params = {}) {
+        // Set default parameters for this powerup type
+        const rapidFireParams = {
+            ...params,
+            type: 'rapid_fire',
+            text: params.text || 'Rapid Fire',
+            color: params.color || '#FFD600', // Yellow color
+            size: params.size || 1.5,
+            effectAmount: params.effectAmount || 2, // Fire twice as fast
+            effectDuration: params.effectDuration || 15000,
+            stacking: params.stacking || 'refresh'
+        };
+        
+        // Call parent constructor
+        super(rapidFireParams);
+    }
+    
+    /**
+     * Create a RapidFirePowerup from data object
+     * @param {Object} data Data representation of a powerup
+     * @returns {RapidFirePowerup} New powerup instance
+     */
+    static fromData(data) {
+        return new RapidFirePowerup(data);
+    }
+}
+
+// Register RapidFirePowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.RapidFirePowerup = RapidFirePowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RapidFirePowerup;
+}
@@ -0,0 +1,70 @@
+// repairKitPowerup.js - Repair Kit Powerup - 2026-10-19
+
+/**
+ * Repair Kit Powerup
+ * Restores size and health the player's billboards lost to damage when collected
+ * Appears as a glowing box with "Repair" text
+ */
+class RepairKitPowerup extends Powerup {
+    /**
+     * Constructor for RepairKitPowerup
+     * @param {Object} params Configuration parameters
+     */
+    constructor(params = {}) {
+        // Set default parameters for this powerup type
+        const repairKitParams = {
+            ...params,
+            type: 'repair_kit',
+            text: params.text || 'Repair',
+            color: params.color || '#4DD0E1', // Cyan color
+            size: params.size || 1.5,
+            effectAmount: params.effectAmount || 2, // Default +2 width and height per billboard
+            effectTarget: 'billboard'
+        };
+        
+        // Call parent constructor
+        super(repairKitParams);
+    }
+    
+    /**
+     * Apply this powerup's effect. Billboard sizes are owned by the server, which
+     * repairs the player's billboards when it accepts the pickup and broadcasts
+     * their new sizes, so this only reports the repair.
+     * @param {Object} game The game object to apply the effect to
+     * @param {Object} granted What the server granted ({repairedBillboards, repairAmount})
+     * @returns {Boolean} True if effect was applied successfully
+     */
+    applyEffect(game, granted = {}) {
+        if (!game) {
+            console.error('Cannot apply repair kit powerup: Game object is undefined');
+            return false;
+        }
+        
+        const repaired = granted.repairedBillboards || 0;
+        Helpers.showNotification(repaired > 0
+            ? `Repaired ${repaired} billboard${repaired === 1 ? '' : 's'}!`
+            : 'No damaged billboards to repair');
+        console.log(`Repair Kit powerup collected! Restored ${repaired} billboards by ${granted.repairAmount}`);
+        
+        return true;
+    }
+    
+    /**
+     * Create a RepairKitPowerup from data object
+     * @param {Object} data Data representation of a powerup
+     * @returns {RepairKitPowerup} New powerup instance
+     */
+    static fromData(data) {
+        return new RepairKitPowerup(data);
+    }
+}
+
+// Register RepairKitPowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.RepairKitPowerup = RepairKitPowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RepairKitPowerup;
+}
@@ -27,107 +27,27 @@ class ShootingAmmoPowerup extends Powerup {
     }
     
     /**
-     * Apply this powerup's effect (add ammo to player)
+     * Apply this powerup's effect. The server credits the ammo when it accepts the
+     * pickup and sends the new total in an ammo_update, so this only reports the gain.
      * @param {Object} game The game object to apply the effect to
+     * @param {Object} granted What the server granted ({shootingAmmo: rounds added})
      * @returns {Boolean} True if effect was applied successfully
      */
-    applyEffect(game) {
+    applyEffect(game, granted = {}) {
         if (!game) {
             console.error('Cannot apply shooting ammo powerup: Game object is undefined');
             return false;
         }
         
-        // Get weaponManager from game object
-        const weaponManager = game.weaponManager;
-        
-        if (!weaponManager) {
-            console.error('Cannot apply shooting ammo powerup: WeaponManager not found in game object');
-            return false;
-        }
-        
-        // Get current ammo from the shooter gun
-        if (!weaponManager.shooterGun) {
-            console.error('Cannot apply shooting ammo powerup: ShooterGun not found in WeaponManager');
-            return false;
-        }
-        
-        // Get current ammo and max ammo directly from the shooter gun
-        const currentAmmo = weaponManager.shooterGun.ammo || 0;
-        const maxAmmo = weaponManager.shooterGun.maxAmmo || 500;
-        
-        // Calculate new ammo value (don't exceed max)
-        const newAmmo = Math.min(currentAmmo + this.effectAmount, maxAmmo);
-        const ammoAdded = newAmmo - currentAmmo;
-        
-        // Update the ammo value directly in the shooter gun
-        weaponManager.shooterGun.ammo = newAmmo;
-        
-        // Force update the UI
-        weaponManager.updateWeaponIndicator();
+        const ammoAdded = granted.shootingAmmo || 0;
+        Helpers.showNotification(ammoAdded > 0 ? `+${ammoAdded} ammo` : 'Ammo is already full');
         
         // Log the effect
-        console.log(`Shooting Ammo powerup collected! Added ${ammoAdded} ammo (${currentAmmo} → ${newAmmo})`);
-        
-        // Save to server if persistence is available
-        this.saveAmmoToServer(game, newAmmo);
+        console.log(`Shooting Ammo powerup collected! Added ${ammoAdded} ammo`);
         
         return true;
     }
     
-    /**
-     * Save the updated ammo value to the server
-     * @param {Object} game The game object
-     * @param {Number} newAmmo The new ammo value to save
-     */
-    saveAmmoToServer(game, newAmmo) {
-        try {
-            // Try to find the player ID from the game object
-            let playerId = null;
-            
-            if (game.playerId) {
-                playerId = game.playerId;
-            } else if (game.persistence && game.persistence.playerId) {
-                playerId = game.persistence.playerId;
-            }
-            
-            if (!playerId) {
-                console.warn('Could not find player ID for server save');
-                return;
-            }
-            
-            // Get current billboard ammo from weaponManager
-            let billboardAmmo = 0;
-            
-            if (game.weaponManager && game.weaponManager.billboardGun) {
-                billboardAmmo = game.weaponManager.billboardGun.ammo;
-            }
-            
-            // Create data to send to server
-            const ammoData = {
-                type: 'player_save_ammo',
-                playerId: playerId,
-                shootingAmmo: newAmmo,
-                billboardAmmo: billboardAmmo
-            };
-            
-            console.log('Saving ammo to server:', ammoData);
-            
-            // Send to server if WebSocket is available
-            if (game.webSocket && game.webSocket.readyState === WebSocket.OPEN) {
-                game.webSocket.send(JSON.stringify(ammoData));
-                console.log('Saved updated ammo to server (via webSocket)');
-            } else if (game.socket && game.socket.readyState === WebSocket.OPEN) {
-                // Try alternate socket property name
-                game.socket.send(JSON.stringify(ammoData));
-                console.log('Saved updated ammo to server (via socket)');
-            } else {
-                console.warn('WebSocket not available, ammo not saved to server');
-            }
-        } catch (error) {
-            console.error('Error saving ammo to server:', error);
-        }
-    }
-    
     /**
      * Create a ShootingAmmoPowerup from data object
      * @param {Object} data Data representation of a powerup
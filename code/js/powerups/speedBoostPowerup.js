@@ -0,0 +1,48 @@
+// speedBoostPowerup.js - Speed Boost Powerup - 2026-10-19
+
+/**
+ * Speed Boost Powerup
+ * Makes the player move faster for a while
+ * Appears as a glowing box with "Speed" text
+ */
+class SpeedBoostPowerup extends TimedEffectPowerup {
+    /**
+     * Constructor for SpeedBoostPowerup
+     * @param {Object} params Configuration parameters
+     */
+    constructor(params = {}) {
+        // Set default parameters for this powerup type
+        const speedBoostParams = {
+            ...params,
+            type: 'speed_boost',
+            text: params.text || 'Speed',
+            color: params.color || '#00BFFF', // Blue color
+            size: params.size || 1.5,
+            effectAmount: params.effectAmount || 1.5, // Move 50% faster
+            effectDuration: params.effectDuration || 15000,
+            stacking: params.stacking || 'extend'
+        };
+        
+        // Call parent constructor
+        super(speedBoostParams);
+    }
+    
+    /**
+     * Create a SpeedBoostPowerup from data object
+     * @param {Object} data Data representation of a powerup
+     * @returns {SpeedBoostPowerup} New powerup instance
+     */
+    static fromData(data) {
+        return new SpeedBoostPowerup(data);
+    }
+}
+
+// Register SpeedBoostPowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.SpeedBoostPowerup = SpeedBoostPowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeedBoostPowerup;
+}
@@ -0,0 +1,75 @@
+// timedEffectPowerup.js - Base class for powerups that give a timed status effect - 2026-10-19
+
+/**
+ * Timed Effect Powerup
+ * Gives the player a status effect for effectDuration ms instead of an instant bonus.
+ * effectAmount is the effect's multiplier and stacking decides how a second pickup
+ * combines with a running effect: 'refresh', 'extend' or 'stack' (up to maxStacks).
+ */
+class TimedEffectPowerup extends Powerup {
+    /**
+     * Constructor for TimedEffectPowerup
+     * @param {Object} params Configuration parameters
+     * @param {String} params.stacking How repeat pickups combine (default: 'refresh')
+     * @param {Number} params.maxStacks Most stacks for the 'stack' rule (default: 1)
+     */
+    constructor(params = {}) {
+        super({
+            ...params,
+            effectTarget: 'player'
+        });
+
+        this.stacking = params.stacking || 'refresh';
+        this.maxStacks = params.maxStacks || 1;
+    }
+
+    /**
+     * Apply this powerup's effect. The server starts or renews the status effect when
+     * it accepts the pickup and sends the player's effects in a status_effects message,
+     * so this only announces it.
+     * @param {Object} game The game object to apply the effect to
+     * @param {Object} granted What the server granted ({effect: {type, amount, stacks, expiresAt}})
+     * @returns {Boolean} True if effect was applied successfully
+     */
+    applyEffect(game, granted = {}) {
+        if (!game) {
+            console.error(`Cannot apply ${this.type} powerup: Game object is undefined`);
+            return false;
+        }
+
+        const effect = granted.effect;
+        if (!effect) {
+            console.warn(`Server granted no effect for ${this.type} powerup ${this.id}`);
+            return false;
+        }
+
+        const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+        const seconds = Math.round((effect.expiresAt - (game.statusEffects ? game.statusEffects.now() : Date.now())) / 1000);
+        Helpers.showNotification(`${this.text}${stacks} for ${seconds} seconds!`);
+        console.log(`${this.type} powerup collected! x${effect.amount}, ${effect.stacks} stack(s) (${this.stacking})`);
+
+        return true;
+    }
+
+    /**
+     * Convert this powerup to a data object for serialization
+     * @returns {Object} Data representation of this powerup
+     */
+    toData() {
+        return {
+            ...super.toData(),
+            stacking: this.stacking,
+            maxStacks: this.maxStacks
+        };
+    }
+}
+
+// Register TimedEffectPowerup class globally if in browser environment
+if (typeof window !== 'undefined') {
+    window.TimedEffectPowerup = TimedEffectPowerup;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimedEffectPowerup;
+}
@@ -0,0 +1,153 @@
+// leaderboard.js - In-game territory leaderboard panel - 2026-10-19
+
+/**
+ * Leaderboard panel showing the server's player ranking by billboard area,
+ * damage dealt and billboards destroyed, plus each faction's territory. Updates arrive as leaderboard_update
+ * messages; the panel is toggled with the L key.
+ */
+class Leaderboard {
+    /**
+     * Create the leaderboard panel
+     * @param {Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.entries = [];
+        this.teams = [];
+        this.totalPlayers = 0;
+        this.isVisible = false;
+
+        this.panel = document.getElementById('leaderboard-panel');
+        this.tableBody = document.getElementById('leaderboard-entries');
+        this.teamList = document.getElementById('leaderboard-teams');
+        this.summary = document.getElementById('leaderboard-summary');
+    }
+
+    /**
+     * Ask the server for the current leaderboard
+     */
+    request() {
+        if (!this.game.socket || this.game.socket.readyState !== WebSocket.OPEN) return;
+
+        this.game.socket.send(JSON.stringify({
+            type: 'request_leaderboard'
+        }));
+    }
+
+    /**
+     * Apply a leaderboard_update message from the server
+     * @param {Object} data - Leaderboard data with ranked entries
+     */
+    update(data) {
+        if (!data || !Array.isArray(data.entries)) {
+            console.warn('Received invalid leaderboard data:', data);
+            return;
+        }
+
+        this.entries = data.entries;
+        this.teams = data.teams || [];
+        this.totalPlayers = data.totalPlayers || data.entries.length;
+
+        // Only redraw while the panel is open
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        this.isVisible = !this.isVisible;
+
+        if (this.panel) {
+            this.panel.style.display = this.isVisible ? 'block' : 'none';
+        }
+
+        if (this.isVisible) {
+            this.render();
+            // Refresh in case we missed updates while hidden
+            this.request();
+        }
+    }
+
+    /**
+     * Draw the ranking table
+     */
+    render() {
+        if (!this.tableBody) return;
+
+        const playerId = this.game.persistence ? this.game.persistence.playerId : null;
+
+        // Clear existing rows
+        this.tableBody.innerHTML = '';
+
+        if (this.entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 5;
+            cell.textContent = 'No billboards planted yet';
+            row.appendChild(cell);
+            this.tableBody.appendChild(row);
+        }
+
+        this.entries.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.playerId === playerId) {
+                row.classList.add('leaderboard-self');
+            }
+
+            // Use textContent so usernames can't inject markup
+            [
+                entry.rank,
+                entry.username,
+                Math.round(entry.area),
+                entry.damageDealt.toFixed(1),
+                entry.billboardsDestroyed
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            this.tableBody.appendChild(row);
+        });
+
+        this.renderTeams();
+        
+        if (this.summary) {
+            this.summary.textContent = `${this.totalPlayers} player${this.totalPlayers === 1 ? '' : 's'} ranked`;
+        }
+    }
+
+    /**
+     * Draw the per-faction territory tally above the player ranking
+     */
+    renderTeams() {
+        if (!this.teamList) return;
+        
+        this.teamList.innerHTML = '';
+        
+        this.teams.forEach(team => {
+            const row = document.createElement('div');
+            row.className = 'leaderboard-team';
+            row.style.borderLeftColor = team.color;
+            if (team.team === this.game.team) {
+                row.classList.add('leaderboard-self');
+            }
+            
+            const name = document.createElement('span');
+            name.textContent = `${team.name} (${team.members})`;
+            
+            const area = document.createElement('span');
+            area.textContent = `${Math.round(team.area)} area, ${team.billboards} signs`;
+            
+            row.appendChild(name);
+            row.appendChild(area);
+            this.teamList.appendChild(row);
+        });
+    }
+}
+
+// Export the class
+window.Leaderboard = Leaderboard;
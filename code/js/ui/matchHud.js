@@ -0,0 +1,140 @@
+// matchHud.js - Match mode countdown and round results screen - 2026-10-19
+
+/**
+ * Shows the server's match phase (lobby countdown, round timer) and the results
+ * screen at the end of a round. Only visible while the server runs match mode;
+ * state arrives as match_state and match_results messages.
+ */
+class MatchHud {
+    /**
+     * Create the match HUD
+     * @param {Game} game - Reference to the game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.phase = 'idle';
+        this.round = 0;
+        this.phaseEndsAt = null;
+        this.clockOffset = 0; // Server time minus local time
+        this.tickTimer = null;
+
+        this.timer = document.getElementById('match-timer');
+        this.resultsPanel = document.getElementById('match-results');
+        this.resultsTitle = document.getElementById('match-results-title');
+        this.resultsTeams = document.getElementById('match-results-teams');
+        this.resultsPlayers = document.getElementById('match-results-players');
+    }
+
+    /**
+     * Apply a match_state message from the server
+     * @param {Object} data - Phase, round number and when the phase ends
+     */
+    updateState(data) {
+        this.phase = data.phase;
+        this.round = data.round;
+        this.phaseEndsAt = data.phaseEndsAt;
+        this.clockOffset = data.serverTime - Date.now();
+
+        // The results screen stays up until the next lobby opens
+        if (this.phase !== 'results' && this.resultsPanel) {
+            this.resultsPanel.style.display = 'none';
+        }
+
+        if (this.phase === 'round') {
+            Helpers.showNotification(`Round ${this.round} has started - plant and defend your billboards!`);
+        }
+
+        if (!this.tickTimer) {
+            this.tickTimer = setInterval(() => this.renderTimer(), 1000);
+        }
+        this.renderTimer();
+    }
+
+    /**
+     * Seconds left in the current phase by the server's clock
+     * @returns {number} - Whole seconds remaining
+     */
+    getSecondsLeft() {
+        if (!this.phaseEndsAt) return 0;
+        return Math.max(0, Math.ceil((this.phaseEndsAt - (Date.now() + this.clockOffset)) / 1000));
+    }
+
+    /**
+     * Draw the phase and countdown in the HUD
+     */
+    renderTimer() {
+        if (!this.timer) return;
+
+        if (this.phase === 'idle') {
+            this.timer.style.display = 'none';
+            return;
+        }
+
+        const labels = {
+            lobby: `Round ${this.round + 1} starts in`,
+            round: `Round ${this.round}`,
+            results: 'Next lobby in'
+        };
+
+        this.timer.style.display = 'block';
+        this.timer.textContent = `${labels[this.phase] || this.phase} ${Helpers.formatTime(this.getSecondsLeft())}`;
+    }
+
+    /**
+     * Show the results screen for a finished round
+     * @param {Object} data - Player and team scores by billboard area held
+     */
+    showResults(data) {
+        if (!this.resultsPanel) return;
+
+        if (this.resultsTitle) {
+            this.resultsTitle.textContent = `Round ${data.round} results`;
+        }
+
+        // Use textContent so usernames can't inject markup
+        if (this.resultsTeams) {
+            this.resultsTeams.innerHTML = '';
+            data.teams.forEach((team, index) => {
+                const row = document.createElement('div');
+                row.className = 'leaderboard-team';
+                row.style.borderLeftColor = team.color;
+                row.textContent = `${index + 1}. ${team.name} - ${Math.round(team.area)} area`;
+                this.resultsTeams.appendChild(row);
+            });
+        }
+
+        if (this.resultsPlayers) {
+            this.resultsPlayers.innerHTML = '';
+            const playerId = this.game.persistence ? this.game.persistence.playerId : null;
+
+            if (data.players.length === 0) {
+                const row = document.createElement('tr');
+                const cell = document.createElement('td');
+                cell.colSpan = 3;
+                cell.textContent = 'Nobody held any territory';
+                row.appendChild(cell);
+                this.resultsPlayers.appendChild(row);
+            }
+
+            data.players.forEach(entry => {
+                const row = document.createElement('tr');
+                if (entry.playerId === playerId) {
+                    row.classList.add('leaderboard-self');
+                }
+
+                [entry.rank, entry.username, Math.round(entry.area)].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+
+                this.resultsPlayers.appendChild(row);
+            });
+        }
+
+        this.resultsPanel.style.display = 'block';
+    }
+}
+
+// Export the class
+window.MatchHud = MatchHud;
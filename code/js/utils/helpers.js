@@ -394,6 +394,16 @@ const Helpers = {
         }, duration);
     },
 
+    /**
+     * Look up a configured faction by id
+     * @param {string} teamId - Faction id
+     * @returns {Object|null} The faction ({id, name, color}) or null when unknown or teams are off
+     */
+    getFaction: function(teamId) {
+        if (!teamId || !CONFIG.teams || !CONFIG.teams.enabled) return null;
+        return CONFIG.teams.factions.find(faction => faction.id === teamId) || null;
+    },
+
     /**
      * Format number with commas
      * @param {number} x - The number to format
@@ -406,75 +416,22 @@ const Helpers = {
     /**
      * Execute admin commands
      * @param {string} command - The command to execute
+     * @param {Object} args - Command arguments
      */
-    executeAdminCommand: function(command) {
+    executeAdminCommand: function(command, args) {
         if (!window.game) {
             console.error('Game instance not available');
             return;
         }
         
         if (typeof window.game.executeAdminCommand === 'function') {
-            window.game.executeAdminCommand(command);
+            window.game.executeAdminCommand(command, args);
         } else {
             console.error('Admin command execution not available');
         }
     }
 };
 
-/**
- * Seeded random number generator based on the xorshift algorithm
- * This ensures that the same seed will produce the same sequence of random numbers
- * for all players, allowing for consistent world generation
- */
-Helpers.SeededRandom = class {
-    /**
-     * Create a new seeded random number generator
-     * @param {number} seed - The seed to use for random number generation
-     */
-    constructor(seed) {
-        // Use seed or default to 1
-        this.seed = seed || 1;
-        // Initialize state with the seed
-        this._state = this.seed;
-    }
-
-    /**
-     * Get the next random number between 0 and 1
-     * @returns {number} - Random number between 0 and 1
-     */
-    next() {
-        // XORShift algorithm - simple but effective for non-cryptographic purposes
-        let x = this._state;
-        x ^= x << 13;
-        x ^= x >> 17;
-        x ^= x << 5;
-        this._state = x;
-        
-        // Convert to a number between 0 and 1 (inclusive of 0, exclusive of 1)
-        return (x >>> 0) / 4294967296;
-    }
-    
-    /**
-     * Get a random number between min and max (inclusive)
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @returns {number} - Random number between min and max
-     */
-    nextRange(min, max) {
-        return min + this.next() * (max - min);
-    }
-    
-    /**
-     * Get a random integer between min and max (inclusive)
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
-     * @returns {number} - Random integer between min and max
-     */
-    nextInt(min, max) {
-        return Math.floor(this.nextRange(min, max + 1));
-    }
-};
-
 // Export as a module if in a module context
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Helpers;
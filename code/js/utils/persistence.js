@@ -12,6 +12,9 @@ class PlayerPersistence {
     constructor(game) {
         this.game = game;
         this.playerId = null;
+        this.token = null; // Session token issued by the server, required on player-scoped messages
+        this.legacyPlayerId = null; // Id from before sessions whose progress the server hasn't moved over yet
+        this.accountClaimed = false; // Whether the account is protected by a password or recovery code
         this.autoSaveInterval = null;
         this.autoSaveDelay = CONFIG.persistence.autoSaveDelay * 1000; // Convert to milliseconds
         this.isInitialized = false;
@@ -25,20 +28,40 @@ class PlayerPersistence {
      * @returns {Promise} - Resolves when initialization is complete
      */
     async initialize() {
-        // Check if player ID exists in localStorage
+        // Check if player ID and session token exist in localStorage
         this.playerId = localStorage.getItem('vandalsOnMarsPlayerId');
+        this.token = localStorage.getItem('vandalsOnMarsSessionToken');
+        this.legacyPlayerId = localStorage.getItem('vandalsOnMarsLegacyPlayerId');
         
-        // If no player ID exists, generate and save a new one
+        // The server issues (or confirms) our player ID along with a session token
+        let session = null;
+        try {
+            session = await this.startSession();
+        } catch (error) {
+            console.warn('Could not start a server session:', error);
+        }
+        
+        // Offline: keep a local ID so the game still works, but nothing is saved
         if (!this.playerId) {
             this.playerId = this.generatePlayerId();
             localStorage.setItem('vandalsOnMarsPlayerId', this.playerId);
             console.log(`New player ID generated: ${this.playerId}`);
-        } else {
+        }
+        
+        if (session && session.created) {
+            // Nothing to restore yet, but the load request also grants the starting daily bonus
+            this.loadPlayerData().catch(error => console.warn('Initial player data request failed:', error));
+        } else if (session) {
             console.log(`Existing player ID found: ${this.playerId}`);
             // Try to load saved player data
             await this.loadPlayerData();
         }
         
+        // Hand the server our old id right away rather than at the first auto-save
+        if (session && this.legacyPlayerId) {
+            this.savePlayerData();
+        }
+        
         // Set up auto-save interval
         this.startAutoSave();
         
@@ -46,6 +69,153 @@ class PlayerPersistence {
         return this.playerId;
     }
     
+    /**
+     * Send a message and wait for the server's reply of a given type
+     * @param {Object} message - Message to send
+     * @param {string} responseType - Message type that answers it
+     * @returns {Promise} - Resolves with the reply, rejects with the server's error message
+     */
+    requestFromServer(message, responseType) {
+        return new Promise((resolve, reject) => {
+            const socket = this.game ? this.game.socket : null;
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                reject('Not connected to server');
+                return;
+            }
+            
+            const responseTimeout = setTimeout(() => {
+                socket.removeEventListener('message', onResponse);
+                reject(`${message.type} timed out`);
+            }, 5000);
+            
+            const onResponse = (event) => {
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (error) {
+                    return;
+                }
+                
+                if (data.type === responseType || (data.type === 'error' && data.requestType === message.type)) {
+                    clearTimeout(responseTimeout);
+                    socket.removeEventListener('message', onResponse);
+                    
+                    if (data.type === 'error') {
+                        reject(data.message);
+                    } else {
+                        resolve(data);
+                    }
+                }
+            };
+            
+            socket.addEventListener('message', onResponse);
+            socket.send(JSON.stringify(message));
+        });
+    }
+    
+    /**
+     * Ask the server for a session, resuming our stored player if the token is still valid
+     * @returns {Promise} - Resolves with the session message
+     */
+    async startSession() {
+        const message = { type: 'session_start' };
+        if (this.playerId) message.playerId = this.playerId;
+        if (this.token) message.token = this.token;
+        
+        const session = await this.requestFromServer(message, 'session');
+        
+        // An id without a token comes from before sessions; the server moves its progress
+        // to the new id once we send it along with a save on this same connection
+        if (this.playerId && !this.token && session.playerId !== this.playerId) {
+            this.legacyPlayerId = this.playerId;
+            localStorage.setItem('vandalsOnMarsLegacyPlayerId', this.legacyPlayerId);
+        }
+        
+        this.applySession(session);
+        return session;
+    }
+    
+    /**
+     * Store the player ID and token the server issued
+     * @param {Object} session - Session message from the server
+     */
+    applySession(session) {
+        if (this.playerId && this.playerId !== session.playerId) {
+            console.log(`Server assigned player ID ${session.playerId} (was ${this.playerId})`);
+        }
+        
+        this.playerId = session.playerId;
+        this.token = session.token;
+        this.accountClaimed = session.claimed;
+        
+        localStorage.setItem('vandalsOnMarsPlayerId', this.playerId);
+        localStorage.setItem('vandalsOnMarsSessionToken', this.token);
+    }
+    
+    /**
+     * Forget the old id once the server has answered, and load the progress it moved over
+     * @param {Object} data - legacy_migration message from the server
+     */
+    handleLegacyMigration(data) {
+        if (data.legacyPlayerId !== this.legacyPlayerId) return;
+        
+        this.legacyPlayerId = null;
+        localStorage.removeItem('vandalsOnMarsLegacyPlayerId');
+        
+        if (data.migrated) {
+            console.log(`Progress from ${data.legacyPlayerId} moved to ${data.playerId}`);
+            this.loadPlayerData().catch(error => console.warn('Player data reload failed:', error));
+        }
+    }
+    
+    /**
+     * Protect this account so it can be recovered from another browser
+     * @param {string} [password] - Optional password for logging in with the username
+     * @returns {Promise} - Resolves with the new recovery code
+     */
+    async claimAccount(password) {
+        const message = {
+            type: 'account_claim',
+            playerId: this.playerId,
+            token: this.token
+        };
+        
+        if (password) {
+            message.password = password;
+            message.username = this.game.usernameInput ? this.game.usernameInput.value.trim() : this.game.username;
+        }
+        
+        const result = await this.requestFromServer(message, 'account_claimed');
+        this.accountClaimed = true;
+        return result.recoveryCode;
+    }
+    
+    /**
+     * Switch to a claimed account and load its progress
+     * @param {Object} credentials - {username, password} or {recoveryCode}
+     * @returns {Promise} - Resolves with the loaded player data
+     */
+    async loginAccount(credentials) {
+        const session = await this.requestFromServer({ type: 'account_login', ...credentials }, 'session');
+        this.applySession(session);
+        return this.loadPlayerData();
+    }
+    
+    /**
+     * Join a team, or let the server balance us onto one
+     * @param {string} team - Faction id or 'auto'
+     * @returns {Promise} - Resolves with the team the server assigned (null when teams are off)
+     */
+    async setTeam(team) {
+        const result = await this.requestFromServer({
+            type: 'player_set_team',
+            playerId: this.playerId,
+            token: this.token,
+            team: team
+        }, 'team_assigned');
+        return result.team;
+    }
+    
     /**
      * Generate a unique player ID
      * @returns {string} - A new unique ID
@@ -130,6 +300,7 @@ class PlayerPersistence {
         const playerData = {
             type: 'player_save_data',
             playerId: this.playerId,
+            token: this.token,
             username: this.game.username,
             billboardText: billboardText,
             position: playerPosition ? {
@@ -142,6 +313,10 @@ class PlayerPersistence {
             timestamp: Date.now()
         };
         
+        if (this.legacyPlayerId) {
+            playerData.legacyPlayerId = this.legacyPlayerId;
+        }
+        
         // Send data to server
         if (this.game.socket.readyState === WebSocket.OPEN) {
             this.game.socket.send(JSON.stringify(playerData));
@@ -202,6 +377,9 @@ class PlayerPersistence {
             }, 5000);
             
             const onLoadResponse = (event) => {
+                // Binary frames only carry positions and billboard resizes
+                if (typeof event.data !== 'string') return;
+                
                 try {
                     const data = JSON.parse(event.data);
                     
@@ -212,6 +390,14 @@ class PlayerPersistence {
                         
                         console.log('Received player data response:', data);
                         
+                        // Credits and slots are sent even for players without saved data
+                        if (typeof data.credits === 'number' && typeof this.game.setCredits === 'function') {
+                            this.game.setCredits(data.credits);
+                        }
+                        if (typeof data.billboardSlots === 'number' && typeof this.game.setBillboardSlots === 'function') {
+                            this.game.setBillboardSlots(data.billboardSlots);
+                        }
+                        
                         // Check if data was found on server
                         if (data.found) {
                             // Apply the loaded data
@@ -233,7 +419,8 @@ class PlayerPersistence {
             // Send request for player data
             const loadRequest = {
                 type: 'player_load_data',
-                playerId: this.playerId
+                playerId: this.playerId,
+                token: this.token
             };
             
             // Send the request
@@ -260,6 +447,14 @@ class PlayerPersistence {
             console.log(`Username set to: ${data.username}`);
         }
         
+        // Remember the team so the start screen offers it again
+        if (data.team) {
+            this.game.team = data.team;
+            if (this.game.teamSelect) {
+                this.game.teamSelect.value = data.team;
+            }
+        }
+        
         // Set billboard text if available
         if (data.billboardText) {
             this.game.billboardText = data.billboardText;
@@ -345,6 +540,7 @@ class PlayerPersistence {
         const ammoData = {
             type: 'player_save_ammo',
             playerId: this.playerId,
+            token: this.token,
             shootingAmmo: shootingAmmo,
             billboardAmmo: billboardAmmo,
             timestamp: Date.now()
@@ -370,6 +566,7 @@ class PlayerPersistence {
         const textData = {
             type: 'player_save_billboard_text',
             playerId: this.playerId,
+            token: this.token,
             billboardText: text,
             timestamp: Date.now()
         };
@@ -401,6 +598,7 @@ class PlayerPersistence {
             const message = {
                 type: 'player_save_username',
                 playerId: this.playerId,
+                token: this.token,
                 username: username,
                 timestamp: Date.now()
             };
@@ -0,0 +1,394 @@
+// protocol.js - Shared WebSocket message protocol for client and server - 2026-10-19
+
+/**
+ * Every message exchanged over the game socket, keyed by direction and type.
+ * Field specs are type names ('string', 'number', 'boolean', 'object', 'array',
+ * 'vector', 'quaternion', 'any'); a trailing '?' marks the field optional.
+ * Fields not listed are allowed in incoming messages but never relayed: messages passed
+ * on to other players are rebuilt from the listed fields with pick().
+ *
+ * Bump VERSION whenever a message changes shape incompatibly.
+ */
+const Protocol = {
+    VERSION: 2,
+
+    /**
+     * Encodings a connection can switch to with set_encoding. Binary only covers the
+     * high-frequency messages below; everything else stays JSON.
+     */
+    ENCODINGS: ['json', 'binary'],
+
+    /**
+     * First byte of each binary frame
+     */
+    BINARY_KINDS: {
+        PLAYER_POSITION: 1, // entity id, quantized spherical position, smallest-three quaternion
+        BILLBOARD_UPDATE: 2 // billboard net id, size and health
+    },
+
+    /**
+     * Messages a client may send to the server. Player-scoped ones (those naming a
+     * playerId or player_id) must also carry the session token issued for that player.
+     */
+    CLIENT_MESSAGES: {
+        session_start: { playerId: 'string?', token: 'string?' },
+        account_claim: { playerId: 'string', token: 'string', username: 'string?', password: 'string?' },
+        account_login: { username: 'string?', password: 'string?', recoveryCode: 'string?' },
+        player_join: { username: 'string', timestamp: 'number', protocolVersion: 'number?' },
+        player_position: {
+            username: 'string',
+            playerId: 'string?',
+            position: 'vector',
+            rotation: 'vector?',
+            quaternion: 'quaternion?',
+            timestamp: 'number'
+        },
+        player_load_data: { playerId: 'string' },
+        player_save_data: {
+            playerId: 'string',
+            username: 'string?',
+            billboardText: 'string?',
+            position: 'vector?',
+            shootingAmmo: 'number?',
+            billboardAmmo: 'number?',
+            legacyPlayerId: 'string?'
+        },
+        player_save_ammo: { playerId: 'string', shootingAmmo: 'number?', billboardAmmo: 'number?' },
+        player_save_billboard_text: { playerId: 'string', billboardText: 'string' },
+        player_save_username: { playerId: 'string', username: 'string' },
+        billboard_data: {
+            id: 'string',
+            position: 'vector',
+            quaternion: 'quaternion?',
+            text: 'string?',
+            owner: 'string?',
+            player_id: 'string?'
+        },
+        billboard_remove: { id: 'string', player_id: 'string?' },
+        shot_fired: { playerId: 'string', origin: 'vector', direction: 'vector' },
+        shop_purchase: { playerId: 'string', item: 'string', billboardId: 'string?' },
+        player_set_team: { playerId: 'string', team: 'string' },
+        billboard_report: { playerId: 'string', billboardId: 'string', reason: 'string?' },
+        powerup_collected: { powerupId: 'string', powerupType: 'string?', playerId: 'string?' },
+        request_billboards: {},
+        request_powerups: {},
+        request_leaderboard: { sortBy: 'string?' },
+        request_terrain_data: {},
+        admin_auth: { adminToken: 'string' },
+        admin_command: { command: 'string', args: 'object?' },
+        set_encoding: { encoding: 'string' }
+    },
+
+    /**
+     * Messages the server may send to a client, including relayed player messages
+     */
+    SERVER_MESSAGES: {
+        server_hello: { protocolVersion: 'number', encodings: 'array?' },
+        encoding_set: { encoding: 'string', entityId: 'number' },
+        error: { code: 'string', message: 'string', requestType: 'string?' },
+        session: { playerId: 'string', token: 'string', created: 'boolean', claimed: 'boolean' },
+        account_claimed: { playerId: 'string', recoveryCode: 'string' },
+        player_join: { username: 'string' },
+        player_left: { username: 'string' },
+        player_roster: { players: 'array' },
+        world_summary: { players: 'array', billboards: 'array', powerups: 'array' },
+        player_position: { username: 'string', position: 'vector', quaternion: 'quaternion?' },
+        player_data_response: { playerId: 'string', found: 'boolean' },
+        billboard_data: { id: 'string', position: 'vector' },
+        all_billboards: { billboards: 'array' },
+        billboard_removed: { id: 'string' },
+        billboard_rejected: { id: 'string', error: 'string' },
+        powerup_spawned: { powerup: 'object' },
+        powerup_removed: { id: 'string' },
+        powerup_result: {
+            playerId: 'string?',
+            powerupId: 'string',
+            powerupType: 'string?',
+            success: 'boolean',
+            code: 'string?',
+            error: 'string?',
+            granted: 'object?'
+        },
+        all_powerups: { powerups: 'array' },
+        terrain_data: { terrainData: 'object' },
+        ammo_update: { playerId: 'string', shootingAmmo: 'number', billboardAmmo: 'number' },
+        credits_update: { playerId: 'string', credits: 'number' },
+        slots_update: { playerId: 'string', billboardSlots: 'number', billboardsOwned: 'number' },
+        purchase_result: { playerId: 'string', item: 'string', success: 'boolean' },
+        status_effects: { playerId: 'string', serverTime: 'number', effects: 'array' },
+        team_assigned: { playerId: 'string', team: 'string?' },
+        legacy_migration: { playerId: 'string', legacyPlayerId: 'string', migrated: 'boolean' },
+        report_result: { billboardId: 'string', success: 'boolean', error: 'string?' },
+        world_time: { phase: 'number', cycleLength: 'number' },
+        leaderboard_update: { entries: 'array', teams: 'array?' },
+        match_state: { phase: 'string', round: 'number', phaseEndsAt: 'number?', serverTime: 'number' },
+        match_results: { round: 'number', players: 'array', teams: 'array' },
+        admin_command: { command: 'string' },
+        admin_auth_result: { success: 'boolean' },
+        admin_result: { command: 'string', success: 'boolean', message: 'string' },
+        announcement: { message: 'string' },
+        config_updated: { config: 'object', source: 'string?' }
+    },
+
+    /**
+     * Check a single value against a field type
+     * @param {*} value - Value to check
+     * @param {string} type - Field type name without the optional marker
+     * @returns {boolean} - True if the value matches
+     */
+    matchesType: function(value, type) {
+        const isNumber = n => typeof n === 'number' && Number.isFinite(n);
+
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return isNumber(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'vector':
+                return !!value && isNumber(value.x) && isNumber(value.y) && isNumber(value.z);
+            case 'quaternion':
+                return !!value && isNumber(value.x) && isNumber(value.y) && isNumber(value.z) && isNumber(value.w);
+            case 'any':
+                return true;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Validate a message against one direction's schemas
+     * @param {Object} schemas - CLIENT_MESSAGES or SERVER_MESSAGES
+     * @param {Object} message - Parsed message
+     * @returns {Object|null} - {code, message} describing the problem, or null if valid
+     */
+    validate: function(schemas, message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return { code: 'malformed_message', message: 'Message must be a JSON object' };
+        }
+
+        if (typeof message.type !== 'string') {
+            return { code: 'malformed_message', message: 'Message is missing a type' };
+        }
+
+        const schema = Object.prototype.hasOwnProperty.call(schemas, message.type) ? schemas[message.type] : null;
+        if (!schema) {
+            return { code: 'unknown_type', message: `Unknown message type: ${message.type}` };
+        }
+
+        for (const [field, spec] of Object.entries(schema)) {
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
+            const value = message[field];
+
+            if (value === undefined || value === null) {
+                if (optional) continue;
+                return { code: 'invalid_field', message: `${message.type}.${field} is required` };
+            }
+
+            if (!this.matchesType(value, type)) {
+                return { code: 'invalid_field', message: `${message.type}.${field} must be a ${type}` };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Copy of a message with only its type and the fields its schema lists. Vectors and
+     * quaternions keep only their components, so nothing a client tacked on is relayed.
+     * @param {Object} schemas - CLIENT_MESSAGES or SERVER_MESSAGES
+     * @param {Object} message - Message that already passed validate()
+     * @returns {Object} - The trimmed message
+     */
+    pick: function(schemas, message) {
+        const picked = { type: message.type };
+
+        for (const [field, spec] of Object.entries(schemas[message.type] || {})) {
+            const value = message[field];
+            if (value === undefined || value === null) continue;
+
+            const type = spec.endsWith('?') ? spec.slice(0, -1) : spec;
+            if (type === 'vector') {
+                picked[field] = { x: value.x, y: value.y, z: value.z };
+            } else if (type === 'quaternion') {
+                picked[field] = { x: value.x, y: value.y, z: value.z, w: value.w };
+            } else {
+                picked[field] = value;
+            }
+        }
+
+        return picked;
+    },
+
+    /**
+     * Encode a player position as a 22-byte binary frame
+     * @param {number} entityId - Sender's numeric entity id
+     * @param {Object} position - {x, y, z}
+     * @param {Object|null} quaternion - {x, y, z, w}, or null
+     * @param {number} timestamp - Sender's clock time in ms
+     * @returns {ArrayBuffer} - Encoded frame
+     */
+    encodePlayerPosition: function(entityId, position, quaternion, timestamp) {
+        const buffer = new ArrayBuffer(22);
+        const view = new DataView(buffer);
+        const radius = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+        const phi = Math.acos(Math.max(-1, Math.min(1, position.y / (radius || 1))));
+        const theta = Math.atan2(position.z, position.x);
+
+        view.setUint8(0, this.BINARY_KINDS.PLAYER_POSITION);
+        view.setUint32(1, entityId, true);
+        // Only the low 32 bits; the receiver restores the rest from its own clock
+        view.setUint32(5, timestamp % 0x100000000, true);
+        view.setUint16(9, Math.round(phi / Math.PI * 0xffff), true);
+        view.setUint16(11, Math.round((theta + Math.PI) / (2 * Math.PI) * 0xffff), true);
+        view.setUint16(13, Math.min(0xffff, Math.round(radius * 100)), true);
+
+        if (!quaternion) {
+            view.setUint8(15, 0);
+            return buffer;
+        }
+
+        // Smallest three: drop the largest component (rebuilt from unit length) and
+        // store the others, which all lie within +/- 1/sqrt(2)
+        const components = [quaternion.x, quaternion.y, quaternion.z, quaternion.w];
+        let largest = 0;
+        for (let i = 1; i < 4; i++) {
+            if (Math.abs(components[i]) > Math.abs(components[largest])) largest = i;
+        }
+        const sign = components[largest] < 0 ? -1 : 1;
+
+        view.setUint8(15, 0x04 | largest);
+        let offset = 16;
+        for (let i = 0; i < 4; i++) {
+            if (i === largest) continue;
+            const scaled = Math.round(components[i] * sign * Math.SQRT2 * 32767);
+            view.setInt16(offset, Math.max(-32767, Math.min(32767, scaled)), true);
+            offset += 2;
+        }
+
+        return buffer;
+    },
+
+    /**
+     * Encode a billboard size/health change as a 13-byte binary frame
+     * @param {number} netId - Billboard's numeric id for this server session
+     * @param {Object} billboard - {width, height, health}
+     * @returns {ArrayBuffer} - Encoded frame
+     */
+    encodeBillboardUpdate: function(netId, billboard) {
+        const buffer = new ArrayBuffer(13);
+        const view = new DataView(buffer);
+
+        view.setUint8(0, this.BINARY_KINDS.BILLBOARD_UPDATE);
+        view.setUint32(1, netId, true);
+        view.setUint16(5, Math.min(0xffff, Math.round((billboard.width || 0) * 100)), true);
+        view.setUint16(7, Math.min(0xffff, Math.round((billboard.height || 0) * 100)), true);
+        view.setFloat32(9, billboard.health || 0, true);
+
+        return buffer;
+    },
+
+    /**
+     * Decode a binary frame
+     * @param {ArrayBuffer} buffer - Received frame
+     * @param {number} [now] - Receiver's clock, used to restore the full timestamp
+     * @returns {Object|null} - Decoded message, or null if the frame isn't understood
+     */
+    decodeBinary: function(buffer, now = Date.now()) {
+        if (!buffer || buffer.byteLength < 1) return null;
+
+        const view = new DataView(buffer);
+        const kind = view.getUint8(0);
+
+        if (kind === this.BINARY_KINDS.PLAYER_POSITION && buffer.byteLength === 22) {
+            const phi = view.getUint16(9, true) / 0xffff * Math.PI;
+            const theta = view.getUint16(11, true) / 0xffff * 2 * Math.PI - Math.PI;
+            const radius = view.getUint16(13, true) / 100;
+
+            // Signed difference of the low 32 bits puts the timestamp next to our own clock
+            const timestampDiff = (view.getUint32(5, true) - (now % 0x100000000)) | 0;
+
+            const message = {
+                type: 'player_position',
+                entityId: view.getUint32(1, true),
+                position: {
+                    x: radius * Math.sin(phi) * Math.cos(theta),
+                    y: radius * Math.cos(phi),
+                    z: radius * Math.sin(phi) * Math.sin(theta)
+                },
+                quaternion: null,
+                timestamp: now + timestampDiff
+            };
+
+            const flags = view.getUint8(15);
+            if (flags & 0x04) {
+                const largest = flags & 0x03;
+                const components = [];
+                let sumSquares = 0;
+                let offset = 16;
+                for (let i = 0; i < 4; i++) {
+                    if (i === largest) {
+                        components.push(0);
+                        continue;
+                    }
+                    const value = view.getInt16(offset, true) / 32767 / Math.SQRT2;
+                    components.push(value);
+                    sumSquares += value * value;
+                    offset += 2;
+                }
+                components[largest] = Math.sqrt(Math.max(0, 1 - sumSquares));
+                message.quaternion = { x: components[0], y: components[1], z: components[2], w: components[3] };
+            }
+
+            return message;
+        }
+
+        if (kind === this.BINARY_KINDS.BILLBOARD_UPDATE && buffer.byteLength === 13) {
+            return {
+                type: 'billboard_update',
+                netId: view.getUint32(1, true),
+                width: view.getUint16(5, true) / 100,
+                height: view.getUint16(7, true) / 100,
+                health: view.getFloat32(9, true)
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Build the error reply sent for a rejected message
+     * @param {Object} problem - {code, message} from validate
+     * @param {string} [requestType] - Type of the message being rejected
+     * @returns {Object} - Error message
+     */
+    createError: function(problem, requestType) {
+        const error = {
+            type: 'error',
+            code: problem.code,
+            message: problem.message
+        };
+
+        if (typeof requestType === 'string') {
+            error.requestType = requestType;
+        }
+
+        return error;
+    }
+};
+
+// Make Protocol available in the browser
+if (typeof window !== 'undefined') {
+    window.Protocol = Protocol;
+}
+
+// Export as a module if in a module context
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Protocol;
+}
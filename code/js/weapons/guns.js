@@ -143,6 +143,7 @@ class BillboardGun extends Gun {
         this.placedBillboards = []; // Array to track billboards
         this.ammo = options.ammo || 5; // Number of billboards that can be placed
         this.maxAmmo = options.maxAmmo || 5;
+        this.nightFactor = 0; // 0 in daylight, 1 at night - billboards glow brighter at night
         
         // Set up text canvas for billboard textures
         this.textCanvas = document.createElement('canvas');
@@ -259,13 +260,14 @@ class BillboardGun extends Gun {
             text: billboardText,
             owner: window.game ? window.game.getUsername() : "Anonymous",
             player_id: playerId,
-            billboard_category: "player"
+            billboard_category: "player",
+            team: window.game ? window.game.team : null
         };
         
         console.log(`Creating new billboard with size ${startSize}x${startSize} and health ${initialHealth}`);
         
         // Create text texture for the billboard
-        const textTexture = this.createTextTexture(billboardText, billboard.owner);
+        const textTexture = this.createTextTexture(billboardText, billboard.owner, billboard.team);
         
         // Create the sign part of the billboard (the actual display)
         const signGeometry = new THREE.PlaneGeometry(3.0, 2.0); // Base size
@@ -390,6 +392,9 @@ class BillboardGun extends Gun {
             billboardGroup.lookAt(cameraPosition);
         }
         
+        // Light for the current time of day
+        this.applyBillboardLighting(billboard);
+        
         // Add to scene and array
         this.scene.add(billboardGroup);
         this.placedBillboards.push(billboard);
@@ -438,6 +443,7 @@ class BillboardGun extends Gun {
         const height = data.height || startSize;
         const player_id = data.player_id || "unknown";
         const billboard_category = data.billboard_category || "player";
+        const team = data.team || null;
         
         // Calculate health based on size if not provided
         let health;
@@ -463,7 +469,7 @@ class BillboardGun extends Gun {
         const billboardGroup = new THREE.Group();
         
         // Create text texture for the billboard
-        const textTexture = this.createTextTexture(text, owner);
+        const textTexture = this.createTextTexture(text, owner, team);
         
         // Calculate scale factors based on ratio to starting size
         const widthScale = width / startSize;
@@ -577,9 +583,14 @@ class BillboardGun extends Gun {
             owner: owner,
             timestamp: timestamp,
             player_id: player_id,
-            billboard_category: billboard_category
+            billboard_category: billboard_category,
+            team: team,
+            textEditedAt: data.textEditedAt
         };
         
+        // Light for the current time of day
+        this.applyBillboardLighting(billboardObject);
+        
         // Add to the array of placed billboards
         this.placedBillboards.push(billboardObject);
         
@@ -627,13 +638,25 @@ class BillboardGun extends Gun {
             billboard.billboard_category = data.billboard_category;
         }
         
+        // Repaint the sign when the owner changes team or a moderator edits the text
+        const textEdited = data.textEditedAt && data.textEditedAt !== billboard.textEditedAt && data.text !== undefined;
+        if (textEdited) {
+            billboard.text = data.text;
+            billboard.owner = data.owner !== undefined ? data.owner : billboard.owner;
+            billboard.textEditedAt = data.textEditedAt;
+        }
+        if ((data.team !== undefined && data.team !== billboard.team) || textEdited) {
+            billboard.team = data.team !== undefined ? data.team : billboard.team;
+            this.repaintBillboardSign(billboard);
+        }
+        
         // Log health change
         if (oldHealth !== billboard.health) {
             console.log(`Billboard health changed from ${oldHealth} to ${billboard.health}`);
         }
         
         // DO NOT update text or owner - preserve the original values
-        // billboard.text and billboard.owner remain unchanged
+        // billboard.text and billboard.owner remain unchanged (except for moderator edits above)
         console.log(`Preserved original billboard text: "${billboard.text}" and owner: "${billboard.owner}"`);
         
         // Update position if provided
@@ -698,6 +721,25 @@ class BillboardGun extends Gun {
         return billboard;
     }
     
+    /**
+     * Redraw a billboard's sign texture, keeping its text and owner
+     * @param {Object} billboard - The billboard to repaint
+     */
+    repaintBillboardSign(billboard) {
+        const signMesh = billboard.mesh ? billboard.mesh.children[0] : null;
+        if (!signMesh || !signMesh.material) return;
+        
+        const oldTexture = signMesh.material.map;
+        const texture = this.createTextTexture(billboard.text, billboard.owner, billboard.team);
+        signMesh.material.map = texture;
+        signMesh.material.emissiveMap = texture;
+        signMesh.material.needsUpdate = true;
+        
+        if (oldTexture) {
+            oldTexture.dispose();
+        }
+    }
+    
     /**
      * Sync billboard with the server
      * @param {Object} billboard - The billboard to sync
@@ -737,9 +779,10 @@ class BillboardGun extends Gun {
      * Creates a text texture for the billboard
      * @param {string} text - The text to display on the billboard
      * @param {string} owner - The owner's name to display at the bottom
+     * @param {string} [team] - The owner's faction id; its color frames the sign
      * @returns {THREE.Texture} - The texture containing the text
      */
-    createTextTexture(text, owner) {
+    createTextTexture(text, owner, team) {
         console.log(`Creating new text texture with text: "${text}" and owner: "${owner}"`);
         
         // Create a canvas element for the texture
@@ -754,8 +797,9 @@ class BillboardGun extends Gun {
         context.fillStyle = '#ffffff';
         context.fillRect(0, 0, canvas.width, canvas.height);
         
-        // Border for the sign
-        context.strokeStyle = '#333333';
+        // Border for the sign, in the team color when the owner is on a team
+        const faction = window.Helpers ? Helpers.getFaction(team) : null;
+        context.strokeStyle = faction ? faction.color : '#333333';
         context.lineWidth = 8;
         context.strokeRect(4, 4, canvas.width - 8, canvas.height - 8);
         
@@ -818,7 +862,7 @@ class BillboardGun extends Gun {
         if (owner) {
             // Create green background for the bottom section with more padding
             const bottomSectionHeight = 54;
-            context.fillStyle = '#1c5b2e'; // Green background
+            context.fillStyle = faction ? faction.color : '#1c5b2e'; // Team color, green without a team
             context.fillRect(8, canvas.height - 8 - bottomSectionHeight, canvas.width - 16, bottomSectionHeight);
             
             // Set larger font size for owner text (increased from 0.7 to 0.9)
@@ -859,6 +903,13 @@ class BillboardGun extends Gun {
             return false;
         }
         
+        // Check billboard slots (the server enforces this too)
+        const slots = window.game ? window.game.billboardSlots : null;
+        if (slots && this.countOwnedBillboards() >= slots) {
+            Helpers.showNotification(`All ${slots} billboard slot${slots === 1 ? '' : 's'} in use`);
+            return false;
+        }
+        
         // Get ray from camera center
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(new THREE.Vector2(0, 0), this.playerCamera.camera);
@@ -913,24 +964,66 @@ class BillboardGun extends Gun {
         return true;
     }
 
+    /**
+     * Light all billboards for the time of day
+     * @param {number} nightFactor - 0 in full daylight, 1 at night
+     */
+    setNightLighting(nightFactor) {
+        this.nightFactor = nightFactor;
+        this.placedBillboards.forEach(billboard => this.applyBillboardLighting(billboard));
+    }
+    
+    /**
+     * Set a billboard's glow from the current night factor
+     * @param {Object} billboard - The billboard to light
+     */
+    applyBillboardLighting(billboard) {
+        if (!billboard || !billboard.mesh) return;
+        
+        const signMesh = billboard.mesh.children[0];
+        const leg = billboard.mesh.children[1]; // Both legs share one material
+        
+        if (signMesh && signMesh.material) {
+            signMesh.material.emissiveIntensity = 0.6 + 0.9 * this.nightFactor;
+        }
+        if (leg && leg.material) {
+            leg.material.emissiveIntensity = 0.3 + 0.4 * this.nightFactor;
+        }
+    }
+    
+    /**
+     * Count the billboards owned by the local player
+     * @returns {number} - Number of owned billboards
+     */
+    countOwnedBillboards() {
+        const playerId = window.game?.persistence?.playerId;
+        if (!playerId) return 0;
+        
+        return this.placedBillboards.filter(b => b.player_id === playerId).length;
+    }
+    
     /**
      * Sync billboard removal with the server
      * @param {Object} billboard - The billboard to remove
      */
     syncBillboardRemoval(billboard) {
-        if (!window.game || !window.game.socket || window.game.socket.readyState !== WebSocket.OPEN) {
-            console.log('Game or socket not available for removal sync');
+        if (!window.game || typeof window.game.sendOrQueue !== 'function') {
+            console.log('Game not available for removal sync');
             return;
         }
         
+        const persistence = window.game.persistence;
         const removalData = {
             type: 'billboard_remove',
             id: billboard.id,
+            player_id: billboard.player_id,
+            token: persistence ? persistence.token : undefined,
             timestamp: Date.now()
         };
         
-        window.game.socket.send(JSON.stringify(removalData));
-        console.log('Sent billboard removal sync to server:', billboard.id);
+        // Queued while offline and sent once the connection is back
+        window.game.sendOrQueue(removalData);
+        console.log('Synced billboard removal to server:', billboard.id);
     }
     
     /**
@@ -1010,6 +1103,7 @@ class ShooterGun extends Gun {
         this.ammo = this.options.ammo; // Set initial ammo
         this.maxAmmo = this.options.maxAmmo;
         this.fireRate = this.options.fireRate * 1000; // Convert seconds to milliseconds
+        this.fireRateMultiplier = 1; // Raised while a rapid fire powerup is active
         
         // Create the gun model
         this.createGunModel();
@@ -1065,7 +1159,7 @@ class ShooterGun extends Gun {
         const now = Date.now();
         
         // Check if enough time has passed since last fire
-        if (now - this.lastFired < this.fireRate) {
+        if (now - this.lastFired < this.fireRate / this.fireRateMultiplier) {
             return false;
         }
         
@@ -1109,6 +1203,11 @@ class ShooterGun extends Gun {
         this.scene.add(bullet);
         this.bullets.push(bullet);
         
+        // Tell the server about the shot - it decides what was hit and applies damage
+        if (window.game && typeof window.game.sendShotFired === 'function') {
+            window.game.sendShotFired(cameraPosition, direction);
+        }
+        
         // Create muzzle flash effect
         this.createMuzzleFlash();
         
@@ -1255,7 +1354,7 @@ class ShooterGun extends Gun {
                         // Create explosion at the impact point
                         this.createBulletImpactEffect(bulletPosition);
                         
-                        // Show hit effect and reduce billboard health
+                        // Show hit effect (damage itself is applied by the server)
                         this.showHitEffect(billboard);
                         
                         collided = true;
@@ -1269,11 +1368,13 @@ class ShooterGun extends Gun {
                 }
             }
             
-            // Remove bullets that have been flying for too long
+            // Remove bullets once they travel past the server's shoot range
             if (!collided) {
                 const now = Date.now();
                 const age = now - bullet.userData.createdAt;
-                if (age > 5000) { // 5 seconds
+                const shootRange = CONFIG.player?.shootRange || 50;
+                const maxAge = (shootRange / this.options.bulletSpeed) * 1000;
+                if (age > maxAge) {
                     this.scene.remove(bullet);
                     this.bullets.splice(i, 1);
                 }
@@ -1282,7 +1383,8 @@ class ShooterGun extends Gun {
     }
 
     /**
-     * Shows a hit effect when a bullet hits a billboard
+     * Shows a hit effect when a bullet hits a billboard.
+     * Purely visual - size, health and growth come back from the server as billboard_data.
      * @param {Object} billboard - The billboard that was hit
      */
     showHitEffect(billboard) {
@@ -1294,74 +1396,6 @@ class ShooterGun extends Gun {
         // Get the signMesh (first child of the billboard group)
         const signMesh = billboard.mesh.children[0];
         
-        // Get config values
-        const sizeDamagePerShot = CONFIG.billboard?.damagePerShot || 0.1;
-        const healthSizeMultiplier = CONFIG.billboard?.healthSizeMultiplier || 4;
-        const startSize = CONFIG.billboard?.startSize || 5;
-        
-        // Debug output for CONFIG values
-        console.log("CONFIG values in showHitEffect:");
-        console.log("- CONFIG.billboard.damagePerShot:", CONFIG.billboard?.damagePerShot);
-        console.log("- sizeDamagePerShot used:", sizeDamagePerShot);
-        console.log("- Full CONFIG.billboard:", JSON.stringify(CONFIG.billboard, null, 2));
-        
-        // Ensure billboard has width and height properties
-        if (typeof billboard.width === 'undefined') billboard.width = startSize;
-        if (typeof billboard.height === 'undefined') billboard.height = startSize;
-        
-        // Calculate current area and health from size
-        const currentArea = billboard.width * billboard.height;
-        const currentMaxHealth = currentArea * healthSizeMultiplier;
-        
-        // If health is not defined, initialize it based on current size
-        if (typeof billboard.health === 'undefined') {
-            billboard.health = currentMaxHealth;
-        }
-        
-        // Apply damage to size
-        const newWidth = Math.max(1, billboard.width - sizeDamagePerShot);
-        const newHeight = Math.max(1, billboard.height - sizeDamagePerShot);
-        
-        // Update size
-        billboard.width = newWidth;
-        billboard.height = newHeight;
-        
-        // Calculate new area and max health
-        const newArea = newWidth * newHeight;
-        const newMaxHealth = newArea * healthSizeMultiplier;
-        
-        // Update health proportionally to size change
-        billboard.health = newMaxHealth;
-        
-        console.log(`Billboard hit! Size reduced to: ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}, Health: ${billboard.health.toFixed(2)}`);
-        console.log(`Damage applied: ${sizeDamagePerShot.toFixed(2)} units`);
-        
-        // Calculate scale factors based on ratio to starting size
-        const widthScale = newWidth / startSize;
-        const heightScale = newHeight / startSize;
-        
-        // Scale the billboard meshes
-        if (signMesh) {
-            signMesh.scale.set(widthScale, heightScale, 1);
-        }
-        
-        // Scale the legs if they exist
-        const leftLeg = billboard.mesh.children[1];  // Left leg 
-        const rightLeg = billboard.mesh.children[2]; // Right leg
-        
-        if (leftLeg && rightLeg) {
-            // Scale legs for height
-            leftLeg.scale.y = heightScale;
-            rightLeg.scale.y = heightScale;
-            
-            // Adjust leg positions to maintain proportional distance from center
-            leftLeg.position.x = -1.2 * widthScale;
-            rightLeg.position.x = 1.2 * widthScale;
-            
-            // Adjust sign position to sit on top of the taller legs
-            signMesh.position.y = 2.8 * heightScale;
-        }
-        
         // Flash the billboard red
         if (signMesh && signMesh.material) {
             const originalColor = signMesh.material.color.clone();
@@ -1392,214 +1426,10 @@ class ShooterGun extends Gun {
         
         // Create impact particles
         this.createBulletImpactEffect(billboard.mesh.position);
-        
-        // Get information about the planet to reposition the billboard correctly
-        let globeCenter = new THREE.Vector3(0, 0, 0);   // Default center
-        let globeRadius = 100; // Default radius
-        
-        if (this.globe && this.globe.globe) {
-            globeCenter = this.globe.globe.position.clone();
-            globeRadius = this.globe.radius || 100;
-        }
-        
-        // Calculate the surface normal and position
-        const surfaceNormal = new THREE.Vector3().subVectors(billboard.position, globeCenter).normalize();
-        
-        // Add a ground sink factor for larger billboards
-        const groundSinkFactor = -0.2 * (heightScale / 10);
-        const surfacePosition = globeCenter.clone().add(
-            surfaceNormal.clone().multiplyScalar(globeRadius + groundSinkFactor)
-        );
-        
-        // Reposition the billboard with its base slightly sunk into the surface
-        const originalHeight = 4.0; // Original height in the model
-        const totalHeight = originalHeight * heightScale; // New scaled height
-        const centerOffset = totalHeight / 2; // Distance from base to center
-        
-        billboard.mesh.position.copy(surfacePosition);
-        billboard.mesh.position.add(surfaceNormal.clone().multiplyScalar(centerOffset));
-        
-        // Update the billboard's stored position
-        billboard.position = billboard.mesh.position.clone();
-        billboard.quaternion = billboard.mesh.quaternion.clone();
-        
-        // === GROW PLAYER'S BILLBOARDS ===
-        // Only grow player billboards if the hit billboard is not owned by the player
-        const sizeDamage = sizeDamagePerShot; // Use the same value for growth as for damage
-        if (this.weaponManager && this.weaponManager.billboardGun) {
-            // Check if the hit billboard is not owned by the player
-            const playerId = window.game?.persistence?.playerId;
-            if (playerId && billboard.player_id !== playerId) {
-                this.growPlayerBillboards(sizeDamage);
-            }
-        }
-        
-        // Sync the updated billboard (health/scale) with the server
-        if (window.game && typeof window.game.syncBillboardData === 'function') {
-            window.game.syncBillboardData(billboard);
-            console.log(`Synced damaged billboard with server. Size: ${billboard.width.toFixed(2)}x${billboard.height.toFixed(2)}, Health: ${billboard.health.toFixed(2)}`);
-        }
-        
-        // If size is too small, destroy the billboard
-        if (billboard.width <= 1 || billboard.height <= 1) {
-            console.log("Billboard destroyed due to size becoming too small");
-            this.destroyBillboard(billboard);
-        }
-    }
-
-    /**
-     * Grows all player-owned billboards based on damage caused to other billboards
-     * @param {number} damageAmount - The amount of damage caused to other billboards (in size)
-     */
-    growPlayerBillboards(damageAmount) {
-        // Get growth per damage value from config
-        const growthPerDamage = CONFIG.billboard?.growthPerDamage || 0.2;
-        const maxSize = CONFIG.billboard?.maxSize || 40;
-        const healthSizeMultiplier = CONFIG.billboard?.healthSizeMultiplier || 4;
-        const startSize = CONFIG.billboard?.startSize || 5;
-        
-        // Calculate growth amount for this damage
-        const growthAmount = growthPerDamage * damageAmount;
-        
-        // Get player ID
-        const playerId = window.game?.persistence?.playerId;
-        if (!playerId) {
-            console.log("Cannot grow billboards: player ID not found");
-            return;
-        }
-        
-        // Find all billboards owned by the player
-        const playerBillboards = [];
-        if (this.weaponManager && this.weaponManager.billboardGun) {
-            this.weaponManager.billboardGun.placedBillboards.forEach(billboard => {
-                if (billboard.player_id === playerId) {
-                    playerBillboards.push(billboard);
-                    console.log(`Found player billboard to grow: ${billboard.id}, owned by player ${playerId}`);
-                }
-            });
-        }
-        
-        console.log(`Growing ${playerBillboards.length} player billboards by ${growthAmount} units`);
-        
-        // Grow each player billboard
-        playerBillboards.forEach(billboard => {
-            if (!billboard || !billboard.mesh) return;
-            
-            // Get current width and height with fallbacks
-            let currentWidth = billboard.width || startSize;
-            let currentHeight = billboard.height || startSize;
-            
-            // Calculate new width and height, ensuring they don't exceed max size
-            let newWidth = Math.min(currentWidth + growthAmount, maxSize);
-            let newHeight = Math.min(currentHeight + growthAmount, maxSize);
-            
-            // Update billboard dimensions in the data object
-            billboard.width = newWidth;
-            billboard.height = newHeight;
-            
-            // Calculate new area and health
-            const newArea = newWidth * newHeight;
-            const newHealth = newArea * healthSizeMultiplier;
-            
-            // Update health
-            billboard.health = newHealth;
-            
-            console.log(`Billboard ${billboard.id} grown to ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}, Health: ${newHealth.toFixed(2)}`);
-            
-            // Calculate scale factors based on ratio to starting size
-            const widthScale = newWidth / startSize;
-            const heightScale = newHeight / startSize;
-            
-            // Get information about the planet
-            let globeCenter = new THREE.Vector3(0, 0, 0);   // Default center
-            let globeRadius = 100; // Default radius
-            
-            if (this.globe && this.globe.globe) {
-                globeCenter = this.globe.globe.position.clone();
-                globeRadius = this.globe.radius || 100;
-            }
-            
-            // Calculate the original surface normal and position
-            // This is the direction from center to the billboard
-            const surfaceNormal = new THREE.Vector3().subVectors(billboard.position, globeCenter).normalize();
-            
-            // Calculate the surface position where the billboard's legs should be planted
-            // Add a ground sink factor that increases with billboard size
-            // This creates a more grounded look for larger billboards by sinking legs slightly into the ground
-            const groundSinkFactor = -0.2 * (heightScale / 10); // Negative offset that increases with size
-            const surfacePosition = globeCenter.clone().add(
-                surfaceNormal.clone().multiplyScalar(globeRadius + groundSinkFactor) // Negative offset to sink into ground
-            );
-            
-            // 1. Get all child meshes
-            const signMesh = billboard.mesh.children[0]; // Billboard panel
-            const leftLeg = billboard.mesh.children[1];  // Left leg 
-            const rightLeg = billboard.mesh.children[2]; // Right leg
-            
-            // 2. Scale the sign mesh for width and height
-            if (signMesh) {
-                signMesh.scale.set(widthScale, heightScale, 1);
-                
-                // Briefly make the sign glow brighter to indicate growth
-                if (signMesh.material && signMesh.material.emissive) {
-                    const originalEmissive = signMesh.material.emissive.clone();
-                    const originalIntensity = signMesh.material.emissiveIntensity || 0.6;
-                    
-                    // Increase emissive intensity temporarily
-                    signMesh.material.emissive.set(0xffffff);
-                    signMesh.material.emissiveIntensity = 1.0;
-                    
-                    // Reset after a short time
-                    setTimeout(() => {
-                        if (signMesh.material) {
-                            signMesh.material.emissive.copy(originalEmissive);
-                            signMesh.material.emissiveIntensity = originalIntensity;
-                        }
-                    }, 300);
-                }
-            }
-            
-            // 3. Scale the legs for height (maintain their width)
-            if (leftLeg && rightLeg) {
-                // Scale legs for height
-                leftLeg.scale.y = heightScale;
-                rightLeg.scale.y = heightScale;
-                
-                // Adjust leg positions to maintain proportional distance from center
-                leftLeg.position.x = -1.2 * widthScale;
-                rightLeg.position.x = 1.2 * widthScale;
-                
-                // Adjust sign position to sit on top of the taller legs
-                signMesh.position.y = 2.8 * heightScale;
-            }
-            
-            // 4. Position the entire billboard mesh precisely
-            
-            // Calculate how far from the surface the CENTER of the billboard should be
-            // This ensures the LEGS remain partially sunk into the surface position
-            const originalHeight = 4.0; // Original height in the model
-            const totalHeight = originalHeight * heightScale; // New scaled height
-            const centerOffset = totalHeight / 2; // Distance from base to center
-            
-            // Position the billboard with its base slightly sunk into the surface position
-            // and its center offset outward along the surface normal
-            billboard.mesh.position.copy(surfacePosition);
-            billboard.mesh.position.add(surfaceNormal.clone().multiplyScalar(centerOffset));
-            
-            // Update the billboard's stored position
-            billboard.position = billboard.mesh.position.clone();
-            billboard.quaternion = billboard.mesh.quaternion.clone();
-            
-            // Sync the updated billboard with the server
-            if (window.game && typeof window.game.syncBillboardData === 'function') {
-                window.game.syncBillboardData(billboard);
-                console.log(`Synced grown billboard with server. Size: ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}, Health: ${newHealth.toFixed(2)}`);
-            }
-        });
     }
 
     /**
-     * Destroys a billboard
+     * Plays the destruction of a billboard the server reported as destroyed
      * @param {Object} billboard - The billboard to destroy
      */
     destroyBillboard(billboard) {
@@ -1616,11 +1446,6 @@ class ShooterGun extends Gun {
         // Trigger the falling animation
         this.animateBillboardDestruction(billboard);
         
-        // Sync billboard removal with the server
-        if (this.weaponManager && this.weaponManager.billboardGun) {
-            this.weaponManager.billboardGun.syncBillboardRemoval(billboard);
-        }
-        
         // Remove from billboards array after a delay (animation will remove from scene)
         setTimeout(() => {
             const index = this.billboards.indexOf(billboard);
@@ -1918,6 +1743,7 @@ class WeaponManager {
         const shooterIndicator = document.querySelector('.gun-indicator[data-weapon="shooter"]');
         const ammoDisplay = document.querySelector('.ammo-display');
         const billboardCount = document.querySelector('.billboard-count');
+        const creditsDisplay = document.querySelector('.credits-display');
         
         // Skip if elements don't exist yet
         if (!billboardIndicator || !shooterIndicator || !ammoDisplay || !billboardCount) {
@@ -1949,6 +1775,16 @@ class WeaponManager {
         if (ammoInfo) {
             ammoDisplay.textContent = `Ammo: ${ammoInfo.ammo}/${ammoInfo.maxAmmo}`;
             billboardCount.textContent = `Billboards: ${ammoInfo.billboards}/${ammoInfo.maxBillboards}`;
+            
+            // Show slot usage when the server has told us our slot count
+            if (window.game && window.game.billboardSlots && this.billboardGun) {
+                billboardCount.textContent += ` | Slots: ${this.billboardGun.countOwnedBillboards()}/${window.game.billboardSlots}`;
+            }
+        }
+        
+        // Update Martian Credits balance (tracked by the server)
+        if (creditsDisplay && window.game) {
+            creditsDisplay.textContent = `Credits: ${Math.floor(window.game.credits || 0)} MC`;
         }
     }
     
@@ -2168,6 +2004,20 @@ class WeaponManager {
         }
     }
     
+    /**
+     * Destroy a billboard by ID with the falling animation
+     * @param {string} billboardId - ID of billboard the server destroyed
+     */
+    destroyBillboard(billboardId) {
+        const billboard = this.billboardGun?.placedBillboards.find(b => b.id === billboardId);
+        if (!billboard || !this.shooterGun) {
+            return this.removeBillboard(billboardId);
+        }
+        
+        this.shooterGun.destroyBillboard(billboard);
+        return true;
+    }
+    
     /**
      * Clear all billboards - delegates to billboardGun
      */
@@ -19,13 +19,24 @@ class Environment {
         
         // Fixed positions for celestial objects to ensure consistency across all clients
         this.celestialPositions = {
-            // Fixed position for the sun (x, y, z)
+            // Starting position for the sun (x, y, z) - it orbits from here over the day/night cycle
             sun: new THREE.Vector3(800, 100, -200),
             
             // Fixed position for the earth (x, y, z)
             earth: new THREE.Vector3(-500, 100, 200)
         };
         
+        // Day/night cycle - the sun orbits the planet once per cycle.
+        // The phase comes from the server so every player sees the same time of day.
+        this.cycleLength = (CONFIG.world && CONFIG.world.dayNightCycle) || 600; // seconds
+        this.cyclePhase = 0; // 0..1 position in the cycle when last synced
+        this.phaseSyncedAt = performance.now();
+        this.nightFactor = 0; // 0 in full daylight, 1 at night (for the local player)
+        
+        // Sky colors for day and night
+        this.skyDayColor = new THREE.Color(0x232846); // Dark dusky blue
+        this.skyNightColor = new THREE.Color(0x05060f); // Near black
+        
         // Initialize the environment
         this.initialize();
     }
@@ -62,12 +73,12 @@ class Environment {
         // Invert the geometry so we're looking at the inside
         skyGeometry.scale(-1, 1, 1);
         
-        // Change from black to a dusky blue color for space
-        const dusky_blue = new THREE.Color(0x232846); // Dark dusky blue
+        // Sky color follows the time of day, starting from the daytime dusky blue
         const skyMaterial = new THREE.MeshBasicMaterial({
-            color: dusky_blue,
+            color: this.skyDayColor.clone(),
             side: THREE.BackSide
         });
+        this.skyMaterial = skyMaterial;
         
         // Create mesh and add to scene
         this.skybox = new THREE.Mesh(skyGeometry, skyMaterial);
@@ -79,8 +90,7 @@ class Environment {
                 console.log('Sky texture loaded successfully');
                 skyMaterial.map = texture;
                 
-                // Apply a blue tint to the texture
-                skyMaterial.color = dusky_blue;
+                // The material color (updated by the day/night cycle) tints the texture
                 skyMaterial.needsUpdate = true;
             }
         });
@@ -120,6 +130,7 @@ class Environment {
         
         // Create the particle system
         this.stars = new THREE.Points(starGeometry, starMaterial);
+        this.starMaterial = starMaterial;
         this.scene.add(this.stars);
     }
 
@@ -150,9 +161,9 @@ class Environment {
         this.addSunGlow();
         
         // Add a point light at the sun's position for extra illumination
-        const sunPointLight = new THREE.PointLight(0xffffcc, 2.0, 2000);
-        sunPointLight.position.copy(this.sun.position);
-        this.scene.add(sunPointLight);
+        this.sunPointLight = new THREE.PointLight(0xffffcc, 2.0, 2000);
+        this.sunPointLight.position.copy(this.sun.position);
+        this.scene.add(this.sunPointLight);
         
         console.log('Sun created at fixed position:', this.celestialPositions.sun);
     }
@@ -288,13 +299,94 @@ class Environment {
         this.scene.add(this.hemisphereLight);
     }
 
+    /**
+     * Set the day/night phase (sent by the server)
+     * @param {number} phase - Position in the cycle, 0..1
+     * @param {number} cycleLength - Length of a full day in seconds
+     */
+    setCyclePhase(phase, cycleLength) {
+        if (typeof phase !== 'number' || !isFinite(phase)) return;
+        
+        if (typeof cycleLength === 'number' && cycleLength > 0) {
+            this.cycleLength = cycleLength;
+        }
+        
+        this.cyclePhase = phase;
+        this.phaseSyncedAt = performance.now();
+    }
+    
+    /**
+     * Get the current day/night phase
+     * @returns {number} - Position in the cycle, 0..1
+     */
+    getCyclePhase() {
+        const elapsed = (performance.now() - this.phaseSyncedAt) / 1000;
+        const phase = this.cyclePhase + elapsed / this.cycleLength;
+        return phase - Math.floor(phase);
+    }
+    
+    /**
+     * Move the sun along its orbit and light the scene for the observer's local time of day
+     * @param {THREE.Vector3} observerPosition - Position of the local player (null to skip local lighting)
+     */
+    updateDayNight(observerPosition) {
+        // Orbit the sun around the planet's axis, starting from its fixed position
+        const angle = this.getCyclePhase() * Math.PI * 2;
+        const sunPosition = this.celestialPositions.sun.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+        const sunDirection = sunPosition.clone().normalize();
+        
+        if (this.sun) {
+            this.sun.position.copy(sunPosition);
+        }
+        if (this.sunPointLight) {
+            this.sunPointLight.position.copy(sunPosition);
+        }
+        if (this.sunLight) {
+            this.sunLight.position.copy(sunDirection).multiplyScalar(100);
+        }
+        
+        // Local sun elevation: 1 with the sun overhead, negative once it has set
+        let elevation = 1;
+        if (observerPosition && observerPosition.lengthSq() > 0) {
+            elevation = observerPosition.clone().normalize().dot(sunDirection);
+        }
+        
+        // Blend through dawn and dusk rather than switching instantly
+        const t = Math.min(Math.max((elevation + 0.15) / 0.4, 0), 1);
+        const dayFactor = t * t * (3 - 2 * t);
+        this.nightFactor = 1 - dayFactor;
+        
+        // Lights
+        if (this.sunLight) {
+            this.sunLight.intensity = 1.2 * dayFactor;
+        }
+        if (this.sunPointLight) {
+            this.sunPointLight.intensity = 2.0 * dayFactor;
+        }
+        if (this.ambientLight) {
+            this.ambientLight.intensity = 0.25 + 0.35 * dayFactor;
+        }
+        if (this.hemisphereLight) {
+            this.hemisphereLight.intensity = 0.2 + 0.3 * dayFactor;
+        }
+        
+        // Sky color and star visibility
+        if (this.skyMaterial) {
+            this.skyMaterial.color.lerpColors(this.skyNightColor, this.skyDayColor, dayFactor);
+        }
+        if (this.starMaterial) {
+            this.starMaterial.opacity = 0.25 + 0.65 * this.nightFactor;
+        }
+    }
+    
     /**
      * Update the environment
      * @param {number} deltaTime - Time since last frame in seconds
+     * @param {THREE.Vector3} observerPosition - Position of the local player for local time of day
      */
-    update(deltaTime) {
-        // Update environment elements here if needed
-        // For example, day/night cycle, dust storms, etc.
+    update(deltaTime, observerPosition = null) {
+        // Day/night cycle
+        this.updateDayNight(observerPosition);
         
         // Slowly rotate the secondary light to simulate changing ambient light conditions
         if (this.secondaryLight) {
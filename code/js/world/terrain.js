@@ -27,9 +27,6 @@ class Terrain {
             ...options
         };
         
-        // Create seeded random generator
-        this.random = new Helpers.SeededRandom(this.options.seed);
-        
         // Store terrain data from server (if available)
         this.serverTerrainData = null;
         
@@ -45,43 +42,6 @@ class Terrain {
         // Future expansion: add more terrain types initialization here
     }
 
-    /**
-     * Generate craters across the globe surface
-     * @param {number} count - Number of craters to generate
-     * @param {Object} options - Options for crater generation
-     */
-    generateCraters(count = 50, options = {}) {
-        console.log(`Generating ${count} craters with seed ${this.options.seed}`);
-        
-        const defaultOptions = {
-            minSize: 1,
-            maxSize: 6,
-            depth: 0.3,
-            distribution: 'random' // 'random', 'clustered'
-        };
-        
-        const opts = { ...defaultOptions, ...options };
-        
-        // Clear existing craters if requested
-        if (options.clear) {
-            this.clearFeatures('craters');
-        }
-        
-        // Generate craters based on distribution
-        if (opts.distribution === 'clustered') {
-            this.generateClusteredFeatures('craters', count, opts);
-        } else {
-            // Random distribution using seeded random generator
-            for (let i = 0; i < count; i++) {
-                const position = MathUtils.seededRandomSpherePoint(this.globe.radius, this.random);
-                const size = opts.minSize + this.random.next() * (opts.maxSize - opts.minSize);
-                
-                const crater = this.createCrater(position, size, opts.depth);
-                this.features.craters.push(crater);
-            }
-        }
-    }
-
     /**
      * Create a single crater
      * @param {Object} position - {phi, theta} position
@@ -338,125 +298,16 @@ class Terrain {
         return rockGroup;
     }
 
-    /**
-     * Generate rocks across the globe surface
-     * @param {number} count - Number of rocks to generate
-     * @param {Object} options - Options for rock generation
-     */
-    generateRocks(count = 200, options = {}) {
-        console.log(`Generating ${count} rocks with seed ${this.options.seed}`);
-        
-        const defaultOptions = {
-            minSize: 0.5,
-            maxSize: 2.5,
-            distribution: 'random' // 'random', 'clustered'
-        };
-        
-        const opts = { ...defaultOptions, ...options };
-        
-        // Clear existing rocks if requested
-        if (options.clear) {
-            this.clearFeatures('rocks');
-        }
-        
-        // Generate rocks based on distribution
-        if (opts.distribution === 'clustered') {
-            this.generateClusteredFeatures('rocks', count, opts);
-        } else {
-            // Random distribution using seeded random generator
-            for (let i = 0; i < count; i++) {
-                const position = MathUtils.seededRandomSpherePoint(this.globe.radius, this.random);
-                const size = opts.minSize + this.random.next() * (opts.maxSize - opts.minSize);
-                
-                const rock = this.createRock(position, size);
-                this.features.rocks.push(rock);
-            }
-        }
-    }
-
-    /**
-     * Generate clustered features (craters or rocks)
-     * @param {string} featureType - Type of feature ('craters' or 'rocks')
-     * @param {number} count - Number of features to generate
-     * @param {Object} options - Options for feature generation
-     */
-    generateClusteredFeatures(featureType, count, options) {
-        console.log(`Generating clustered ${featureType} with seed ${this.options.seed}`);
-        
-        // Determine how many cluster centers to create
-        const clusterCount = Math.max(3, Math.ceil(count / 20)); // Roughly 20 features per cluster
-        
-        // Generate cluster centers
-        const clusters = [];
-        for (let i = 0; i < clusterCount; i++) {
-            clusters.push({
-                center: MathUtils.seededRandomSpherePoint(this.globe.radius, this.random),
-                radius: 0.1 + this.random.next() * 0.2 // Between 0.1 and 0.3 radians
-            });
-        }
-        
-        // Distribute features among clusters
-        let featuresLeft = count;
-        for (let c = 0; c < clusters.length; c++) {
-            const cluster = clusters[c];
-            
-            // Determine how many features to place in this cluster
-            let clusterFeatureCount;
-            if (c === clusters.length - 1) {
-                // Last cluster gets all remaining features
-                clusterFeatureCount = featuresLeft;
-            } else {
-                // Random number of features for this cluster
-                const avgPerCluster = Math.floor(featuresLeft / (clusters.length - c));
-                clusterFeatureCount = Math.max(1, Math.floor(avgPerCluster * (0.5 + this.random.next())));
-                clusterFeatureCount = Math.min(featuresLeft - (clusters.length - c - 1), clusterFeatureCount);
-            }
-            
-            // Generate features in this cluster
-            for (let i = 0; i < clusterFeatureCount; i++) {
-                // Get a random point within the cluster
-                const position = MathUtils.seededClusterPoint(
-                    this.globe.radius,
-                    cluster.center,
-                    cluster.radius,
-                    this.random
-                );
-                
-                // Generate the feature
-                if (featureType === 'craters') {
-                    const size = options.minSize + this.random.next() * (options.maxSize - options.minSize);
-                    const crater = this.createCrater(position, size, options.depth);
-                    this.features.craters.push(crater);
-                } else if (featureType === 'rocks') {
-                    const size = options.minSize + this.random.next() * (options.maxSize - options.minSize);
-                    const rock = this.createRock(position, size);
-                    this.features.rocks.push(rock);
-                }
-            }
-            
-            featuresLeft -= clusterFeatureCount;
-        }
-    }
-
     /**
      * Create watch towers at the north and south poles to prevent players from reaching problematic areas
      */
     createPoleTowers() {
         console.log('Creating watch towers at the north and south poles');
         
-        // Tower dimensions
-        const towerHeight = 25; // Make it quite tall
-        const towerRadius = 6;  // Make it wide enough that players can't easily get past
-        
-        // Create north pole tower (phi = 0)
-        const northPolePosition = { phi: 0, theta: 0 };
-        const northTower = this.createPoleWatchTower(northPolePosition, towerHeight, towerRadius, 0xff4500); // Orange-red
-        this.features.towers.push(northTower);
-        
-        // Create south pole tower (phi = π)
-        const southPolePosition = { phi: Math.PI, theta: 0 };
-        const southTower = this.createPoleWatchTower(southPolePosition, towerHeight, towerRadius, 0x4169e1); // Royal blue
-        this.features.towers.push(southTower);
+        TerrainGenerator.poleTowers().forEach(towerData => {
+            const tower = this.createPoleWatchTower(towerData.position, towerData.height, towerData.radius, towerData.color);
+            this.features.towers.push(tower);
+        });
     }
     
     /**
@@ -784,62 +635,20 @@ class Terrain {
     }
 
     /**
-     * Generate all terrain features
-     * @param {Object} options - Options for terrain generation
+     * Build all terrain features, from the server's terrain data if we have it,
+     * otherwise from the shared seeded generator (same layout the server produces)
+     * @param {Object} options - Overrides for TerrainGenerator.DEFAULT_OPTIONS
+     * @returns {Object} Counts of created features
      */
     generateAll(options = {}) {
-        console.log('Generating all terrain features with seed:', this.options.seed);
-        
-        const defaultOptions = {
-            craterCount: 50,
-            rockCount: 200,
-            craterOptions: {},
-            rockOptions: {}
-        };
-        
-        const opts = { ...defaultOptions, ...options };
-        
-        // Clear existing features if requested
-        if (options.clear) {
-            this.clearFeatures('all');
-        }
-        
         if (this.options.useServerTerrain && this.serverTerrainData) {
             // Use terrain data provided by server
             console.log('Using server-provided terrain data');
             return this.loadTerrainFromData(this.serverTerrainData);
-        } else {
-            // Generate terrain locally
-            console.log('Generating terrain locally');
-            
-            // Generate craters
-            this.generateCraters(opts.craterCount, {
-                ...opts.craterOptions,
-                clear: false // Don't clear again
-            });
-            
-            // Generate rocks
-            this.generateRocks(opts.rockCount, {
-                ...opts.rockOptions,
-                clear: false // Don't clear again
-            });
-            
-            // Create watch towers at the poles
-            this.createPoleTowers();
-    
-            // Log that terrain generation is complete
-            console.log(`Terrain generation complete: ${this.features.craters.length} craters, ${this.features.rocks.length} rocks, ${this.features.towers.length} towers`);
-            
-            // Generate and return the terrain data for potential server storage
-            const terrainData = this.exportTerrainData();
-            
-            return {
-                craters: this.features.craters.length,
-                rocks: this.features.rocks.length,
-                towers: this.features.towers.length,
-                terrainData: terrainData
-            };
         }
+        
+        console.log('Generating terrain locally with seed:', this.options.seed);
+        return this.loadTerrainFromData(TerrainGenerator.generate(this.options.seed, options));
     }
     
     /**
@@ -856,8 +665,8 @@ class Terrain {
     }
     
     /**
-     * Export terrain data for server storage
-     * @returns {Object} Terrain data for server
+     * Export the layout of the terrain currently built
+     * @returns {Object} Terrain data in the same shape TerrainGenerator.generate returns
      */
     exportTerrainData() {
         const terrainData = {
@@ -889,7 +698,7 @@ class Terrain {
      * @returns {Object} Counts of created features
      */
     loadTerrainFromData(terrainData) {
-        console.log('Loading terrain from server data');
+        console.log('Loading terrain from data');
         
         // Clear existing features
         this.clearFeatures('all');
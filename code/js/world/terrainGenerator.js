@@ -0,0 +1,249 @@
+// terrainGenerator.js - Seeded terrain layout shared by the server and the browser - 2026-10-19
+
+/**
+ * Deterministic placement of craters, rocks and pole towers. The same seed and
+ * options always produce the same layout, so the server generates the world's
+ * terrain from CONFIG.world.terrainSeed and clients only build meshes from it.
+ * Positions are {phi, theta} on the globe; nothing here depends on THREE.
+ */
+const TerrainGenerator = {
+    /**
+     * Layout used for the game world
+     */
+    DEFAULT_OPTIONS: {
+        craterCount: 70,
+        rockCount: 250,
+        craterOptions: {
+            minSize: 1.5,
+            maxSize: 7,
+            depth: 0.5,
+            distribution: 'clustered' // 'random', 'clustered'
+        },
+        rockOptions: {
+            minSize: 0.6,
+            maxSize: 3.0,
+            distribution: 'clustered'
+        }
+    },
+
+    /**
+     * Seeded random number generator based on the xorshift algorithm
+     * This ensures that the same seed will produce the same sequence of random numbers
+     * for all players, allowing for consistent world generation
+     */
+    SeededRandom: class {
+        /**
+         * Create a new seeded random number generator
+         * @param {number} seed - The seed to use for random number generation
+         */
+        constructor(seed) {
+            // Use seed or default to 1
+            this.seed = seed || 1;
+            // Initialize state with the seed
+            this._state = this.seed;
+        }
+
+        /**
+         * Get the next random number between 0 and 1
+         * @returns {number} - Random number between 0 and 1
+         */
+        next() {
+            // XORShift algorithm - simple but effective for non-cryptographic purposes
+            let x = this._state;
+            x ^= x << 13;
+            x ^= x >> 17;
+            x ^= x << 5;
+            this._state = x;
+
+            // Convert to a number between 0 and 1 (inclusive of 0, exclusive of 1)
+            return (x >>> 0) / 4294967296;
+        }
+
+        /**
+         * Get a random number between min and max (inclusive)
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @returns {number} - Random number between min and max
+         */
+        nextRange(min, max) {
+            return min + this.next() * (max - min);
+        }
+
+        /**
+         * Get a random integer between min and max (inclusive)
+         * @param {number} min - Minimum value
+         * @param {number} max - Maximum value
+         * @returns {number} - Random integer between min and max
+         */
+        nextInt(min, max) {
+            return Math.floor(this.nextRange(min, max + 1));
+        }
+    },
+
+    /**
+     * Get a deterministic random point on the sphere
+     * @param {TerrainGenerator.SeededRandom} random - Seeded random generator
+     * @returns {Object} - {phi, theta} Spherical coordinates
+     */
+    randomSpherePoint: function(random) {
+        // Random longitude (0 to 2π)
+        const theta = random.next() * 2 * Math.PI;
+
+        // Random latitude (0 to π)
+        // Using cos distribution to ensure uniform distribution on sphere
+        const phi = Math.acos(2 * random.next() - 1);
+
+        return { phi, theta };
+    },
+
+    /**
+     * Get a deterministic random point within a cluster on the sphere
+     * @param {Object} centerPoint - {phi, theta} Center of the cluster
+     * @param {number} clusterRadius - Maximum angular distance from center
+     * @param {TerrainGenerator.SeededRandom} random - Seeded random generator
+     * @returns {Object} - {phi, theta} Spherical coordinates within the cluster
+     */
+    clusterPoint: function(centerPoint, clusterRadius, random) {
+        // Random distance from center (0 to clusterRadius)
+        // Using square root for uniform distribution in circle
+        const distance = clusterRadius * Math.sqrt(random.next());
+
+        // Random angle around center (0 to 2π)
+        const angle = random.next() * 2 * Math.PI;
+
+        // Calculate offset from center
+        // This is a simple approximation that works well for small clusters
+        const phiOffset = distance * Math.cos(angle);
+        const thetaOffset = distance * Math.sin(angle) / Math.sin(centerPoint.phi);
+
+        // Avoid exact poles for numerical stability, and keep theta within 0 to 2π
+        const phi = Math.max(0.01, Math.min(Math.PI - 0.01, centerPoint.phi + phiOffset));
+        let theta = centerPoint.theta + thetaOffset;
+        while (theta < 0) theta += 2 * Math.PI;
+        while (theta >= 2 * Math.PI) theta -= 2 * Math.PI;
+
+        return { phi, theta };
+    },
+
+    /**
+     * Generate the complete terrain layout for a seed
+     * @param {number} seed - Terrain seed (CONFIG.world.terrainSeed)
+     * @param {Object} options - Overrides for DEFAULT_OPTIONS
+     * @returns {Object} - Terrain data: {seed, craters, rocks, towers}
+     */
+    generate: function(seed, options = {}) {
+        const opts = {
+            ...this.DEFAULT_OPTIONS,
+            ...options,
+            craterOptions: { ...this.DEFAULT_OPTIONS.craterOptions, ...options.craterOptions },
+            rockOptions: { ...this.DEFAULT_OPTIONS.rockOptions, ...options.rockOptions }
+        };
+
+        // One generator for everything, so craters and rocks always draw in the same order
+        const random = new this.SeededRandom(seed);
+        const craterOptions = opts.craterOptions;
+        const rockOptions = opts.rockOptions;
+
+        const craters = this.placeFeatures(opts.craterCount, craterOptions, random, position => ({
+            position,
+            size: craterOptions.minSize + random.next() * (craterOptions.maxSize - craterOptions.minSize),
+            depth: craterOptions.depth
+        }));
+
+        const rocks = this.placeFeatures(opts.rockCount, rockOptions, random, position => ({
+            position,
+            size: rockOptions.minSize + random.next() * (rockOptions.maxSize - rockOptions.minSize)
+        }));
+
+        return { seed, craters, rocks, towers: this.poleTowers() };
+    },
+
+    /**
+     * Place features at random or in clusters. Each feature's size is drawn from the
+     * same generator straight after its position, so buildFeature runs as each
+     * position is placed.
+     * @param {number} count - Number of features
+     * @param {Object} options - Feature options ({distribution})
+     * @param {TerrainGenerator.SeededRandom} random - Seeded random generator
+     * @param {Function} buildFeature - Turns a position into feature data
+     * @returns {Array} - Feature data in generation order
+     */
+    placeFeatures: function(count, options, random, buildFeature) {
+        const features = [];
+        const place = position => features.push(buildFeature(position));
+
+        if (options.distribution === 'clustered') {
+            this.placeClustered(count, random, place);
+        } else {
+            for (let i = 0; i < count; i++) {
+                place(this.randomSpherePoint(random));
+            }
+        }
+        return features;
+    },
+
+    /**
+     * Spread features over a few seeded clusters (roughly 20 features per cluster)
+     * @param {number} count - Number of features
+     * @param {TerrainGenerator.SeededRandom} random - Seeded random generator
+     * @param {Function} place - Called with each position, in order
+     */
+    placeClustered: function(count, random, place) {
+        // Determine how many cluster centers to create
+        const clusterCount = Math.max(3, Math.ceil(count / 20));
+
+        // Generate cluster centers
+        const clusters = [];
+        for (let i = 0; i < clusterCount; i++) {
+            clusters.push({
+                center: this.randomSpherePoint(random),
+                radius: 0.1 + random.next() * 0.2 // Between 0.1 and 0.3 radians
+            });
+        }
+
+        // Distribute features among clusters
+        let featuresLeft = count;
+        for (let c = 0; c < clusters.length; c++) {
+            const cluster = clusters[c];
+
+            // Determine how many features to place in this cluster
+            let clusterFeatureCount;
+            if (c === clusters.length - 1) {
+                // Last cluster gets all remaining features
+                clusterFeatureCount = featuresLeft;
+            } else {
+                // Random number of features for this cluster
+                const avgPerCluster = Math.floor(featuresLeft / (clusters.length - c));
+                clusterFeatureCount = Math.max(1, Math.floor(avgPerCluster * (0.5 + random.next())));
+                clusterFeatureCount = Math.min(featuresLeft - (clusters.length - c - 1), clusterFeatureCount);
+            }
+
+            for (let i = 0; i < clusterFeatureCount; i++) {
+                place(this.clusterPoint(cluster.center, cluster.radius, random));
+            }
+
+            featuresLeft -= clusterFeatureCount;
+        }
+    },
+
+    /**
+     * Watch towers at the north and south poles that keep players away from problematic areas
+     * @returns {Array} - Tower data: {position, height, radius, color}
+     */
+    poleTowers: function() {
+        return [
+            { position: { phi: 0, theta: 0 }, height: 25, radius: 6, color: 0xff4500 }, // Orange-red
+            { position: { phi: Math.PI, theta: 0 }, height: 25, radius: 6, color: 0x4169e1 } // Royal blue
+        ];
+    }
+};
+
+// Make TerrainGenerator available in the browser
+if (typeof window !== 'undefined') {
+    window.TerrainGenerator = TerrainGenerator;
+}
+
+// Export as a module if in a module context
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerrainGenerator;
+}
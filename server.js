@@ -4,6 +4,11 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const url = require('url');
+const crypto = require('crypto');
+const Protocol = require('./code/js/utils/protocol');
+const MathUtils = require('./code/js/utils/math');
+const TerrainGenerator = require('./code/js/world/terrainGenerator');
+const { createStorage, writeFileAtomic } = require('./storage');
 
 // Try to load .env.local file for local development if dotenv is available
 try {
@@ -29,14 +34,131 @@ if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Game configuration
+// Where billboards, players, powerups, terrain and the rest are persisted:
+// STORAGE_BACKEND=json (files in DATA_DIR, the default) or sqlite (DATA_DIR/vandals.db)
+const storage = createStorage({ backend: process.env.STORAGE_BACKEND || 'json', dir: DATA_DIR });
+
+// Game configuration (defaults, merged with code/config.json at startup)
 const CONFIG = {
   world: {
     radius: 100,
     terrainSeed: 42424242, // Fixed seed for consistent terrain
+    dayNightCycle: 600 // seconds per full day
+  },
+  player: {
+    runSpeed: 5, // units per second; bounds how far reported positions may move
+    shootRange: 50,
+    ammoRegen: 10, // shooting rounds regenerated per minute while connected
+    billboardSlots: 1, // billboards a player may own at once
+    maxBillboardSlots: 5, // upper limit when buying extra slots
+    gun: {
+      startingAmmoShooting: 200,
+      maxAmmoShooting: 500,
+      startingAmmoBillboard: 3,
+      maxAmmoBillboard: 5
+    }
+  },
+  billboard: {
+    startSize: 5,
+    maxSize: 40,
+    growthPerDamage: 0.2,
+    healthSizeMultiplier: 4,
+    damagePerShot: 0.2,
+    decayRate: 0.1,
+    decayInterval: 86400 // seconds
+  },
+  teams: {
+    enabled: true,
+    friendlyFire: false, // whether shots damage teammates' billboards
+    factions: [
+      { id: 'crimson', name: 'Crimson Dust', color: '#c0392b' },
+      { id: 'azure', name: 'Azure Frost', color: '#2e86de' },
+      { id: 'verdant', name: 'Verdant Colony', color: '#27ae60' }
+    ]
+  },
+  match: {
+    enabled: false, // timed rounds; off keeps the persistent free-for-all
+    lobbyDuration: 60, // seconds of countdown before a round
+    roundDuration: 900, // seconds per round
+    resultsDuration: 30, // seconds the results screen stays up before the next lobby
+    endAction: 'reset' // 'reset' clears the world, 'archive' saves a snapshot first
+  },
+  network: {
+    interestRadius: 60, // great-circle distance that gets real-time updates
+    summaryInterval: 2000, // ms between low-rate summaries of everything further away
+    gridCellSize: 15 // degrees of phi/theta per spatial index cell
+  },
+  economy: {
+    mcPerDamage: 5,
+    mcDailyBonus: 100,
+    ammoRefillCost: 50,
+    billboardUpgradeCost: 150,
+    billboardUpgradeGrowth: 2,
+    billboardSlotCost: 300
   }
 };
 
+// The built-in values, which a setting falls back to when it is removed from config.json
+const CONFIG_DEFAULTS = JSON.parse(JSON.stringify(CONFIG));
+
+// Shared game configuration file path (same file the client loads)
+const GAME_CONFIG_FILE = path.join(__dirname, 'code', 'config.json');
+
+// Minimum time between two accepted shots from the same connection (client fires every 100ms)
+const MIN_SHOT_INTERVAL = 80;
+
+// How far a shot origin may be from the shooter's last reported position
+const MAX_SHOT_ORIGIN_DRIFT = 15;
+
+// How far a powerup may be from the collector's last reported position. Clients pick up
+// within 2.5 units; the rest covers movement since the last position update (sent every 200ms)
+const POWERUP_PICKUP_RANGE = 8;
+
+// How fast a player may move between position reports, as a multiple of player.runSpeed:
+// sprinting doubles it and first-person movement runs at twice runSpeed again
+const MAX_MOVE_SPEED_FACTOR = 4;
+
+// Longest burst of movement a position report may use up at once (ms of full speed), plus
+// distance for jumps and the small spawn and equator nudges the client makes
+const MAX_MOVE_BURST = 2000;
+const MOVE_SLACK = 3;
+
+// How long collected powerup ids are remembered to answer late or repeated claims (ms)
+const COLLECTED_POWERUP_MEMORY = 60000;
+
+// Delay used to batch billboard file writes caused by shots
+const BILLBOARD_SAVE_DELAY = 2000;
+let billboardSaveTimer = null;
+
+// Delay used to batch player data writes caused by credit changes
+const PLAYER_SAVE_DELAY = 5000;
+let playerSaveTimer = null;
+
+// Leaderboard size and how long to batch changes before pushing a leaderboard update
+const LEADERBOARD_SIZE = 10;
+const LEADERBOARD_BROADCAST_DELAY = 2000;
+let leaderboardBroadcastTimer = null;
+
+// Match mode: current phase, its timer, and where finished rounds are recorded
+const MATCH_HISTORY_COLLECTION = 'match-history';
+const MATCH_ARCHIVE_DIR = path.join(DATA_DIR, 'match-archive');
+const MATCH_HISTORY_SIZE = 50;
+const match = { phase: 'idle', round: 0, phaseEndsAt: null, lastResults: null };
+let matchTimer = null;
+
+// Day/night cycle: the server's clock sets the phase so all players share the time of day
+const WORLD_TIME_SYNC_INTERVAL = 30000;
+const dayNightEpoch = Date.now();
+let worldTimeTimer = null;
+
+// How often connected players' ammo is regenerated and pushed to them
+const AMMO_REGEN_TICK = 5000;
+let ammoRegenTimer = null;
+
+// How often the decay job looks for untended billboards (capped by billboard.decayInterval)
+const DECAY_CHECK_INTERVAL = 60000;
+let decayTimer = null;
+
 // Store all billboards to send to new players
 const billboards = [];
 
@@ -46,24 +168,57 @@ const botBillboards = [];
 // Store player data for persistence
 const playerData = {};
 
-// Player data file path
-const PLAYER_DATA_FILE = path.join(DATA_DIR, 'player-data.json');
-
-// Billboard data file path
-const BILLBOARD_DATA_FILE = path.join(DATA_DIR, 'billboard-data.json');
-
-// Bot billboard data file path
-const BOT_BILLBOARD_DATA_FILE = path.join(DATA_DIR, 'billboard-data-bots.json');
+// Storage collections (file names without .json for the JSON file backend)
+const PLAYER_DATA_COLLECTION = 'player-data';
+const BILLBOARD_DATA_COLLECTION = 'billboard-data';
+const BOT_BILLBOARD_DATA_COLLECTION = 'billboard-data-bots';
+const POWERUP_DATA_COLLECTION = 'powerups-data';
+const TERRAIN_DATA_COLLECTION = 'terrain-data';
 
 // Bot configuration file path
 const BOT_CONFIG_FILE = path.join(__dirname, 'code', 'bot-config.json');
 
-// Powerup related constants
-const POWERUP_DATA_FILE = path.join(DATA_DIR, 'powerups-data.json');
+// Powerup configuration file path
 const POWERUP_CONFIG_FILE = path.join(__dirname, 'code', 'powerups-config.json');
 
-// Create terrain data file path
-const TERRAIN_DATA_FILE = path.join(DATA_DIR, 'terrain-data.json');
+// Secret used to sign session tokens (SESSION_SECRET overrides the generated file)
+const SESSION_SECRET_FILE = path.join(DATA_DIR, 'session-secret');
+const SESSION_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000;
+let sessionSecret = null;
+
+// Login attempts allowed per client address and per account name within the window;
+// counted across connections so reconnecting doesn't reset them
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOGIN_ATTEMPT_WINDOW = 15 * 60 * 1000;
+const loginAttempts = new Map(); // 'address:<ip>' or 'account:<name>' -> {count, firstAt}
+
+// Token for the admin channel (ADMIN_TOKEN overrides the generated file) and where billboard wipes are backed up
+const ADMIN_TOKEN_FILE = path.join(DATA_DIR, 'admin-token');
+const BILLBOARD_BACKUP_DIR = path.join(DATA_DIR, 'billboard-backups');
+let adminToken = null;
+
+// Moderation: server-only filter settings (in config/, outside the static code/ directory, so
+// clients can't read the wordlist), plus the report queue and bans
+const MODERATION_CONFIG_FILE = path.join(__dirname, 'config', 'moderation-config.json');
+const MODERATION_DATA_COLLECTION = 'moderation-data';
+const MAX_BILLBOARD_TEXT_LENGTH = 200;
+// Billboard fields a client may send; size, health, placement, team, timestamps and
+// anything else on a stored billboard are set by the server
+const CLIENT_BILLBOARD_FIELDS = ['id', 'quaternion', 'text', 'owner', 'color', 'player_id'];
+// Of those, what the owner may change on a billboard that already stands
+// (text changes go through player_save_billboard_text)
+const CLIENT_BILLBOARD_UPDATE_FIELDS = ['quaternion', 'color'];
+const MAX_USERNAME_LENGTH = 30;
+let moderationConfig = {
+  blockedWords: [],
+  blockedPatterns: [],
+  textChangeLimit: 5, // text/username changes allowed per window
+  textChangeWindow: 600, // seconds
+  autoHideReports: 3 // open reports from different players that hide a billboard pending review
+};
+let moderationFilters = [];
+const moderationData = { reports: [], bans: {} };
+const textChangeLog = new Map(); // playerId -> timestamps of recent text changes
 
 // Bot configuration
 let botConfig = {
@@ -71,15 +226,32 @@ let botConfig = {
   maxBots: 20,
   spawnChance: 0.3,
   minDistance: 20,
-  checkInterval: 3000
+  checkInterval: 3000,
+  respawnDelay: 30000,
+  textRotationInterval: 0,
+  lifespan: 0,
+  botPlayers: {
+    count: 0,
+    difficulty: 'normal',
+    tickInterval: 250
+  },
+  difficultyLevels: {
+    normal: { speed: 4, aimError: 0.05, fireInterval: 500, sightRange: 40, powerupRange: 30, plantInterval: 120 }
+  }
 };
 
 // Bot spawning control variables
 let botSpawningTimer = null;
 let botCheckTimer = null;
 let isSpawningBots = false;
+const botRespawnTimes = []; // When destroyed bot billboards may be replaced, oldest first
 
-// Generate and store terrain data
+// Server-simulated bot players walking the globe
+const botPlayers = [];
+let botPlayerTimer = null;
+let botObstacles = [];
+
+// Terrain layout, generated from CONFIG.world.terrainSeed at startup
 let terrainData = null;
 
 // Powerup related variables
@@ -89,6 +261,8 @@ let powerupsByType = {}; // Powerups organized by type
 let isSpawningPowerups = false;
 let powerupSpawningTimers = {}; // Timer IDs for each powerup type
 let powerupCheckTimer = null;
+const playerEffects = new Map(); // playerId -> {powerup type: {amount, stacks, expiresAt}} for timed powerup effects
+const collectedPowerups = new Map(); // powerup id -> {playerId, collectedAt} for recently collected powerups
 
 // Create Express app
 const app = express();
@@ -150,373 +324,418 @@ app.get('/config.json', (req, res) => {
   }
 });
 
-// Save bot billboards API endpoint
-app.post('/save-bot-billboards', express.json(), (req, res) => {
+// Leaderboard API endpoint (?sort=area|damage|destroyed&limit=N)
+app.get('/api/leaderboard', (req, res) => {
   try {
-    if (req.body && Array.isArray(req.body)) {
-      // Replace all bot billboards with the new list
-      const newBotBillboards = req.body.filter(bb => bb && bb.id && bb.id.startsWith('bot_'));
-      
-      // Clear existing bot billboards and add new ones
-      botBillboards.length = 0;
-      botBillboards.push(...newBotBillboards);
-      
-      console.log(`Updated ${botBillboards.length} bot billboards from client`);
-      
-      // Save to file
-      saveBotBillboardData();
-      
-      res.json({ success: true, count: botBillboards.length });
-    } else {
-      console.error('Invalid bot billboard data received');
-      res.status(400).json({ success: false, error: 'Invalid data format' });
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LEADERBOARD_SIZE, 1), 100);
+    res.json({ success: true, ...buildLeaderboard(req.query.sort, limit) });
   } catch (error) {
-    console.error('Error handling bot billboard save:', error);
+    console.error('Error building leaderboard:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Load saved player data from file
+// Match mode API endpoint: current phase and the last round's results
+app.get('/api/match', (req, res) => {
+  const { type, ...state } = getMatchState();
+  res.json({ success: true, enabled: !!CONFIG.match.enabled, ...state, lastResults: match.lastResults });
+});
+
+// Admin API: reachable from the machine the server runs on, or anywhere with the admin token
+const adminApi = express.Router();
+adminApi.use(requireAdmin);
+
+// Run an admin command ({command, args}); same commands as the admin_command WebSocket message
+adminApi.post('/command', (req, res) => {
+  if (typeof req.body.command !== 'string') {
+    return res.status(400).json({ success: false, error: 'command is required' });
+  }
+
+  const result = runAdminCommand(req.body.command, req.body.args || {}, 'http');
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Open reports, newest first, with the billboard they're about
+adminApi.get('/moderation/queue', (req, res) => {
+  res.json({ success: true, reports: getModerationQueue() });
+});
+
+// Close a report without acting on the billboard
+adminApi.post('/moderation/queue/:reportId/dismiss', (req, res) => {
+  const report = moderationData.reports.find(r => r.id === req.params.reportId);
+  if (!report) return res.status(404).json({ success: false, error: 'Report not found' });
+
+  resolveReports(report.billboardId, 'dismissed', report.id);
+  res.json({ success: true, report });
+});
+
+// Hide or unhide a billboard ({hidden: true|false})
+adminApi.post('/billboards/:id/hide', (req, res) => {
+  const billboard = billboards.find(b => b.id === req.params.id);
+  if (!billboard) return res.status(404).json({ success: false, error: 'Billboard not found' });
+
+  setBillboardHidden(billboard, req.body.hidden !== false);
+  resolveReports(billboard.id, billboard.hidden ? 'hidden' : 'restored');
+  res.json({ success: true, billboard });
+});
+
+// Replace a billboard's text and/or owner name ({text, owner})
+adminApi.post('/billboards/:id/edit', (req, res) => {
+  const billboard = billboards.find(b => b.id === req.params.id);
+  if (!billboard) return res.status(404).json({ success: false, error: 'Billboard not found' });
+
+  const { text, owner } = req.body;
+  if ((text !== undefined && typeof text !== 'string') || (owner !== undefined && typeof owner !== 'string')) {
+    return res.status(400).json({ success: false, error: 'text and owner must be strings' });
+  }
+
+  editBillboardText(billboard, text, owner);
+  resolveReports(billboard.id, 'edited');
+  res.json({ success: true, billboard });
+});
+
+// Delete a billboard outright
+adminApi.delete('/billboards/:id', (req, res) => {
+  const removed = removeBillboardById(req.params.id);
+  if (!removed) return res.status(404).json({ success: false, error: 'Billboard not found' });
+
+  broadcastBillboardRemoval(removed.id, { moderated: true });
+  saveBillboardData();
+  saveBotBillboardData();
+  resolveReports(removed.id, 'deleted');
+  res.json({ success: true, billboard: removed });
+});
+
+// List, add ({playerId, reason}) and lift bans
+adminApi.get('/bans', (req, res) => {
+  res.json({ success: true, bans: moderationData.bans });
+});
+
+adminApi.post('/bans', (req, res) => {
+  if (typeof req.body.playerId !== 'string' || !req.body.playerId) {
+    return res.status(400).json({ success: false, error: 'playerId is required' });
+  }
+
+  res.json({ success: true, ban: banPlayer(req.body.playerId, req.body.reason) });
+});
+
+adminApi.delete('/bans/:playerId', (req, res) => {
+  if (!unbanPlayer(req.params.playerId)) {
+    return res.status(404).json({ success: false, error: 'Player is not banned' });
+  }
+  res.json({ success: true });
+});
+
+app.use('/api/admin', adminApi);
+
+// Online players API endpoint
+app.get('/api/players', (req, res) => {
+  const players = getOnlinePlayers();
+  res.json({ success: true, count: players.length, players });
+});
+
+// Recursively merge configuration objects (same behaviour as mergeConfig in code/js/config.js)
+function mergeConfig(target, source) {
+  for (const key in source) {
+    if (Object.prototype.hasOwnProperty.call(source, key)) {
+      if (source[key] !== null && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        if (!target[key] || typeof target[key] !== 'object') {
+          target[key] = {};
+        }
+        mergeConfig(target[key], source[key]);
+      } else {
+        target[key] = source[key];
+      }
+    }
+  }
+}
+
+// Make a config object match source in place, dropping keys source doesn't have. Code
+// holding on to a CONFIG section keeps seeing the current values.
+function replaceConfig(target, source) {
+  for (const key of Object.keys(target)) {
+    if (!Object.prototype.hasOwnProperty.call(source, key)) {
+      delete target[key];
+    } else if (source[key] !== null && typeof source[key] === 'object' && !Array.isArray(source[key]) &&
+        target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      replaceConfig(target[key], source[key]);
+    }
+  }
+  mergeConfig(target, source);
+}
+
+// Use the defaults plus a whole config.json as the game config, so settings removed from
+// the file go back to their defaults. Returns a problem (leaving CONFIG as it was) or null.
+function applyGameConfig(loadedConfig) {
+  const problem = findGameConfigProblem(loadedConfig, CONFIG_DEFAULTS);
+  if (problem) return problem;
+
+  const config = JSON.parse(JSON.stringify(CONFIG_DEFAULTS));
+  mergeConfig(config, loadedConfig);
+  replaceConfig(CONFIG, config);
+  return null;
+}
+
+// Load the shared game configuration so the server uses the same gameplay values as clients.
+// Returns true if the file was read and applied.
+function loadGameConfig() {
+  try {
+    if (fs.existsSync(GAME_CONFIG_FILE)) {
+      const data = fs.readFileSync(GAME_CONFIG_FILE, 'utf8');
+      const loadedConfig = JSON.parse(data);
+
+      // The server URL is only meaningful to clients
+      delete loadedConfig.server;
+
+      const problem = applyGameConfig(loadedConfig);
+      if (problem) {
+        throw new Error(`Invalid game configuration: ${problem}`);
+      }
+
+      console.log('Loaded game configuration from file');
+      return true;
+    } else {
+      console.log('No game configuration file found, using defaults');
+    }
+  } catch (error) {
+    console.error('Error loading game configuration:', error.message);
+    // Continue with the current values
+  }
+  return false;
+}
+
+// Load saved player data
 function loadPlayerData() {
   try {
-    if (fs.existsSync(PLAYER_DATA_FILE)) {
-      const data = fs.readFileSync(PLAYER_DATA_FILE, 'utf8');
-      const parsedData = JSON.parse(data);
-      
+    const parsedData = storage.load(PLAYER_DATA_COLLECTION);
+    if (parsedData) {
       // Copy to our in-memory storage
       Object.assign(playerData, parsedData);
       
       console.log(`Loaded player data for ${Object.keys(playerData).length} players`);
     } else {
-      console.log('No player data file found, starting with empty player data');
-      // Create directory if it doesn't exist
-      const dir = path.dirname(PLAYER_DATA_FILE);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      // Create empty file
-      fs.writeFileSync(PLAYER_DATA_FILE, JSON.stringify({}), 'utf8');
+      console.log('No saved player data found, starting with empty player data');
     }
   } catch (error) {
     console.error('Error loading player data:', error);
   }
 }
 
-// Save player data to file
+// Queue player data for the next storage batch
 function savePlayerData() {
-  try {
-    // Create directory if it doesn't exist
-    const dir = path.dirname(PLAYER_DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(PLAYER_DATA_FILE, JSON.stringify(playerData, null, 2), 'utf8');
-    console.log(`Saved player data for ${Object.keys(playerData).length} players`);
-  } catch (error) {
-    console.error('Error saving player data:', error);
-  }
+  storage.save(PLAYER_DATA_COLLECTION, playerData);
 }
 
-// Load billboard data from file
+// Load saved player billboards
 function loadBillboardData() {
   try {
-    if (fs.existsSync(BILLBOARD_DATA_FILE)) {
-      const data = fs.readFileSync(BILLBOARD_DATA_FILE, 'utf8');
-      const loadedBillboards = JSON.parse(data);
+    const loadedBillboards = storage.load(BILLBOARD_DATA_COLLECTION);
+    
+    if (Array.isArray(loadedBillboards)) {
+      // Clear existing billboards (not bot billboards)
+      billboards.length = 0;
       
-      if (Array.isArray(loadedBillboards)) {
-        // Clear existing billboards (not bot billboards)
-        billboards.length = 0;
-        
-        // Filter out bot billboards
-        const playerBillboards = loadedBillboards.filter(bb => !bb.id.startsWith('bot_'));
-        billboards.push(...playerBillboards);
-        
-        console.log(`Loaded ${billboards.length} player billboards`);
-      } else {
-        console.log('Invalid billboard data format, starting with empty billboards');
-      }
+      // Filter out bot billboards
+      const playerBillboards = loadedBillboards.filter(bb => !bb.id.startsWith('bot_'));
+      billboards.push(...playerBillboards);
+      
+      console.log(`Loaded ${billboards.length} player billboards`);
+    } else if (loadedBillboards) {
+      console.log('Invalid billboard data format, starting with empty billboards');
     } else {
-      console.log('No billboard data file found, starting with empty billboards');
-      // Create directory if it doesn't exist
-      const dir = path.dirname(BILLBOARD_DATA_FILE);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      // Create empty file
-      fs.writeFileSync(BILLBOARD_DATA_FILE, JSON.stringify([]), 'utf8');
+      console.log('No saved billboards found, starting with empty billboards');
     }
   } catch (error) {
     console.error('Error loading billboard data:', error);
   }
 }
 
-// Save billboard data to file
+// Queue player billboards for the next storage batch
 function saveBillboardData() {
-  try {
-    // Filter out bot billboards when saving to billboard-data.json
-    const playerBillboards = billboards.filter(bb => !bb.id.startsWith('bot_'));
-    
-    // Create directory if it doesn't exist
-    const dir = path.dirname(BILLBOARD_DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    fs.writeFileSync(BILLBOARD_DATA_FILE, JSON.stringify(playerBillboards, null, 2), 'utf8');
-    console.log(`Saved ${playerBillboards.length} player billboards`);
-  } catch (error) {
-    console.error('Error saving billboard data:', error);
-  }
+  // Bot billboards are stored separately
+  storage.save(BILLBOARD_DATA_COLLECTION, billboards.filter(bb => !bb.id.startsWith('bot_')));
 }
 
-// Load bot billboard data from file
+// Load saved bot billboards
 function loadBotBillboardData() {
   try {
-    if (fs.existsSync(BOT_BILLBOARD_DATA_FILE)) {
-      const data = fs.readFileSync(BOT_BILLBOARD_DATA_FILE, 'utf8');
-      const loadedBotBillboards = JSON.parse(data);
+    const loadedBotBillboards = storage.load(BOT_BILLBOARD_DATA_COLLECTION);
+    
+    if (Array.isArray(loadedBotBillboards)) {
+      // Clear existing bot billboards
+      botBillboards.length = 0;
       
-      if (Array.isArray(loadedBotBillboards)) {
-        // Clear existing bot billboards
-        botBillboards.length = 0;
-        
-        // Only add billboards with bot_ prefix to ensure data integrity
-        const validBotBillboards = loadedBotBillboards.filter(bb => bb.id && bb.id.startsWith('bot_'));
-        botBillboards.push(...validBotBillboards);
-        
-        console.log(`Loaded ${botBillboards.length} bot billboards`);
-      } else {
-        console.log('Invalid bot billboard data format, starting with empty bot billboards');
-      }
+      // Only add billboards with bot_ prefix to ensure data integrity
+      const validBotBillboards = loadedBotBillboards.filter(bb => bb.id && bb.id.startsWith('bot_'));
+      botBillboards.push(...validBotBillboards);
+      
+      console.log(`Loaded ${botBillboards.length} bot billboards`);
+    } else if (loadedBotBillboards) {
+      console.log('Invalid bot billboard data format, starting with empty bot billboards');
     } else {
-      console.log('No bot billboard data file found, starting with empty bot billboards');
-      // Create directory if it doesn't exist
-      const dir = path.dirname(BOT_BILLBOARD_DATA_FILE);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      // Create empty file
-      fs.writeFileSync(BOT_BILLBOARD_DATA_FILE, JSON.stringify([]), 'utf8');
+      console.log('No saved bot billboards found, starting with empty bot billboards');
     }
   } catch (error) {
     console.error('Error loading bot billboard data:', error);
   }
 }
 
-// Save bot billboard data to file
+// Queue bot billboards for the next storage batch
 function saveBotBillboardData() {
-  try {
-    // Create directory if it doesn't exist
-    const dir = path.dirname(BOT_BILLBOARD_DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    fs.writeFileSync(BOT_BILLBOARD_DATA_FILE, JSON.stringify(botBillboards, null, 2), 'utf8');
-    console.log(`Saved ${botBillboards.length} bot billboards`);
-  } catch (error) {
-    console.error('Error saving bot billboard data:', error);
-  }
+  storage.save(BOT_BILLBOARD_DATA_COLLECTION, botBillboards);
 }
 
-// Try to load saved terrain data or generate new
+// Generate the terrain from the world seed. Clients build the same layout from this data,
+// and it is stored with the rest of the world so it can be inspected and queried.
 function initializeTerrainData() {
-  try {
-    // Check if terrain data file already exists
-    if (fs.existsSync(TERRAIN_DATA_FILE)) {
-      console.log('Loading terrain data from file');
-      const fileData = fs.readFileSync(TERRAIN_DATA_FILE, 'utf8');
-      terrainData = JSON.parse(fileData);
-      console.log(`Loaded terrain data: ${terrainData.craters.length} craters, ${terrainData.rocks.length} rocks, ${terrainData.towers.length || 0} towers`);
-    } else {
-      console.log('No terrain data file found, will generate terrain on first request');
-      // Create directory if it doesn't exist
-      const dir = path.dirname(TERRAIN_DATA_FILE);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    }
-  } catch (error) {
-    console.error('Error loading terrain data:', error);
-    console.log('Will generate terrain on first request');
-  }
+  terrainData = TerrainGenerator.generate(CONFIG.world.terrainSeed);
+  storage.save(TERRAIN_DATA_COLLECTION, terrainData);
+  console.log(`Generated terrain from seed ${terrainData.seed}: ${terrainData.craters.length} craters, ${terrainData.rocks.length} rocks, ${terrainData.towers.length} towers`);
 }
 
-// Load powerup configuration
+// Powerup types used when powerups-config.json is missing or unreadable at startup
+const DEFAULT_POWERUP_CONFIG = {
+  shooting_ammo: {
+    weight: 0.6,
+    lifespan: 86400000,
+    maxPowerups: 30,
+    spawnInterval: 3000,
+    spawnChance: 0.2,
+    minDistance: 25
+  },
+  billboard_ammo: {
+    weight: 0.4,
+    lifespan: 86400000,
+    maxPowerups: 20,
+    spawnInterval: 6000,
+    spawnChance: 0.15,
+    minDistance: 30
+  }
+};
+
+// Load powerup configuration; returns true if the file was read and applied.
+// A bad file keeps the current configuration (or the defaults if nothing has loaded yet).
 function loadPowerupConfig() {
   try {
     if (fs.existsSync(POWERUP_CONFIG_FILE)) {
       const data = fs.readFileSync(POWERUP_CONFIG_FILE, 'utf8');
       const configData = JSON.parse(data);
-      console.log('Loaded raw powerup configuration from file');
       
-      // Initialize powerupConfig as an empty object
-      powerupConfig = {};
-      
-      // Convert from the "types" array to a key-value structure
-      if (configData.types && Array.isArray(configData.types)) {
-        for (const typeConfig of configData.types) {
-          if (typeConfig.type) {
-            // Use the type field as the key
-            powerupConfig[typeConfig.type] = { ...typeConfig };
-            
-            // Add the check interval from the parent object
-            if (configData.checkInterval) {
-              powerupConfig[typeConfig.type].checkInterval = configData.checkInterval;
-            }
-          }
-        }
+      const problem = validatePowerupConfig(configData);
+      if (problem) {
+        throw new Error(`Invalid powerup configuration: ${problem}`);
       }
       
-      console.log('Processed powerup configuration:', JSON.stringify(powerupConfig, null, 2));
-      
-      // Initialize powerupsByType structure
-      for (const type in powerupConfig) {
-        if (!powerupsByType[type]) {
-          powerupsByType[type] = [];
+      // Convert from the "types" array to a key-value structure
+      const loadedConfig = {};
+      for (const typeConfig of configData.types) {
+        // Use the type field as the key
+        loadedConfig[typeConfig.type] = { ...typeConfig };
+        
+        // Add the check interval from the parent object
+        if (configData.checkInterval) {
+          loadedConfig[typeConfig.type].checkInterval = configData.checkInterval;
         }
       }
-    } else {
-      console.log('No powerup configuration file found, using defaults');
-      powerupConfig = {
-        shooting_ammo: {
-          weight: 0.6,
-          lifespan: 86400000,
-          maxPowerups: 30,
-          spawnInterval: 3000,
-          spawnChance: 0.2,
-          minDistance: 25
-        },
-        billboard_ammo: {
-          weight: 0.4,
-          lifespan: 86400000,
-          maxPowerups: 20,
-          spawnInterval: 6000,
-          spawnChance: 0.15,
-          minDistance: 30
-        }
-      };
       
-      // Initialize powerupsByType structure
-      for (const type in powerupConfig) {
-        powerupsByType[type] = [];
-      }
+      powerupConfig = loadedConfig;
+      console.log('Loaded powerup configuration:', Object.keys(powerupConfig).join(', '));
+      initializePowerupTypes();
+      return true;
     }
-  } catch (error) {
-    console.error('Error loading powerup configuration:', error);
-    // Use defaults
-    powerupConfig = {
-      shooting_ammo: {
-        weight: 0.6,
-        lifespan: 86400000,
-        maxPowerups: 30,
-        spawnInterval: 3000,
-        spawnChance: 0.2,
-        minDistance: 25
-      },
-      billboard_ammo: {
-        weight: 0.4,
-        lifespan: 86400000,
-        maxPowerups: 20,
-        spawnInterval: 6000,
-        spawnChance: 0.15,
-        minDistance: 30
-      }
-    };
     
-    // Initialize powerupsByType structure
-    for (const type in powerupConfig) {
+    console.log('No powerup configuration file found, using defaults');
+  } catch (error) {
+    console.error('Error loading powerup configuration:', error.message);
+  }
+  
+  if (Object.keys(powerupConfig).length === 0) {
+    powerupConfig = JSON.parse(JSON.stringify(DEFAULT_POWERUP_CONFIG));
+    initializePowerupTypes();
+  }
+  return false;
+}
+
+// Make sure every configured powerup type has a by-type collection
+function initializePowerupTypes() {
+  for (const type in powerupConfig) {
+    if (!powerupsByType[type]) {
       powerupsByType[type] = [];
     }
   }
 }
 
-// Load bot configuration
+// Load bot configuration; returns true if the file was read and applied
 function loadBotConfig() {
   try {
     if (fs.existsSync(BOT_CONFIG_FILE)) {
       const data = fs.readFileSync(BOT_CONFIG_FILE, 'utf8');
       const loadedConfig = JSON.parse(data);
+      
+      const problem = validateBotConfig(loadedConfig);
+      if (problem) {
+        throw new Error(`Invalid bot configuration: ${problem}`);
+      }
+      
       // Update our config with loaded values
       Object.assign(botConfig, loadedConfig);
       console.log('Loaded bot configuration from file');
+      return true;
     } else {
       console.log('No bot configuration file found, using defaults');
     }
   } catch (error) {
-    console.error('Error loading bot configuration:', error);
-    // Continue with defaults
+    console.error('Error loading bot configuration:', error.message);
+    // Continue with the current values
   }
+  return false;
 }
 
-// Load powerup data from file
+// Load saved powerups
 function loadPowerupData() {
   try {
-    if (fs.existsSync(POWERUP_DATA_FILE)) {
-      const data = fs.readFileSync(POWERUP_DATA_FILE, 'utf8');
-      const loadedPowerups = JSON.parse(data);
+    const loadedPowerups = storage.load(POWERUP_DATA_COLLECTION);
+    
+    if (Array.isArray(loadedPowerups)) {
+      // Clear existing powerups
+      powerups.length = 0;
       
-      if (Array.isArray(loadedPowerups)) {
-        // Clear existing powerups
-        powerups.length = 0;
-        
-        // Reset powerupsByType
-        for (const type in powerupsByType) {
-          powerupsByType[type] = [];
+      // Reset powerupsByType
+      for (const type in powerupsByType) {
+        powerupsByType[type] = [];
+      }
+      
+      // Add current timestamp to each powerup, so we can track lifespan
+      const now = Date.now();
+      loadedPowerups.forEach(powerup => {
+        if (!powerup.spawnTime) {
+          powerup.spawnTime = now;
         }
+        powerups.push(powerup);
         
-        // Add current timestamp to each powerup, so we can track lifespan
-        const now = Date.now();
-        loadedPowerups.forEach(powerup => {
-          if (!powerup.spawnTime) {
-            powerup.spawnTime = now;
-          }
-          powerups.push(powerup);
-          
-          // Also add to by-type collection
-          if (powerupsByType[powerup.type]) {
-            powerupsByType[powerup.type].push(powerup);
-          } else {
-            // Initialize if this type doesn't exist yet
-            powerupsByType[powerup.type] = [powerup];
-          }
-        });
-        
-        console.log(`Loaded ${powerups.length} powerups`);
-      } else {
-        console.log('Invalid powerup data format, starting with empty powerups');
-      }
+        // Also add to by-type collection
+        if (powerupsByType[powerup.type]) {
+          powerupsByType[powerup.type].push(powerup);
+        } else {
+          // Initialize if this type doesn't exist yet
+          powerupsByType[powerup.type] = [powerup];
+        }
+      });
+      
+      console.log(`Loaded ${powerups.length} powerups`);
+    } else if (loadedPowerups) {
+      console.log('Invalid powerup data format, starting with empty powerups');
     } else {
-      console.log('No powerup data file found, starting with empty powerups');
-      // Create directory if it doesn't exist
-      const dir = path.dirname(POWERUP_DATA_FILE);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      // Create empty file
-      fs.writeFileSync(POWERUP_DATA_FILE, JSON.stringify([]), 'utf8');
+      console.log('No saved powerups found, starting with empty powerups');
     }
   } catch (error) {
     console.error('Error loading powerup data:', error);
   }
 }
 
-// Save powerup data to file
+// Queue powerups for the next storage batch
 function savePowerupData() {
-  try {
-    // Create directory if it doesn't exist
-    const dir = path.dirname(POWERUP_DATA_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    
-    fs.writeFileSync(POWERUP_DATA_FILE, JSON.stringify(powerups, null, 2), 'utf8');
-    //console.log(`Saved ${powerups.length} powerups`);
-  } catch (error) {
-    console.error('Error saving powerup data:', error);
-  }
+  storage.save(POWERUP_DATA_COLLECTION, powerups);
 }
 
 // Generate a random position on the globe surface
@@ -580,12 +799,17 @@ function calculateQuaternion(position) {
     z: rightNorm.x * up.y - rightNorm.y * up.x
   };
   
-  // Create a rotation matrix from these three orthogonal vectors
-  // Matrix rows are rightNorm, up, forward (for a right-handed coordinate system)
+  return quaternionFromAxes(rightNorm, up, forward);
+}
+
+// Convert a rotation given by its three orthonormal axes (the object's local x, y and z
+// in world space) to a quaternion
+function quaternionFromAxes(xAxis, yAxis, zAxis) {
+  // Rotation matrix with the axes as its columns
   const rotMatrix = [
-    rightNorm.x, up.x, forward.x, 0,
-    rightNorm.y, up.y, forward.y, 0,
-    rightNorm.z, up.z, forward.z, 0,
+    xAxis.x, yAxis.x, zAxis.x, 0,
+    xAxis.y, yAxis.y, zAxis.y, 0,
+    xAxis.z, yAxis.z, zAxis.z, 0,
     0, 0, 0, 1
   ];
   
@@ -633,6 +857,13 @@ function generateBotId() {
   return `bot_${timestamp}_${random}`;
 }
 
+// Generate a unique ID for billboards planted by bot players (they count as player billboards)
+function generateBotPlayerBillboardId() {
+  const timestamp = Date.now();
+  const random = Math.floor(Math.random() * 10000);
+  return `billboard_${timestamp}_${random}`;
+}
+
 // Generate a unique ID for powerups
 function generatePowerupId() {
   const timestamp = Date.now();
@@ -642,30 +873,43 @@ function generatePowerupId() {
 
 // BOT BILLBOARD SYSTEM //
 
-// Check if more bot billboards need to be spawned
+// (Re)start the periodic bot billboard check with the configured interval
+function startBotBillboardSystem() {
+  if (botCheckTimer) {
+    clearInterval(botCheckTimer);
+  }
+  
+  botCheckTimer = setInterval(checkBotBillboards, botConfig.checkInterval || 30000);
+  checkBotBillboards(); // Initial check
+}
+
+// One pass of the bot billboard lifecycle: retire old billboards, rotate stale text, trim
+// anything over the maximum and spawn (or respawn) up to the current target
 function checkBotBillboards() {
+  const now = Date.now();
+  mergeBotBillboards();
+  
+  // Billboards that have stood for their whole lifespan make way for new ones
+  const lifespan = botConfig.lifespan || 0;
+  if (lifespan > 0) {
+    const expired = botBillboards.filter(b => now - (b.timestamp || now) >= lifespan);
+    expired.forEach(billboard => retireBotBillboard(billboard, 'lifespan reached'));
+    if (expired.length > 0) saveBotBillboardData();
+  }
+  
+  rotateBotBillboardText(now);
+  
   // Get the current count of bot billboards
   const currentBotCount = botBillboards.length;
   
-  // If we have more than the maximum, trim the excess billboards
+  // If we have more than the maximum, retire the oldest
   if (currentBotCount > botConfig.maxBots) {
     console.log(`Found ${currentBotCount} bot billboards, exceeding maximum of ${botConfig.maxBots}`);
-    console.log(`Trimming excess bot billboards...`);
     
     // Sort billboards by timestamp (oldest first)
     botBillboards.sort((a, b) => a.timestamp - b.timestamp);
-    
-    // Keep only the newest up to maxBots
-    const excess = botBillboards.splice(0, currentBotCount - botConfig.maxBots);
-    console.log(`Removed ${excess.length} excess bot billboards`);
-    
-    // Update the main billboards array to remove excess bot billboards
-    for (const billboard of excess) {
-      const index = billboards.findIndex(b => b.id === billboard.id);
-      if (index !== -1) {
-        billboards.splice(index, 1);
-      }
-    }
+    botBillboards.slice(0, currentBotCount - botConfig.maxBots)
+      .forEach(billboard => retireBotBillboard(billboard, 'over maximum'));
     
     // Save the updated bot billboards
     saveBotBillboardData();
@@ -679,9 +923,9 @@ function checkBotBillboards() {
   }
   
   // If we need to spawn more billboards
-  if (currentBotCount < botConfig.maxBots) {
-    const botsToSpawn = botConfig.maxBots - currentBotCount;
-    console.log(`Need to spawn ${botsToSpawn} more bot billboards`);
+  const target = getBotBillboardTarget(now);
+  if (currentBotCount < target) {
+    console.log(`Need to spawn ${target - currentBotCount} more bot billboards`);
     
     // Start spawning bots if not already spawning
     if (!isSpawningBots) {
@@ -695,6 +939,45 @@ function checkBotBillboards() {
   }
 }
 
+// Number of bot billboards there should be right now: the maximum, less the destroyed
+// ones still waiting out botConfig.respawnDelay
+function getBotBillboardTarget(now = Date.now()) {
+  while (botRespawnTimes.length > 0 && botRespawnTimes[0] <= now) {
+    botRespawnTimes.shift();
+  }
+  return Math.max(0, botConfig.maxBots - botRespawnTimes.length);
+}
+
+// Hold back the replacement for a destroyed bot billboard until the respawn delay has passed
+function scheduleBotBillboardRespawn() {
+  const delay = botConfig.respawnDelay || 0;
+  if (delay > 0) {
+    botRespawnTimes.push(Date.now() + delay);
+  }
+}
+
+// Take a bot billboard down for good; the caller saves the bot billboards
+function retireBotBillboard(billboard, reason) {
+  removeBillboardById(billboard.id);
+  broadcastBillboardRemoval(billboard.id, { retired: true });
+  console.log(`Retired bot billboard ${billboard.id} (${reason})`);
+}
+
+// Give bot billboards a new message once theirs has been up for botConfig.textRotationInterval
+function rotateBotBillboardText(now) {
+  const interval = botConfig.textRotationInterval || 0;
+  const messages = botConfig.messages || [];
+  if (interval <= 0 || messages.length < 2) return;
+  
+  for (const billboard of botBillboards) {
+    if (now - (billboard.textEditedAt || billboard.timestamp || now) < interval) continue;
+    
+    const choices = messages.filter(message => message !== billboard.text);
+    const message = choices[Math.floor(Math.random() * choices.length)];
+    editBillboardText(billboard, filterText(message, MAX_BILLBOARD_TEXT_LENGTH).text);
+  }
+}
+
 // Start spawning bots at the specified interval
 function startSpawningBots() {
   if (isSpawningBots) return;
@@ -707,9 +990,9 @@ function startSpawningBots() {
   
   // Set up interval for subsequent spawns
   botSpawningTimer = setInterval(() => {
-    // Check if we've reached max bots
-    if (botBillboards.length >= botConfig.maxBots) {
-      console.log('Maximum bot count reached during spawning, stopping');
+    // Check if we've reached the target count
+    if (botBillboards.length >= getBotBillboardTarget()) {
+      console.log('Bot billboard target reached during spawning, stopping');
       stopSpawningBots();
       return;
     }
@@ -783,7 +1066,7 @@ function spawnBotBillboard() {
       width: width,
       height: height,
       health: botConfig.health || 100,
-      text: randomMessage,
+      text: filterText(randomMessage, MAX_BILLBOARD_TEXT_LENGTH).text,
       color: randomColor,
       owner: randomSender,
       player_id: 'bot_system',
@@ -812,50 +1095,450 @@ function spawnBotBillboard() {
   }
 }
 
-// POWERUP SYSTEM //
+// BOT PLAYER SYSTEM //
 
-// Start spawning powerups
-function startPowerupSystem() {
-  console.log('Starting powerup system');
-  isSpawningPowerups = true;
-  
-  // Make sure powerupConfig has the right structure
-  console.log('PowerupConfig:', JSON.stringify(powerupConfig, null, 2));
-  
-  // Valid powerup types
-  const validTypes = ['shooting_ammo', 'billboard_ammo'];
-  
-  // Start spawning for each powerup type
-  for (const type of validTypes) {
-    if (powerupConfig[type] && powerupConfig[type].spawnInterval) {
-      console.log(`Setting up spawning for powerup type: ${type}`);
-      startSpawningPowerupOfType(type);
-    } else {
-      console.warn(`No configuration found for powerup type: ${type}`);
-    }
+// Bot players are simulated on the server and reach clients like everyone else: in the roster,
+// through player_position updates and in world summaries. They shoot and plant under the same
+// rules as players (ammo, billboard slots, teams and rounds).
+
+// Numeric settings every entry in botConfig.difficultyLevels needs
+const BOT_DIFFICULTY_SETTINGS = ['speed', 'aimError', 'fireInterval', 'sightRange', 'powerupRange', 'plantInterval'];
+
+// Same collision radius, eye height and powerup pickup distance as a real player
+const BOT_RADIUS = 0.5;
+const BOT_EYE_HEIGHT = 1.8;
+const BOT_PICKUP_DISTANCE = 2.5;
+
+// Headings tried, relative to the wanted one, when a rock or tower is in the way
+const BOT_DETOURS = [0, Math.PI / 4, -Math.PI / 4, Math.PI / 2, -Math.PI / 2, Math.PI];
+
+// Spawn or remove bot players to match botConfig.botPlayers and (re)start the simulation
+function startBotPlayerSystem() {
+  if (botPlayerTimer) {
+    clearInterval(botPlayerTimer);
+    botPlayerTimer = null;
   }
-  
-  // Set up periodic check for expired powerups
-  powerupCheckTimer = setInterval(checkPowerups, 10000); // Check every 10 seconds
-}
 
-// Start spawning a specific type of powerup
-function startSpawningPowerupOfType(type) {
-  const typeConfig = powerupConfig[type];
-  if (!typeConfig) {
-    console.error(`Powerup type ${type} not found in configuration`);
-    return;
+  botObstacles = buildBotObstacles();
+
+  const settings = botConfig.botPlayers || {};
+  const count = settings.count || 0;
+  while (botPlayers.length > count) {
+    removeBotPlayer(botPlayers[botPlayers.length - 1]);
   }
-  
-  // Clear any existing timer
-  if (powerupSpawningTimers[type]) {
-    clearInterval(powerupSpawningTimers[type]);
+  for (let index = botPlayers.length; index < count; index++) {
+    spawnBotPlayer(index);
   }
-  
-  console.log(`Starting to spawn powerups of type ${type} every ${typeConfig.spawnInterval}ms`);
-  
-  // Immediately spawn first powerup
-  const randomChance = Math.random();
+
+  // Difficulties may have been changed in the config
+  botPlayers.forEach((bot, index) => {
+    bot.difficulty = getBotDifficultyName(index);
+  });
+
+  if (botPlayers.length > 0) {
+    const tickInterval = settings.tickInterval || 250;
+    console.log(`Simulating ${botPlayers.length} bot players every ${tickInterval}ms`);
+    botPlayerTimer = setInterval(() => tickBotPlayers(tickInterval / 1000), tickInterval);
+  }
+}
+
+// Difficulty for the bot in a given slot; a list of names is handed out in turn
+function getBotDifficultyName(index) {
+  const difficulty = (botConfig.botPlayers && botConfig.botPlayers.difficulty) || 'normal';
+  return Array.isArray(difficulty) ? difficulty[index % difficulty.length] : difficulty;
+}
+
+// Settings for a difficulty, falling back to 'normal' (or any level) for unknown names
+function getBotDifficulty(name) {
+  const levels = botConfig.difficultyLevels;
+  return levels[name] || levels.normal || Object.values(levels)[0];
+}
+
+// Rocks and towers bots walk around, with the collision radii Terrain.checkCollision uses
+// for players, as unit vectors so distances are a single angle
+function buildBotObstacles() {
+  if (!terrainData) return [];
+
+  const towers = (terrainData.towers || []).map(tower => ({
+    direction: MathUtils.sphericalToCartesian(1, tower.position.theta, tower.position.phi),
+    radius: tower.radius * 1.8 * 1.15
+  }));
+  const rocks = (terrainData.rocks || []).map(rock => ({
+    direction: MathUtils.sphericalToCartesian(1, rock.position.theta, rock.position.phi),
+    radius: rock.size * 1.2 * 0.9
+  }));
+
+  return towers.concat(rocks);
+}
+
+// Whether a bot standing at phi/theta would be inside a rock or tower
+function isBotPositionBlocked(phi, theta) {
+  const direction = MathUtils.sphericalToCartesian(1, theta, phi);
+
+  return botObstacles.some(obstacle => {
+    const angle = Math.acos(MathUtils.clamp(vecDot(direction, obstacle.direction), -1, 1));
+    return angle * CONFIG.world.radius < BOT_RADIUS + obstacle.radius;
+  });
+}
+
+// Heading from a bot to a position, in MathUtils.moveOnSphere's terms: 0 faces the north pole
+// (decreasing phi) and PI / 2 faces increasing theta
+function getBotHeadingTo(bot, position) {
+  const { phi, theta } = MathUtils.cartesianToSpherical(position.x, position.y, position.z);
+  const dTheta = theta - bot.theta;
+
+  const y = Math.sin(dTheta) * Math.sin(phi);
+  const x = Math.sin(bot.phi) * Math.cos(phi) - Math.cos(bot.phi) * Math.sin(phi) * Math.cos(dTheta);
+  return Math.atan2(y, x);
+}
+
+// Work out a bot's position and orientation the way a player's camera reports them:
+// eye height above the surface, looking along its heading
+function updateBotPose(bot) {
+  const { phi, theta, heading } = bot;
+  const up = MathUtils.sphericalToCartesian(1, theta, phi);
+
+  // Surface directions towards the north pole and towards increasing theta
+  const north = { x: -Math.cos(phi) * Math.cos(theta), y: Math.sin(phi), z: -Math.cos(phi) * Math.sin(theta) };
+  const east = { x: -Math.sin(theta), y: 0, z: Math.cos(theta) };
+  const forward = vecAdd(vecScale(north, Math.cos(heading)), vecScale(east, Math.sin(heading)));
+
+  // Cameras look down their local -z axis
+  bot.lastKnownPosition = vecScale(up, CONFIG.world.radius + BOT_EYE_HEIGHT);
+  bot.lastKnownQuaternion = quaternionFromAxes(vecCross(forward, up), up, vecScale(forward, -1));
+  bot.lastPositionTimestamp = Date.now();
+  updateSpatialIndex(bot);
+}
+
+// Add a bot player in a free spot. Bots keep their player id per slot, so their
+// credits, team, stats and billboards carry over between restarts.
+function spawnBotPlayer(index) {
+  const senders = botConfig.botSenders || ['MarsBot', 'RedRover'];
+  const name = senders[index % senders.length];
+  const username = index < senders.length ? name : `${name}${Math.floor(index / senders.length) + 1}`;
+  const playerId = `botplayer_${index + 1}`;
+
+  let spot = MathUtils.randomSpherePoint(CONFIG.world.radius);
+  for (let tries = 0; tries < 20 && isBotPositionBlocked(spot.phi, spot.theta); tries++) {
+    spot = MathUtils.randomSpherePoint(CONFIG.world.radius);
+  }
+
+  const now = Date.now();
+  const bot = {
+    isBot: true,
+    playerId: playerId,
+    username: username,
+    entityId: nextNetId++,
+    difficulty: getBotDifficultyName(index),
+    phi: spot.phi,
+    theta: spot.theta,
+    heading: Math.random() * 2 * Math.PI,
+    gridCell: null,
+    connectedAt: now,
+    lastShotTime: 0,
+    nextPlantAt: 0
+  };
+
+  const record = getPlayerRecord(playerId);
+  record.username = username;
+  record.isBot = true;
+  record.ammoRegenAt = now;
+  schedulePlayerDataSave();
+  assignTeam(playerId, 'auto');
+
+  updateBotPose(bot);
+  botPlayers.push(bot);
+
+  broadcastToAll({ type: 'player_join', username: username, entityId: bot.entityId, isBot: true, timestamp: now });
+  console.log(`Bot player ${username} (${bot.difficulty}) joined`);
+  return bot;
+}
+
+// Take a bot player out of the world
+function removeBotPlayer(bot) {
+  const index = botPlayers.indexOf(bot);
+  if (index === -1) return;
+
+  botPlayers.splice(index, 1);
+  removeFromSpatialIndex(bot);
+
+  broadcastToAll({ type: 'player_left', username: bot.username, playerId: bot.playerId });
+  console.log(`Bot player ${bot.username} left`);
+}
+
+// Advance every bot player by one tick; with nobody connected they wait unless runWhenEmpty is set
+function tickBotPlayers(seconds) {
+  if (wsServer.clients.size === 0 && !(botConfig.botPlayers && botConfig.botPlayers.runWhenEmpty)) return;
+
+  const now = Date.now();
+
+  for (const bot of botPlayers) {
+    try {
+      tickBotPlayer(bot, seconds, now);
+    } catch (error) {
+      console.error(`Error simulating bot player ${bot.username}:`, error);
+    }
+  }
+}
+
+// One tick of a bot: shoot a rival billboard in range, otherwise walk towards one, or towards
+// a powerup, or wander; plant a billboard of its own whenever it can
+function tickBotPlayer(bot, seconds, now) {
+  const level = getBotDifficulty(bot.difficulty);
+  const record = getPlayerRecord(bot.playerId);
+
+  // Connected-player regeneration only covers real connections
+  regenerateAmmo(record, now);
+
+  plantBotBillboard(bot, record, level, now);
+
+  let goal = null;
+  const target = record.shootingAmmo > 0 ? findBotTarget(bot, level) : null;
+  if (target) {
+    const aimPoint = getBillboardAimPoint(target);
+    const shootRange = Math.min(level.sightRange, CONFIG.player.shootRange || 50);
+
+    // In range: stand and fire
+    if (vecLength(vecSub(aimPoint, bot.lastKnownPosition)) <= shootRange * 0.8) {
+      const heading = getBotHeadingTo(bot, target.position);
+      const turned = Math.abs(MathUtils.normalizeAngle(heading - bot.heading + Math.PI) - Math.PI) > 0.05;
+      bot.heading = heading;
+
+      if (now - bot.lastShotTime >= level.fireInterval / getEffectMultiplier(bot.playerId, 'rapid_fire')) {
+        fireBotShot(bot, record, aimPoint, level, now);
+      }
+      if (turned) {
+        updateBotPose(bot);
+        broadcastBotPosition(bot);
+      }
+      return;
+    }
+
+    goal = target.position;
+  } else {
+    const powerup = findBotPowerup(bot, record, level);
+    if (powerup) goal = powerup.position;
+  }
+
+  if (goal) {
+    bot.heading = getBotHeadingTo(bot, goal);
+  } else {
+    // Wander with a gentle random turn
+    bot.heading += (Math.random() - 0.5) * 0.6;
+  }
+
+  stepBotPlayer(bot, level.speed * getEffectMultiplier(bot.playerId, 'speed_boost') * seconds);
+  updateBotPose(bot);
+  broadcastBotPosition(bot);
+  pickUpBotPowerups(bot);
+}
+
+// Walk a bot along its heading, turning aside when a rock or tower is in the way
+function stepBotPlayer(bot, distance) {
+  for (const detour of BOT_DETOURS) {
+    const heading = bot.heading + detour;
+    const next = MathUtils.moveOnSphere(bot.phi, bot.theta, heading, distance, CONFIG.world.radius);
+    if (isBotPositionBlocked(next.phi, next.theta)) continue;
+
+    bot.phi = next.phi;
+    bot.theta = next.theta;
+    bot.heading = MathUtils.normalizeAngle(heading);
+    return true;
+  }
+
+  // Boxed in: try a new direction next tick
+  bot.heading = Math.random() * 2 * Math.PI;
+  return false;
+}
+
+// Relay a bot's position the same way a player's own updates are relayed
+function broadcastBotPosition(bot) {
+  const message = {
+    type: 'player_position',
+    username: bot.username,
+    playerId: bot.playerId,
+    position: bot.lastKnownPosition,
+    quaternion: bot.lastKnownQuaternion,
+    timestamp: bot.lastPositionTimestamp
+  };
+
+  sendWithInterest(message.position, {
+    json: JSON.stringify(message),
+    binary: Protocol.encodePlayerPosition(bot.entityId, message.position, message.quaternion, message.timestamp)
+  });
+}
+
+// Nearest rival billboard within sight: any player's or bot player's, never a teammate's
+// (bots don't use friendly fire) and never the static bot billboards
+function findBotTarget(bot, level) {
+  const team = getPlayerTeam(bot.playerId);
+  let target = null;
+  let targetDistance = level.sightRange;
+
+  for (const billboard of getVisibleBillboards()) {
+    if (!billboard.player_id || billboard.player_id === bot.playerId) continue;
+    if (billboard.id && billboard.id.startsWith('bot_')) continue;
+    if (team && billboard.team === team) continue;
+
+    const distance = surfaceDistance(bot.lastKnownPosition, billboard.position);
+    if (distance < targetDistance) {
+      target = billboard;
+      targetDistance = distance;
+    }
+  }
+
+  return target;
+}
+
+// Middle of a billboard's sign, the part rayHitsBillboard tests first
+function getBillboardAimPoint(billboard) {
+  const startSize = CONFIG.billboard.startSize || 5;
+  const heightScale = (billboard.height || startSize) / startSize;
+  const up = applyQuaternion({ x: 0, y: 1, z: 0 }, billboard.quaternion || { x: 0, y: 0, z: 0, w: 1 });
+
+  return vecAdd(billboard.position, vecScale(up, 2.8 * heightScale));
+}
+
+// Fire at a point, off by up to the difficulty's aim error, and resolve it like a player's shot
+function fireBotShot(bot, record, aimPoint, level, now) {
+  if (!isRoundInProgress()) return;
+
+  const spread = MathUtils.randomSpherePoint(1);
+  const offset = vecScale(MathUtils.sphericalToCartesian(1, spread.theta, spread.phi), Math.random() * level.aimError);
+  const direction = vecNormalize(vecAdd(vecNormalize(vecSub(aimPoint, bot.lastKnownPosition)), offset));
+
+  record.shootingAmmo--;
+  bot.lastShotTime = now;
+
+  resolveShot(bot, bot.playerId, bot.lastKnownPosition, direction);
+}
+
+// Nearest powerup within the difficulty's range that still adds something the bot can carry
+function findBotPowerup(bot, record, level) {
+  const gun = CONFIG.player.gun;
+  let nearest = null;
+  let nearestDistance = level.powerupRange;
+
+  for (const powerup of powerups) {
+    if (!isValidVector(powerup.position)) continue;
+    if (powerup.type === 'shooting_ammo' && record.shootingAmmo >= gun.maxAmmoShooting) continue;
+    if (powerup.type === 'billboard_ammo' && record.billboardAmmo >= gun.maxAmmoBillboard) continue;
+
+    const distance = surfaceDistance(bot.lastKnownPosition, powerup.position);
+    if (distance < nearestDistance) {
+      nearest = powerup;
+      nearestDistance = distance;
+    }
+  }
+
+  return nearest;
+}
+
+// Collect any powerup the bot has walked into
+function pickUpBotPowerups(bot) {
+  const reached = powerups.filter(powerup => isValidVector(powerup.position) &&
+    vecLength(vecSub(powerup.position, bot.lastKnownPosition)) <= BOT_PICKUP_DISTANCE);
+
+  for (const powerup of reached) {
+    collectPowerup(bot, powerup.id, bot.playerId);
+  }
+}
+
+// Plant a billboard a few steps ahead once the difficulty's interval has passed, if the bot has a
+// free slot and billboard ammo and no other billboard stands within botConfig.minDistance
+function plantBotBillboard(bot, record, level, now) {
+  if (now < bot.nextPlantAt || checkBillboardPlacement(bot.playerId)) return;
+
+  const radius = CONFIG.world.radius;
+  const spot = MathUtils.moveOnSphere(bot.phi, bot.theta, bot.heading, 3, radius);
+  if (isBotPositionBlocked(spot.phi, spot.theta)) return;
+
+  const position = MathUtils.sphericalToCartesian(radius, spot.theta, spot.phi);
+  const minDistance = botConfig.minDistance || 20;
+  if (billboards.some(billboard => isValidVector(billboard.position) && surfaceDistance(position, billboard.position) < minDistance)) {
+    return;
+  }
+
+  const messages = botConfig.messages || ['Bot was here'];
+  const startSize = CONFIG.billboard.startSize || 5;
+  const billboard = {
+    id: generateBotPlayerBillboardId(),
+    position: position,
+    quaternion: calculateQuaternion(position),
+    text: filterText(messages[Math.floor(Math.random() * messages.length)], MAX_BILLBOARD_TEXT_LENGTH).text,
+    owner: bot.username,
+    player_id: bot.playerId,
+    billboard_category: 'player',
+    timestamp: now
+  };
+  if (getPlayerTeam(bot.playerId)) {
+    billboard.team = getPlayerTeam(bot.playerId);
+  }
+  resizeBillboard(billboard, startSize, startSize);
+  markBillboardTended(billboard);
+
+  record.billboardAmmo--;
+  schedulePlayerDataSave();
+  bot.nextPlantAt = now + level.plantInterval * 1000;
+
+  billboards.push(billboard);
+  saveBillboardData();
+  broadcastBillboardData(billboard);
+  console.log(`Bot player ${bot.username} planted billboard ${billboard.id}`);
+}
+
+// POWERUP SYSTEM //
+
+// Start spawning powerups
+function startPowerupSystem() {
+  console.log('Starting powerup system');
+  isSpawningPowerups = true;
+  
+  // Make sure powerupConfig has the right structure
+  console.log('PowerupConfig:', JSON.stringify(powerupConfig, null, 2));
+  
+  startPowerupSpawnTimers();
+  
+  // Set up periodic check for expired powerups
+  powerupCheckTimer = setInterval(checkPowerups, 10000); // Check every 10 seconds
+}
+
+// (Re)build the spawn timer of every configured powerup type
+function startPowerupSpawnTimers() {
+  // Drop timers of every type, including ones no longer in the configuration
+  for (const type in powerupSpawningTimers) {
+    clearInterval(powerupSpawningTimers[type]);
+    delete powerupSpawningTimers[type];
+  }
+  
+  // Start spawning for each configured powerup type
+  for (const type of Object.keys(powerupConfig)) {
+    if (powerupConfig[type].spawnInterval) {
+      console.log(`Setting up spawning for powerup type: ${type}`);
+      startSpawningPowerupOfType(type);
+    } else {
+      console.warn(`No spawn interval configured for powerup type: ${type}`);
+    }
+  }
+}
+
+// Start spawning a specific type of powerup
+function startSpawningPowerupOfType(type) {
+  const typeConfig = powerupConfig[type];
+  if (!typeConfig) {
+    console.error(`Powerup type ${type} not found in configuration`);
+    return;
+  }
+  
+  // Clear any existing timer
+  if (powerupSpawningTimers[type]) {
+    clearInterval(powerupSpawningTimers[type]);
+  }
+  
+  console.log(`Starting to spawn powerups of type ${type} every ${typeConfig.spawnInterval}ms`);
+  
+  // Immediately spawn first powerup
+  const randomChance = Math.random();
   if (randomChance < (typeConfig.spawnChance || 0.2)) {
     spawnPowerupOfType(type);
   }
@@ -930,6 +1613,11 @@ function spawnPowerupOfType(type) {
       size: typeConfig.size || 1.5,
       color: typeConfig.color || "#FFFF00",
       lifespan: typeConfig.lifespan || 86400000, // 1 minute default
+      text: typeConfig.text,
+      effectAmount: typeConfig.effectAmount,
+      effectDuration: typeConfig.effectDuration,
+      stacking: typeConfig.stacking,
+      maxStacks: typeConfig.maxStacks,
       spawnTime: Date.now(),
       isCollected: false
     };
@@ -995,223 +1683,3207 @@ function checkPowerups() {
       broadcastPowerupRemoval(powerup.id);
     });
   }
-  
-  // Valid powerup types
-  const validTypes = ['shooting_ammo', 'billboard_ammo'];
-  
-  // Check if we need to spawn more of each type
-  for (const type of validTypes) {
-    const typeConfig = powerupConfig[type];
-    if (!typeConfig) continue;
-    
-    const currentCount = powerupsByType[type]?.length || 0;
-    const maxCount = typeConfig.maxPowerups || 10;
-    
-    if (currentCount < maxCount && !powerupSpawningTimers[type]) {
-      // Start spawning this type if not already spawning
-      startSpawningPowerupOfType(type);
+  
+  // Forget collections old enough that nobody is still racing for them
+  for (const [powerupId, collected] of collectedPowerups) {
+    if (now - collected.collectedAt > COLLECTED_POWERUP_MEMORY) {
+      collectedPowerups.delete(powerupId);
+    }
+  }
+  
+  // Check if we need to spawn more of each type
+  for (const type of Object.keys(powerupConfig)) {
+    const typeConfig = powerupConfig[type];
+    
+    const currentCount = powerupsByType[type]?.length || 0;
+    const maxCount = typeConfig.maxPowerups || 10;
+    
+    if (currentCount < maxCount && !powerupSpawningTimers[type]) {
+      // Start spawning this type if not already spawning
+      startSpawningPowerupOfType(type);
+    }
+  }
+}
+
+// Check a claim on a powerup and hand it to the player if it stands: the powerup must still
+// exist and be within reach of where the server last saw them. The first valid claim wins;
+// later claims on the same powerup are rejected. The claimant is told the outcome, so this
+// returns the same {success, code, error} or {success, powerup, granted} result it sends.
+function collectPowerup(socket, powerupId, playerId) {
+  const result = claimPowerup(socket, powerupId, playerId);
+  sendPowerupResult(socket, playerId, powerupId, result);
+
+  if (result.success) {
+    console.log(`${playerId || 'Anonymous player'} collected ${result.powerup.type} powerup ${powerupId}`);
+    savePowerupData();
+    broadcastPowerupRemoval(powerupId);
+  } else {
+    console.log(`Rejected claim on powerup ${powerupId} by ${playerId || 'anonymous player'}: ${result.error}`);
+  }
+
+  return result;
+}
+
+// Validate a claim and, if it stands, remove the powerup and apply its effect
+function claimPowerup(socket, powerupId, playerId) {
+  // Find the powerup in our array
+  const powerupIndex = powerups.findIndex(p => p.id === powerupId);
+
+  if (powerupIndex === -1) {
+    const collected = collectedPowerups.get(powerupId);
+    if (!collected) {
+      return { success: false, code: 'not_found', error: 'Powerup not found' };
+    }
+    if (playerId && collected.playerId === playerId) {
+      return { success: false, code: 'already_collected', error: 'You already collected this powerup' };
+    }
+    return { success: false, code: 'already_collected', error: 'Someone else collected this powerup first' };
+  }
+
+  // Get the powerup data
+  const powerup = powerups[powerupIndex];
+
+  // Only the server's own idea of where the player is counts
+  if (!socket.lastKnownPosition || !isValidVector(powerup.position) ||
+      vecLength(vecSub(powerup.position, socket.lastKnownPosition)) > POWERUP_PICKUP_RANGE) {
+    return { success: false, code: 'out_of_range', error: 'Too far away from the powerup' };
+  }
+
+  // Mark as collected
+  powerup.isCollected = true;
+  powerup.collectedBy = playerId;
+  powerup.collectedAt = Date.now();
+  collectedPowerups.set(powerupId, { playerId: playerId || null, collectedAt: powerup.collectedAt });
+
+  // Remove from the main array
+  powerups.splice(powerupIndex, 1);
+
+  // Also remove from type-specific array
+  if (powerupsByType[powerup.type]) {
+    const typeIndex = powerupsByType[powerup.type].findIndex(p => p.id === powerupId);
+    if (typeIndex !== -1) {
+      powerupsByType[powerup.type].splice(typeIndex, 1);
+    } else {
+      console.warn(`Powerup ${powerupId} not found in ${powerup.type} type-specific array`);
+    }
+  }
+
+  // Anonymous players can clear a powerup away but have no state to apply it to
+  const granted = playerId ? applyPowerupEffect(socket, playerId, powerup) : {};
+
+  return { success: true, powerup, granted };
+}
+
+// Tell a claimant whether they got the powerup and what it gave them
+function sendPowerupResult(socket, playerId, powerupId, result) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  socket.send(JSON.stringify({
+    type: 'powerup_result',
+    playerId: playerId || null,
+    powerupId: powerupId,
+    powerupType: result.powerup ? result.powerup.type : null,
+    success: result.success,
+    code: result.code,
+    error: result.error,
+    granted: result.granted
+  }));
+}
+
+// Apply a collected powerup to the collector's server-side state: ammo is credited,
+// repair kits restore their billboards and every other type with an effectDuration
+// becomes a timed status effect. Returns what was granted, for the powerup_result message.
+function applyPowerupEffect(socket, playerId, powerup) {
+  identifySocket(socket, playerId);
+  const typeConfig = powerupConfig[powerup.type] || {};
+  const amount = powerup.effectAmount || typeConfig.effectAmount || 0;
+
+  if (powerup.type === 'shooting_ammo' || powerup.type === 'billboard_ammo') {
+    const record = getPlayerRecord(playerId);
+    const field = powerup.type === 'shooting_ammo' ? 'shootingAmmo' : 'billboardAmmo';
+    const before = record[field];
+
+    record[field] += amount;
+
+    // Report what actually fit under the ammo cap
+    ensureAmmoState(record);
+    sendAmmoUpdate(socket, playerId);
+    schedulePlayerDataSave();
+    return { [field]: record[field] - before };
+  }
+
+  if (powerup.type === 'repair_kit') {
+    const repaired = repairPlayerBillboards(playerId, amount);
+    console.log(`Repair kit restored ${repaired} billboards of ${playerId}`);
+    return { repairedBillboards: repaired, repairAmount: amount };
+  }
+
+  if (typeConfig.effectDuration > 0) {
+    const effect = applyStatusEffect(playerId, powerup.type, amount, typeConfig);
+    console.log(`${playerId} has ${powerup.type} x${effect.stacks} until ${new Date(effect.expiresAt).toISOString()}`);
+    sendStatusEffects(socket, playerId);
+    return { effect: { type: powerup.type, ...effect } };
+  }
+
+  return {};
+}
+
+// STATUS EFFECT SYSTEM //
+
+// How picking up a timed effect combines with one the player already has:
+// 'refresh' restarts the timer, 'extend' adds to the time left and
+// 'stack' adds strength (up to maxStacks) and restarts the timer
+const EFFECT_STACKING_RULES = ['refresh', 'extend', 'stack'];
+
+// Start or renew a timed effect on a player; returns the effect's new state
+function applyStatusEffect(playerId, type, amount, typeConfig, now = Date.now()) {
+  const effects = getActiveEffects(playerId, now);
+  const current = effects[type];
+  const effect = {
+    amount: amount,
+    stacks: 1,
+    expiresAt: now + typeConfig.effectDuration
+  };
+
+  if (current && typeConfig.stacking === 'extend') {
+    effect.expiresAt = current.expiresAt + typeConfig.effectDuration;
+  } else if (current && typeConfig.stacking === 'stack') {
+    effect.stacks = Math.min(current.stacks + 1, typeConfig.maxStacks || 1);
+  }
+
+  effects[type] = effect;
+  playerEffects.set(playerId, effects);
+  return effect;
+}
+
+// Timed effects a player still has, dropping any that have worn off
+function getActiveEffects(playerId, now = Date.now()) {
+  const effects = playerEffects.get(playerId);
+  if (!effects) return {};
+
+  for (const type of Object.keys(effects)) {
+    if (effects[type].expiresAt <= now) {
+      delete effects[type];
+    }
+  }
+  if (Object.keys(effects).length === 0) {
+    playerEffects.delete(playerId);
+  }
+  return effects;
+}
+
+// Multiplier a timed effect gives a player right now (1 while it isn't active).
+// Every stack adds the effectAmount's difference from 1 again, so two 0.5 shields block everything.
+function getEffectMultiplier(playerId, type) {
+  const effect = getActiveEffects(playerId)[type];
+  if (!effect) return 1;
+
+  return Math.max(0, 1 + (effect.amount - 1) * effect.stacks);
+}
+
+// Tell a player which timed effects they have and when each runs out
+function sendStatusEffects(socket, playerId) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const effects = getActiveEffects(playerId);
+  socket.send(JSON.stringify({
+    type: 'status_effects',
+    playerId: playerId,
+    serverTime: Date.now(),
+    effects: Object.keys(effects).map(type => ({
+      type: type,
+      text: powerupConfig[type]?.text,
+      ...effects[type]
+    }))
+  }));
+}
+
+// Give back size (and with it health) a player's billboards lost to damage or decay: up to
+// amount, and never past the largest size each has had. Billboards at that size are left alone.
+// Returns how many billboards were repaired.
+function repairPlayerBillboards(playerId, amount) {
+  const maxSize = CONFIG.billboard.maxSize || 40;
+  const startSize = CONFIG.billboard.startSize || 5;
+  let repaired = 0;
+
+  for (const billboard of billboards) {
+    if (billboard.player_id !== playerId) continue;
+
+    const width = billboard.width || startSize;
+    const height = billboard.height || startSize;
+    const peakWidth = Math.min(billboard.peakWidth || width, maxSize);
+    const peakHeight = Math.min(billboard.peakHeight || height, maxSize);
+    if (width >= peakWidth && height >= peakHeight) continue;
+
+    const newWidth = Math.max(width, Math.min(width + amount, peakWidth));
+    const newHeight = Math.max(height, Math.min(height + amount, peakHeight));
+    resizeBillboard(billboard, newWidth, newHeight);
+    markBillboardTended(billboard);
+
+    broadcastBillboardData(billboard, true);
+    repaired++;
+  }
+
+  if (repaired > 0) {
+    scheduleBillboardSave();
+  }
+  return repaired;
+}
+
+// BILLBOARD DAMAGE SYSTEM //
+
+// Small vector helpers for plain {x, y, z} objects
+function vecSub(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function vecAdd(a, b) {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function vecScale(v, s) {
+  return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function vecDot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function vecCross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function vecLength(v) {
+  return Math.sqrt(vecDot(v, v));
+}
+
+function vecNormalize(v) {
+  const length = vecLength(v);
+  return length > 0 ? vecScale(v, 1 / length) : { x: 0, y: 0, z: 0 };
+}
+
+// Rotate a vector by a quaternion
+function applyQuaternion(v, q) {
+  // t = 2 * cross(q.xyz, v)
+  const tx = 2 * (q.y * v.z - q.z * v.y);
+  const ty = 2 * (q.z * v.x - q.x * v.z);
+  const tz = 2 * (q.x * v.y - q.y * v.x);
+
+  // v' = v + w * t + cross(q.xyz, t)
+  return {
+    x: v.x + q.w * tx + (q.y * tz - q.z * ty),
+    y: v.y + q.w * ty + (q.z * tx - q.x * tz),
+    z: v.z + q.w * tz + (q.x * ty - q.y * tx)
+  };
+}
+
+// Check that a value is a {x, y, z} object made of finite numbers
+function isValidVector(v) {
+  return !!v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
+// Shortest distance between a ray (origin, unit direction, max length) and a line segment
+function raySegmentDistance(origin, direction, maxDistance, segStart, segEnd) {
+  const segment = vecSub(segEnd, segStart);
+  const w = vecSub(origin, segStart);
+  const a = 1; // direction is normalized
+  const b = vecDot(direction, segment);
+  const c = vecDot(segment, segment);
+  const d = vecDot(direction, w);
+  const e = vecDot(segment, w);
+  const denom = a * c - b * b;
+
+  let t = denom > 1e-9 ? (b * e - c * d) / denom : 0;
+  t = Math.max(0, Math.min(maxDistance, t));
+
+  let s = c > 1e-9 ? (b * t + e) / c : 0;
+  s = Math.max(0, Math.min(1, s));
+
+  const closestOnRay = vecAdd(origin, vecScale(direction, t));
+  const closestOnSegment = vecAdd(segStart, vecScale(segment, s));
+  return { distance: vecLength(vecSub(closestOnRay, closestOnSegment)), t };
+}
+
+// Test a ray against a billboard's sign and legs.
+// Mirrors the geometry built in BillboardGun.createBillboardFromData on the client.
+// Returns the distance along the ray to the hit, or null if the billboard is missed.
+function rayHitsBillboard(origin, direction, maxDistance, billboard) {
+  if (!isValidVector(billboard.position)) return null;
+
+  const startSize = CONFIG.billboard.startSize || 5;
+  const widthScale = (billboard.width || startSize) / startSize;
+  const heightScale = (billboard.height || startSize) / startSize;
+  const quaternion = billboard.quaternion || { x: 0, y: 0, z: 0, w: 1 };
+
+  const right = applyQuaternion({ x: 1, y: 0, z: 0 }, quaternion);
+  const up = applyQuaternion({ x: 0, y: 1, z: 0 }, quaternion);
+  const forward = applyQuaternion({ x: 0, y: 0, z: 1 }, quaternion);
+
+  // Same hit margin the client used for bullet collisions
+  const margin = 0.5;
+  let closestHit = null;
+
+  // Sign: a 3x2 plane raised 2.8 units (scaled) above the billboard center
+  const signCenter = vecAdd(billboard.position, vecScale(up, 2.8 * heightScale));
+  const denom = vecDot(direction, forward);
+  if (Math.abs(denom) > 1e-6) {
+    const t = vecDot(vecSub(signCenter, origin), forward) / denom;
+    if (t >= 0 && t <= maxDistance) {
+      const hitPoint = vecAdd(origin, vecScale(direction, t));
+      const local = vecSub(hitPoint, signCenter);
+      if (Math.abs(vecDot(local, right)) <= 1.5 * widthScale + margin &&
+          Math.abs(vecDot(local, up)) <= 1.0 * heightScale + margin) {
+        closestHit = t;
+      }
+    }
+  }
+
+  // Legs: two 4 unit tall poles (scaled) either side of the center
+  for (const side of [-1, 1]) {
+    const legCenter = vecAdd(billboard.position, vecScale(right, side * 1.2 * widthScale));
+    const legStart = vecSub(legCenter, vecScale(up, 2.0 * heightScale));
+    const legEnd = vecAdd(legCenter, vecScale(up, 2.0 * heightScale));
+    const result = raySegmentDistance(origin, direction, maxDistance, legStart, legEnd);
+    if (result.distance <= 0.2 + margin && (closestHit === null || result.t < closestHit)) {
+      closestHit = result.t;
+    }
+  }
+
+  return closestHit;
+}
+
+// Place a billboard's center so its legs stand on the surface for its current height
+// (same formula the client uses when placing, damaging and growing billboards)
+function positionBillboardOnSurface(billboard) {
+  const radius = CONFIG.world.radius || 100;
+  const startSize = CONFIG.billboard.startSize || 5;
+  const heightScale = (billboard.height || startSize) / startSize;
+  const surfaceNormal = vecNormalize(billboard.position);
+
+  const groundSinkFactor = -0.2 * (heightScale / 10);
+  const centerOffset = (4.0 * heightScale) / 2;
+
+  billboard.position = vecScale(surfaceNormal, radius + groundSinkFactor + centerOffset);
+}
+
+// Resize a billboard and derive its health from the new area. The largest size it has had
+// is kept as the limit for repairs.
+function resizeBillboard(billboard, width, height) {
+  const healthSizeMultiplier = CONFIG.billboard.healthSizeMultiplier || 4;
+
+  billboard.peakWidth = Math.max(billboard.peakWidth || billboard.width || 0, width);
+  billboard.peakHeight = Math.max(billboard.peakHeight || billboard.height || 0, height);
+  billboard.width = width;
+  billboard.height = height;
+  billboard.health = width * height * healthSizeMultiplier;
+  positionBillboardOnSurface(billboard);
+}
+
+// Make sure every bot billboard is also present in the main billboards array
+function mergeBotBillboards() {
+  for (const botBillboard of botBillboards) {
+    const found = billboards.some(b => b.id === botBillboard.id);
+    if (!found) {
+      console.log(`Adding missing bot billboard ${botBillboard.id} to main billboards array`);
+      billboards.push(botBillboard);
+    }
+  }
+}
+
+// Keep the bot billboard store in step with a billboard changed in the main array
+function syncBotBillboardEntry(billboard) {
+  const botIndex = botBillboards.findIndex(b => b.id === billboard.id);
+  if (botIndex !== -1) {
+    botBillboards[botIndex] = billboard;
+  }
+}
+
+// Batch billboard writes so rapid fire doesn't hit the disk on every shot
+function scheduleBillboardSave() {
+  if (billboardSaveTimer) return;
+
+  billboardSaveTimer = setTimeout(() => {
+    billboardSaveTimer = null;
+    saveBillboardData();
+    saveBotBillboardData();
+  }, BILLBOARD_SAVE_DELAY);
+}
+
+// Remove a billboard from server storage; returns the removed billboard or null
+function removeBillboardById(billboardId) {
+  const index = billboards.findIndex(b => b.id === billboardId);
+  if (index === -1) return null;
+
+  const [removed] = billboards.splice(index, 1);
+  billboardNetIds.delete(billboardId);
+
+  const botIndex = botBillboards.findIndex(b => b.id === billboardId);
+  if (botIndex !== -1) {
+    botBillboards.splice(botIndex, 1);
+  }
+
+  return removed;
+}
+
+// Validate a shot intent against what the server knows about the shooter
+function validateShot(socket, data) {
+  if (!isValidVector(data.origin) || !isValidVector(data.direction)) {
+    return 'Invalid shot vectors';
+  }
+
+  if (vecLength(data.direction) < 1e-6) {
+    return 'Invalid shot direction';
+  }
+
+  if (!isRoundInProgress()) {
+    return 'No round in progress';
+  }
+
+  // Rapid fire powerups shorten the interval by the same factor as on the client
+  const now = Date.now();
+  const minInterval = MIN_SHOT_INTERVAL / getEffectMultiplier(data.playerId, 'rapid_fire');
+  if (socket.lastShotTime && now - socket.lastShotTime < minInterval) {
+    return 'Firing too fast';
+  }
+
+  // Until the player has reported a position there is nothing to check the origin against
+  if (!socket.lastKnownPosition) {
+    return 'Player position unknown';
+  }
+
+  if (vecLength(vecSub(data.origin, socket.lastKnownPosition)) > MAX_SHOT_ORIGIN_DRIFT) {
+    return 'Shot origin too far from player position';
+  }
+
+  return null;
+}
+
+// Resolve a "shot fired" intent: find the billboard hit, damage it and grow the shooter's billboards
+function handleShotFired(socket, data) {
+  const rejection = validateShot(socket, data);
+  if (rejection) {
+    console.log(`Rejected shot from ${data.playerId || 'unknown player'}: ${rejection}`);
+    return;
+  }
+
+  const shooterId = data.playerId;
+  if (!shooterId) {
+    console.log('Rejected shot without a player id');
+    return;
+  }
+
+  // Every accepted shot spends one round of the server-tracked ammo
+  identifySocket(socket, shooterId);
+  const shooter = getPlayerRecord(shooterId);
+  if (shooter.shootingAmmo <= 0) {
+    console.log(`Rejected shot from ${shooterId}: out of ammo`);
+    sendAmmoUpdate(socket, shooterId);
+    return;
+  }
+  shooter.shootingAmmo--;
+
+  socket.lastShotTime = Date.now();
+
+  resolveShot(socket, shooterId, data.origin, vecNormalize(data.direction));
+}
+
+// Work out what an accepted shot hit: damage the billboard and reward the shooter.
+// socket is the shooter's connection (a bot player for server-simulated shots).
+function resolveShot(socket, shooterId, origin, direction) {
+  const maxDistance = CONFIG.player.shootRange || 50;
+
+  mergeBotBillboards();
+
+  // Find the closest billboard along the ray
+  let target = null;
+  let targetDistance = Infinity;
+  for (const billboard of getVisibleBillboards()) {
+    const distance = rayHitsBillboard(origin, direction, maxDistance, billboard);
+    if (distance !== null && distance < targetDistance) {
+      target = billboard;
+      targetDistance = distance;
+    }
+  }
+
+  if (!target) return;
+
+  // Teammates' billboards are only damaged with friendly fire on, and never pay out
+  const friendly = isFriendlyTarget(shooterId, target);
+  if (friendly && !CONFIG.teams.friendlyFire) return;
+
+  // Double damage powerups hit harder; a shield on the owner soaks up some or all of the shot
+  const startSize = CONFIG.billboard.startSize || 5;
+  const damage = (CONFIG.billboard.damagePerShot || 0.1) *
+    getEffectMultiplier(shooterId, 'double_damage') *
+    getEffectMultiplier(target.player_id, 'billboard_shield');
+  if (damage <= 0) return;
+
+  // Apply damage to size, health follows the area
+  const newWidth = Math.max(1, (target.width || startSize) - damage);
+  const newHeight = Math.max(1, (target.height || startSize) - damage);
+  resizeBillboard(target, newWidth, newHeight);
+  target.lastDamagedAt = Date.now();
+  syncBotBillboardEntry(target);
+
+  const destroyed = newWidth <= 1 || newHeight <= 1;
+  if (destroyed) {
+    // Billboard destroyed
+    removeBillboardById(target.id);
+    console.log(`Billboard ${target.id} destroyed by ${shooterId || 'unknown player'}`);
+    broadcastBillboardRemoval(target.id, { destroyed: true, destroyedBy: shooterId || null });
+    if (target.id.startsWith('bot_')) {
+      scheduleBotBillboardRespawn();
+    }
+  } else {
+    broadcastBillboardData(target, true);
+  }
+
+  // Grow the shooter's (team's) billboards and pay out credits when hitting a rival's
+  if (shooterId && target.player_id !== shooterId && !friendly) {
+    growPlayerBillboards(shooterId, damage);
+    recordCombatStats(shooterId, damage, destroyed);
+
+    const earned = damage * (CONFIG.economy.mcPerDamage || 0);
+    if (earned > 0) {
+      awardCredits(shooterId, earned);
+      sendCreditsUpdate(socket, shooterId, earned, 'damage');
+    }
+  }
+
+  scheduleBillboardSave();
+}
+
+// Grow every billboard owned by a player, or by their whole team, based on the damage they dealt
+function growPlayerBillboards(playerId, damageAmount) {
+  const growthPerDamage = CONFIG.billboard.growthPerDamage || 0.2;
+  const maxSize = CONFIG.billboard.maxSize || 40;
+  const startSize = CONFIG.billboard.startSize || 5;
+  const growthAmount = growthPerDamage * damageAmount;
+  const team = getPlayerTeam(playerId);
+
+  for (const billboard of billboards) {
+    if (billboard.player_id !== playerId && !(team && billboard.team === team)) continue;
+
+    const newWidth = Math.min((billboard.width || startSize) + growthAmount, maxSize);
+    const newHeight = Math.min((billboard.height || startSize) + growthAmount, maxSize);
+    resizeBillboard(billboard, newWidth, newHeight);
+    markBillboardTended(billboard);
+
+    broadcastBillboardData(billboard, true);
+  }
+}
+
+// Broadcast a billboard removal to all connected clients
+function broadcastBillboardRemoval(billboardId, extra = {}) {
+  const removalData = {
+    type: 'billboard_removed',
+    id: billboardId,
+    timestamp: Date.now(),
+    ...extra
+  };
+
+  scheduleLeaderboardBroadcast();
+
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(removalData));
+    }
+  });
+}
+
+// BILLBOARD DECAY SYSTEM //
+
+// Record owner activity on a billboard, which holds off decay for another interval
+function markBillboardTended(billboard) {
+  billboard.lastTendedAt = Date.now();
+}
+
+// Shrink player billboards that nobody has tended for a whole decay interval.
+// Decay is worked out from timestamps, so time the server was down still counts.
+function decayBillboards() {
+  const decayRate = CONFIG.billboard.decayRate || 0;
+  const decayIntervalMs = (CONFIG.billboard.decayInterval || 86400) * 1000;
+  if (decayRate <= 0) return;
+
+  const startSize = CONFIG.billboard.startSize || 5;
+  const now = Date.now();
+  let changed = false;
+
+  // Iterate over a copy since decayed billboards may be removed
+  for (const billboard of [...billboards]) {
+    // Bot billboards are retired by the bot system instead
+    if (billboard.id && billboard.id.startsWith('bot_')) continue;
+
+    // Billboards saved before decay existed start their clock now
+    if (!billboard.lastTendedAt) {
+      billboard.lastTendedAt = now;
+      changed = true;
+    }
+
+    const decayFrom = Math.max(billboard.lastTendedAt, billboard.lastDecayAt || 0);
+    const intervals = Math.floor((now - decayFrom) / decayIntervalMs);
+    if (intervals < 1) continue;
+
+    const shrink = decayRate * intervals;
+    const newWidth = (billboard.width || startSize) - shrink;
+    const newHeight = (billboard.height || startSize) - shrink;
+    billboard.lastDecayAt = decayFrom + intervals * decayIntervalMs;
+    changed = true;
+
+    // Decayed down to nothing - same threshold shots use for destroying a billboard
+    if (newWidth <= 1 || newHeight <= 1) {
+      removeBillboardById(billboard.id);
+      console.log(`Billboard ${billboard.id} decayed away after being left untended`);
+      broadcastBillboardRemoval(billboard.id, { decayed: true });
+      continue;
+    }
+
+    resizeBillboard(billboard, newWidth, newHeight);
+    console.log(`Billboard ${billboard.id} decayed to ${newWidth.toFixed(2)}x${newHeight.toFixed(2)}`);
+    broadcastBillboardData(billboard, true);
+  }
+
+  if (changed) {
+    scheduleBillboardSave();
+  }
+}
+
+// Start the periodic decay job
+function startDecaySystem() {
+  if (decayTimer) {
+    clearInterval(decayTimer);
+  }
+
+  const decayIntervalMs = (CONFIG.billboard.decayInterval || 86400) * 1000;
+  const checkInterval = Math.min(DECAY_CHECK_INTERVAL, decayIntervalMs);
+
+  console.log(`Starting billboard decay system (rate ${CONFIG.billboard.decayRate} every ${CONFIG.billboard.decayInterval}s)`);
+  decayTimer = setInterval(decayBillboards, checkInterval);
+  decayBillboards(); // Catch up on decay missed while the server was down
+}
+
+// AMMO SYSTEM //
+
+// Give a player record valid ammo values, starting new players with the configured amounts
+function ensureAmmoState(record) {
+  const gun = CONFIG.player.gun;
+
+  if (!Number.isFinite(record.shootingAmmo)) {
+    record.shootingAmmo = gun.startingAmmoShooting;
+  }
+  if (!Number.isFinite(record.billboardAmmo)) {
+    record.billboardAmmo = gun.startingAmmoBillboard;
+  }
+
+  record.shootingAmmo = Math.max(0, Math.min(Math.floor(record.shootingAmmo), gun.maxAmmoShooting));
+  record.billboardAmmo = Math.max(0, Math.min(Math.floor(record.billboardAmmo), gun.maxAmmoBillboard));
+}
+
+// Remember which player a connection belongs to. Regeneration starts counting from here,
+// so time spent offline doesn't refill ammo.
+function identifySocket(socket, playerId) {
+  if (!playerId || socket.playerId === playerId) return;
+
+  socket.playerId = playerId;
+  const record = getPlayerRecord(playerId);
+  record.ammoRegenAt = Date.now();
+
+  // Remembered so a ban can cover the address as well as the id
+  if (socket.clientAddress) {
+    record.lastAddress = socket.clientAddress;
+  }
+}
+
+// Take an ammo report from a client. Clients may report spending shooting ammo but never
+// gaining it; gains only come from the server (regeneration, powerups, purchases).
+// Billboard ammo is spent by the server when it accepts a placement, so reports of it are ignored.
+function applyClientAmmoReport(record, shootingAmmo) {
+  if (Number.isFinite(shootingAmmo)) {
+    record.shootingAmmo = Math.min(record.shootingAmmo, shootingAmmo);
+  }
+
+  ensureAmmoState(record);
+}
+
+// Add regenerated shooting ammo for the time since the last regeneration; returns rounds added
+function regenerateAmmo(record, now) {
+  const perMinute = CONFIG.player.ammoRegen || 0;
+  const maxAmmo = CONFIG.player.gun.maxAmmoShooting;
+
+  if (!record.ammoRegenAt || perMinute <= 0 || record.shootingAmmo >= maxAmmo) {
+    record.ammoRegenAt = now;
+    return 0;
+  }
+
+  const msPerRound = 60000 / perMinute;
+  const rounds = Math.floor((now - record.ammoRegenAt) / msPerRound);
+  if (rounds < 1) return 0;
+
+  const added = Math.min(rounds, maxAmmo - record.shootingAmmo);
+  record.shootingAmmo += added;
+  // Keep the leftover fraction of a round so regeneration stays smooth across ticks
+  record.ammoRegenAt += rounds * msPerRound;
+  return added;
+}
+
+// Send a player the server's view of their ammo
+function sendAmmoUpdate(socket, playerId) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  const record = getPlayerRecord(playerId);
+  socket.send(JSON.stringify({
+    type: 'ammo_update',
+    playerId: playerId,
+    shootingAmmo: record.shootingAmmo,
+    billboardAmmo: record.billboardAmmo,
+    maxShootingAmmo: CONFIG.player.gun.maxAmmoShooting
+  }));
+}
+
+// Regenerate ammo for every connected player and push the new values
+function regenerateConnectedAmmo() {
+  const now = Date.now();
+  let changed = false;
+
+  wsServer.clients.forEach(client => {
+    if (!client.playerId || client.readyState !== WebSocket.OPEN) return;
+
+    if (regenerateAmmo(getPlayerRecord(client.playerId), now) > 0) {
+      sendAmmoUpdate(client, client.playerId);
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    schedulePlayerDataSave();
+  }
+}
+
+// Start the periodic ammo regeneration job
+function startAmmoRegeneration() {
+  if (ammoRegenTimer) {
+    clearInterval(ammoRegenTimer);
+  }
+
+  console.log(`Starting ammo regeneration (${CONFIG.player.ammoRegen} rounds/min up to ${CONFIG.player.gun.maxAmmoShooting})`);
+  ammoRegenTimer = setInterval(regenerateConnectedAmmo, AMMO_REGEN_TICK);
+}
+
+// BILLBOARD SLOT SYSTEM //
+
+// Most billboard slots a player can buy up to, falling back to the built-in limit
+function getMaxBillboardSlots() {
+  return CONFIG.player.maxBillboardSlots || CONFIG_DEFAULTS.player.maxBillboardSlots;
+}
+
+// Number of billboards a player may own at once (base config plus purchased slots)
+function getBillboardSlots(playerId) {
+  const record = getPlayerRecord(playerId);
+  const base = CONFIG.player.billboardSlots || 1;
+  return Math.min(base + (record.extraBillboardSlots || 0), Math.max(base, getMaxBillboardSlots()));
+}
+
+// Number of billboards a player currently owns
+function countPlayerBillboards(playerId) {
+  return billboards.filter(b => b.player_id === playerId).length;
+}
+
+// Check whether a player may plant another billboard; returns an error message or null
+function checkBillboardPlacement(playerId) {
+  if (!playerId) {
+    return 'Billboards need an owner';
+  }
+
+  if (!isRoundInProgress()) {
+    return 'Wait for the round to start';
+  }
+
+  const slots = getBillboardSlots(playerId);
+  if (countPlayerBillboards(playerId) >= slots) {
+    return `All ${slots} billboard slot${slots === 1 ? '' : 's'} in use`;
+  }
+
+  if (getPlayerRecord(playerId).billboardAmmo <= 0) {
+    return 'Out of billboard ammo';
+  }
+
+  return null;
+}
+
+// Tell a player how many billboard slots they have and use
+function sendSlotsUpdate(socket, playerId) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  socket.send(JSON.stringify({
+    type: 'slots_update',
+    playerId: playerId,
+    billboardSlots: getBillboardSlots(playerId),
+    billboardsOwned: countPlayerBillboards(playerId)
+  }));
+}
+
+// ECONOMY SYSTEM //
+
+// Get a player's persisted record, creating one for players who haven't saved data yet
+function getPlayerRecord(playerId) {
+  if (!playerData[playerId]) {
+    playerData[playerId] = { lastUpdate: Date.now() };
+  }
+
+  if (typeof playerData[playerId].credits !== 'number') {
+    playerData[playerId].credits = 0;
+  }
+
+  ensureAmmoState(playerData[playerId]);
+
+  return playerData[playerId];
+}
+
+// Batch player data writes so frequent credit changes don't hit the disk every time
+function schedulePlayerDataSave() {
+  if (playerSaveTimer) return;
+
+  playerSaveTimer = setTimeout(() => {
+    playerSaveTimer = null;
+    savePlayerData();
+  }, PLAYER_SAVE_DELAY);
+}
+
+// Add (or with a negative amount, remove) Martian Credits; returns the new balance
+function awardCredits(playerId, amount) {
+  const record = getPlayerRecord(playerId);
+  record.credits = Math.max(0, record.credits + amount);
+  schedulePlayerDataSave();
+  return record.credits;
+}
+
+// Tell a player their current balance and why it changed
+function sendCreditsUpdate(socket, playerId, delta, reason) {
+  if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+  socket.send(JSON.stringify({
+    type: 'credits_update',
+    playerId: playerId,
+    credits: getPlayerRecord(playerId).credits,
+    delta: delta,
+    reason: reason
+  }));
+}
+
+// Grant the daily login bonus once per (UTC) day; returns the amount granted
+function grantDailyBonus(playerId) {
+  const bonus = CONFIG.economy.mcDailyBonus || 0;
+  const today = new Date().toISOString().slice(0, 10);
+  const record = getPlayerRecord(playerId);
+
+  if (bonus <= 0 || record.lastDailyBonusDate === today) {
+    return 0;
+  }
+
+  record.lastDailyBonusDate = today;
+  awardCredits(playerId, bonus);
+  console.log(`Granted daily bonus of ${bonus} MC to player ${playerId}`);
+  return bonus;
+}
+
+// Spend credits on a shop item. Returns the result sent back to the client.
+function purchaseItem(playerId, item, billboardId) {
+  const record = getPlayerRecord(playerId);
+
+  if (item === 'ammo_refill') {
+    const cost = CONFIG.economy.ammoRefillCost;
+    const maxAmmo = CONFIG.player.gun.maxAmmoShooting || 500;
+
+    if (record.shootingAmmo >= maxAmmo) {
+      return { success: false, error: 'Ammo is already full' };
+    }
+    if (record.credits < cost) {
+      return { success: false, error: 'Not enough credits' };
+    }
+
+    awardCredits(playerId, -cost);
+    record.shootingAmmo = maxAmmo;
+    return { success: true, cost, shootingAmmo: maxAmmo };
+  }
+
+  if (item === 'billboard_upgrade') {
+    const cost = CONFIG.economy.billboardUpgradeCost;
+    const maxSize = CONFIG.billboard.maxSize || 40;
+
+    // Upgrade the requested billboard, or the player's smallest one if none was given
+    const owned = billboards.filter(b => b.player_id === playerId);
+    const billboard = billboardId
+      ? owned.find(b => b.id === billboardId)
+      : owned.sort((a, b) => (a.width * a.height) - (b.width * b.height))[0];
+
+    if (!billboard) {
+      return { success: false, error: 'No billboard to upgrade' };
+    }
+    if (billboard.width >= maxSize && billboard.height >= maxSize) {
+      return { success: false, error: 'Billboard is already at maximum size' };
+    }
+    if (record.credits < cost) {
+      return { success: false, error: 'Not enough credits' };
+    }
+
+    awardCredits(playerId, -cost);
+
+    const growth = CONFIG.economy.billboardUpgradeGrowth;
+    resizeBillboard(billboard, Math.min(billboard.width + growth, maxSize), Math.min(billboard.height + growth, maxSize));
+    markBillboardTended(billboard);
+    broadcastBillboardData(billboard, true);
+    scheduleBillboardSave();
+
+    return { success: true, cost, billboardId: billboard.id };
+  }
+
+  if (item === 'billboard_slot') {
+    const cost = CONFIG.economy.billboardSlotCost;
+    const slots = getBillboardSlots(playerId);
+
+    if (slots >= getMaxBillboardSlots()) {
+      return { success: false, error: 'Already at the maximum number of billboard slots' };
+    }
+    if (record.credits < cost) {
+      return { success: false, error: 'Not enough credits' };
+    }
+
+    awardCredits(playerId, -cost);
+    record.extraBillboardSlots = (record.extraBillboardSlots || 0) + 1;
+    return { success: true, cost, billboardSlots: getBillboardSlots(playerId) };
+  }
+
+  return { success: false, error: `Unknown item: ${item}` };
+}
+
+// TEAM SYSTEM //
+
+// Look up a faction by id; null when teams are off or the id is unknown
+function getFaction(teamId) {
+  if (!CONFIG.teams.enabled || !teamId) return null;
+  return CONFIG.teams.factions.find(faction => faction.id === teamId) || null;
+}
+
+// The team a player plays for, if any
+function getPlayerTeam(playerId) {
+  const record = playerId ? playerData[playerId] : null;
+  return record && getFaction(record.team) ? record.team : null;
+}
+
+// Pick the faction with the fewest online players, breaking ties by total members
+function pickBalancedTeam() {
+  const online = new Map();
+  wsServer.clients.forEach(client => {
+    const team = getPlayerTeam(client.playerId);
+    if (team) online.set(team, (online.get(team) || 0) + 1);
+  });
+
+  const members = new Map();
+  for (const record of Object.values(playerData)) {
+    if (record.team) members.set(record.team, (members.get(record.team) || 0) + 1);
+  }
+
+  const ranked = [...CONFIG.teams.factions].sort((a, b) =>
+    ((online.get(a.id) || 0) - (online.get(b.id) || 0)) ||
+    ((members.get(a.id) || 0) - (members.get(b.id) || 0)));
+  return ranked[0].id;
+}
+
+// Put a player on a team ('auto' or an unknown id means balanced assignment).
+// Their billboards change colors with them. Returns the team id, or null when teams are off.
+function assignTeam(playerId, requestedTeam) {
+  if (!CONFIG.teams.enabled || CONFIG.teams.factions.length === 0) return null;
+
+  const record = getPlayerRecord(playerId);
+  const team = getFaction(requestedTeam) ? requestedTeam : (getPlayerTeam(playerId) || pickBalancedTeam());
+  if (record.team === team) return team;
+
+  record.team = team;
+  schedulePlayerDataSave();
+  console.log(`Player ${playerId} joined team ${team}`);
+
+  for (const billboard of billboards) {
+    if (billboard.player_id !== playerId) continue;
+    billboard.team = team;
+    broadcastBillboardData(billboard);
+  }
+  scheduleBillboardSave();
+  scheduleLeaderboardBroadcast();
+
+  return team;
+}
+
+// Whether a shot from this player at this billboard hits a teammate's sign
+function isFriendlyTarget(playerId, billboard) {
+  const team = getPlayerTeam(playerId);
+  return !!team && billboard.team === team && billboard.player_id !== playerId;
+}
+
+// Territory per faction: billboard area, billboard count and members
+function buildTeamTally() {
+  if (!CONFIG.teams.enabled) return [];
+
+  const tally = new Map(CONFIG.teams.factions.map(faction => [faction.id, {
+    team: faction.id,
+    name: faction.name,
+    color: faction.color,
+    area: 0,
+    billboards: 0,
+    members: 0
+  }]));
+
+  // Billboards hidden by moderation hold no territory until a moderator restores them
+  for (const billboard of getVisibleBillboards()) {
+    const entry = tally.get(billboard.team);
+    if (!entry) continue;
+    entry.area += (billboard.width || 0) * (billboard.height || 0);
+    entry.billboards++;
+  }
+
+  for (const record of Object.values(playerData)) {
+    const entry = tally.get(record.team);
+    if (entry) entry.members++;
+  }
+
+  return [...tally.values()]
+    .map(entry => ({ ...entry, area: Math.round(entry.area * 100) / 100 }))
+    .sort((a, b) => b.area - a.area);
+}
+
+// MATCH SYSTEM //
+
+// Whether shots and new billboards count right now (always, unless match mode is on)
+function isRoundInProgress() {
+  return !CONFIG.match.enabled || match.phase === 'round';
+}
+
+// The match state as sent to clients
+function getMatchState() {
+  return {
+    type: 'match_state',
+    phase: match.phase,
+    round: match.round,
+    phaseEndsAt: match.phaseEndsAt,
+    serverTime: Date.now()
+  };
+}
+
+// Tell every client (or one) which phase the match is in
+function broadcastMatchState(socket = null) {
+  const message = JSON.stringify(getMatchState());
+  const targets = socket ? [socket] : wsServer.clients;
+  targets.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Move to a phase and schedule what comes after it
+function setMatchPhase(phase, durationSeconds, next) {
+  clearTimeout(matchTimer);
+  match.phase = phase;
+  match.phaseEndsAt = Date.now() + durationSeconds * 1000;
+  matchTimer = setTimeout(next, durationSeconds * 1000);
+  broadcastMatchState();
+}
+
+// Count down to the next round
+function startMatchLobby() {
+  console.log(`Match lobby open, round ${match.round + 1} starts in ${CONFIG.match.lobbyDuration}s`);
+  setMatchPhase('lobby', CONFIG.match.lobbyDuration, startMatchRound);
+}
+
+// Start a round: from here shots and new billboards count
+function startMatchRound() {
+  match.round++;
+  console.log(`Round ${match.round} started (${CONFIG.match.roundDuration}s)`);
+  setMatchPhase('round', CONFIG.match.roundDuration, endMatchRound);
+}
+
+// Score the round by billboard area held, show the results, then clear the world for the next lobby
+function endMatchRound() {
+  const leaderboard = buildLeaderboard('area', LEADERBOARD_SIZE);
+  const results = {
+    round: match.round,
+    endedAt: Date.now(),
+    players: leaderboard.entries.map(({ rank, playerId, username, area, billboards }) =>
+      ({ rank, playerId, username, area, billboards })),
+    teams: buildTeamTally()
+  };
+  match.lastResults = results;
+
+  const winner = results.teams.find(team => team.area > 0) || results.players[0];
+  console.log(`Round ${match.round} over, winner: ${winner ? (winner.name || winner.username) : 'nobody'}`);
+  recordMatchResults(results);
+
+  const message = JSON.stringify({ type: 'match_results', ...results });
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+
+  setMatchPhase('results', CONFIG.match.resultsDuration, () => {
+    resetWorldForRound(results);
+    startMatchLobby();
+  });
+}
+
+// Append a round's results to the match history file
+function recordMatchResults(results) {
+  try {
+    const history = storage.load(MATCH_HISTORY_COLLECTION) || [];
+    history.push(results);
+    storage.save(MATCH_HISTORY_COLLECTION, history.slice(-MATCH_HISTORY_SIZE));
+  } catch (error) {
+    console.error('Error saving match history:', error);
+  }
+}
+
+// Clear billboards, reset everyone's ammo and effects and respawn powerups (archiving the world first if configured)
+function resetWorldForRound(results) {
+  if (CONFIG.match.endAction === 'archive') {
+    try {
+      if (!fs.existsSync(MATCH_ARCHIVE_DIR)) {
+        fs.mkdirSync(MATCH_ARCHIVE_DIR, { recursive: true });
+      }
+      const archiveFile = path.join(MATCH_ARCHIVE_DIR, `round-${results.round}-${results.endedAt}.json`);
+      writeFileAtomic(archiveFile, JSON.stringify({ results, billboards }, null, 2));
+      console.log(`Archived round ${results.round} to ${archiveFile}`);
+    } catch (error) {
+      console.error('Error archiving round:', error);
+    }
+  }
+
+  billboards.length = 0;
+  botBillboards.length = 0;
+  billboardNetIds.clear();
+  saveBillboardData();
+  saveBotBillboardData();
+
+  for (const record of Object.values(playerData)) {
+    record.shootingAmmo = CONFIG.player.gun.startingAmmoShooting;
+    record.billboardAmmo = CONFIG.player.gun.startingAmmoBillboard;
+  }
+  savePlayerData();
+  playerEffects.clear();
+  collectedPowerups.clear();
+
+  powerups.length = 0;
+  powerupsByType = {};
+  for (const type of Object.keys(powerupConfig)) {
+    const maxCount = powerupConfig[type].maxPowerups || 10;
+    for (let i = 0; i < maxCount; i++) {
+      if (!spawnPowerupOfType(type)) break;
+    }
+  }
+  savePowerupData();
+
+  // Full snapshots let clients drop everything from the last round in one go
+  const billboardMessage = JSON.stringify({ type: 'all_billboards', billboards: [] });
+  const powerupMessage = JSON.stringify({ type: 'all_powerups', powerups: powerups });
+  wsServer.clients.forEach(client => {
+    if (client.readyState !== WebSocket.OPEN) return;
+    client.send(billboardMessage);
+    client.send(powerupMessage);
+    if (client.playerId) {
+      sendAmmoUpdate(client, client.playerId);
+      sendSlotsUpdate(client, client.playerId);
+      sendStatusEffects(client, client.playerId);
+    }
+  });
+
+  scheduleLeaderboardBroadcast();
+  console.log('World reset for the next round');
+}
+
+// Start cycling through lobby, round and results if match mode is on
+function startMatchSystem() {
+  if (!CONFIG.match.enabled) return;
+
+  console.log('Match mode enabled');
+  startMatchLobby();
+}
+
+// MODERATION SYSTEM //
+
+// Whether an address is this machine
+function isLoopbackAddress(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// The address a request came from. Behind proxies, TRUST_PROXY is the number of proxy hops
+// in front of the server (1 for Render): each appends the address it saw to X-Forwarded-For,
+// so the client is that many entries from the right. Anything left of it was written by the
+// client and can't be trusted.
+function getClientAddress(req) {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  const proxyHops = parseInt(process.env.TRUST_PROXY, 10) || (process.env.TRUST_PROXY ? 1 : 0);
+  if (proxyHops > 0 && forwardedFor) {
+    const hops = String(forwardedFor).split(',').map(hop => hop.trim()).filter(Boolean);
+    if (hops.length > 0) {
+      return hops[Math.max(0, hops.length - proxyHops)];
+    }
+  }
+  return req.socket.remoteAddress;
+}
+
+// Let requests through that carry the admin token as a bearer token, or come from this
+// machine (and weren't forwarded by a proxy)
+function requireAdmin(req, res, next) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ') && isAdminToken(authorization.slice(7))) {
+    next();
+    return;
+  }
+
+  if (!isLoopbackAddress(req.socket.remoteAddress) || req.headers['x-forwarded-for']) {
+    res.status(403).json({ success: false, error: 'Admin API needs the admin token when used remotely' });
+    return;
+  }
+  next();
+}
+
+// Load the filter settings and compile the wordlist and patterns
+function loadModerationConfig() {
+  try {
+    if (fs.existsSync(MODERATION_CONFIG_FILE)) {
+      Object.assign(moderationConfig, JSON.parse(fs.readFileSync(MODERATION_CONFIG_FILE, 'utf8')));
+      console.log('Loaded moderation configuration from file');
+    } else {
+      console.log('No moderation configuration file found, text filter is off');
+    }
+  } catch (error) {
+    console.error('Error loading moderation configuration:', error);
+  }
+
+  moderationFilters = [];
+  const words = (moderationConfig.blockedWords || [])
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .filter(Boolean);
+  if (words.length > 0) {
+    moderationFilters.push(new RegExp(`\\b(?:${words.join('|')})\\w*`, 'gi'));
+  }
+
+  for (const pattern of moderationConfig.blockedPatterns || []) {
+    try {
+      moderationFilters.push(new RegExp(pattern, 'gi'));
+    } catch (error) {
+      console.error(`Ignoring invalid moderation pattern ${pattern}:`, error.message);
+    }
+  }
+}
+
+// Load the report queue and bans
+function loadModerationData() {
+  try {
+    const savedData = storage.load(MODERATION_DATA_COLLECTION);
+    if (savedData) {
+      Object.assign(moderationData, savedData);
+      console.log(`Loaded ${moderationData.reports.length} reports and ${Object.keys(moderationData.bans).length} bans`);
+    }
+  } catch (error) {
+    console.error('Error loading moderation data:', error);
+  }
+}
+
+// Queue the report queue and bans for the next storage batch
+function saveModerationData() {
+  storage.save(MODERATION_DATA_COLLECTION, moderationData);
+}
+
+// Trim text to a length and mask anything the filter matches. Returns {text, flagged}.
+function filterText(text, maxLength) {
+  let filtered = String(text || '').slice(0, maxLength);
+  let flagged = false;
+
+  for (const filter of moderationFilters) {
+    filtered = filtered.replace(filter, match => {
+      flagged = true;
+      return '*'.repeat(match.length);
+    });
+  }
+
+  return { text: filtered, flagged };
+}
+
+// Filter player-supplied text; anything that tripped the filter goes to the moderation queue
+function moderateText(text, maxLength, context) {
+  const result = filterText(text, maxLength);
+  if (result.flagged) {
+    queueReport({ ...context, reporterId: 'filter', reason: `Filtered text: ${String(text).slice(0, maxLength)}` });
+  }
+  return result.text;
+}
+
+// Count a text or username change against the player's limit; false means over the limit
+function allowTextChange(playerId) {
+  const now = Date.now();
+  const windowMs = moderationConfig.textChangeWindow * 1000;
+  const recent = (textChangeLog.get(playerId) || []).filter(time => now - time < windowMs);
+
+  if (recent.length >= moderationConfig.textChangeLimit) {
+    textChangeLog.set(playerId, recent);
+    return false;
+  }
+
+  recent.push(now);
+  textChangeLog.set(playerId, recent);
+  return true;
+}
+
+// Add an entry to the moderation queue, ignoring repeat reports of a billboard by the same reporter
+function queueReport({ billboardId = null, playerId = null, reporterId, reason }) {
+  const duplicate = moderationData.reports.some(report => report.status === 'open' &&
+    report.reporterId === reporterId && report.billboardId === billboardId && report.playerId === playerId);
+  if (duplicate) return null;
+
+  const report = {
+    id: `report_${Date.now()}_${Math.floor(Math.random() * 10000)}`,
+    billboardId,
+    playerId,
+    reporterId,
+    reason: String(reason || '').slice(0, MAX_BILLBOARD_TEXT_LENGTH),
+    status: 'open',
+    createdAt: Date.now()
+  };
+  moderationData.reports.push(report);
+  saveModerationData();
+  return report;
+}
+
+// A player reports a billboard; enough reports from different players hide it until reviewed
+function reportBillboard(reporterId, billboardId, reason) {
+  const billboard = billboards.find(b => b.id === billboardId);
+  if (!billboard) {
+    return { success: false, error: 'Billboard not found' };
+  }
+
+  if (billboard.player_id === reporterId) {
+    return { success: false, error: 'You cannot report your own billboard' };
+  }
+
+  if (!queueReport({ billboardId, playerId: billboard.player_id || null, reporterId, reason })) {
+    return { success: false, error: 'You already reported this billboard' };
+  }
+
+  const reporters = new Set(moderationData.reports
+    .filter(report => report.status === 'open' && report.billboardId === billboardId && report.reporterId !== 'filter')
+    .map(report => report.reporterId));
+  if (!billboard.hidden && reporters.size >= moderationConfig.autoHideReports) {
+    console.log(`Hiding billboard ${billboardId} after ${reporters.size} reports`);
+    setBillboardHidden(billboard, true);
+  }
+
+  return { success: true };
+}
+
+// Mark a billboard's open reports (or one report) as handled
+function resolveReports(billboardId, resolution, reportId = null) {
+  const now = Date.now();
+  for (const report of moderationData.reports) {
+    if (report.status !== 'open') continue;
+    if (reportId ? report.id !== reportId : report.billboardId !== billboardId) continue;
+
+    report.status = resolution;
+    report.resolvedAt = now;
+  }
+  saveModerationData();
+}
+
+// Open reports, newest first, with the billboard each one is about
+function getModerationQueue() {
+  return moderationData.reports
+    .filter(report => report.status === 'open')
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(report => ({
+      ...report,
+      billboard: billboards.find(b => b.id === report.billboardId) || null
+    }));
+}
+
+// Billboards players can see; hidden ones wait for a moderator
+function getVisibleBillboards() {
+  return billboards.filter(billboard => !billboard.hidden);
+}
+
+// Hide a billboard from every client (or bring it back)
+function setBillboardHidden(billboard, hidden) {
+  if (!!billboard.hidden === hidden) return;
+
+  if (hidden) {
+    billboard.hidden = true;
+    broadcastBillboardRemoval(billboard.id, { moderated: true });
+  } else {
+    delete billboard.hidden;
+    broadcastBillboardData(billboard);
+  }
+
+  syncBotBillboardEntry(billboard);
+  scheduleBillboardSave();
+}
+
+// Replace a billboard's text or owner name. Clients only redraw text when textEditedAt changes.
+function editBillboardText(billboard, text, owner) {
+  if (text !== undefined) billboard.text = text.slice(0, MAX_BILLBOARD_TEXT_LENGTH);
+  if (owner !== undefined) billboard.owner = owner.slice(0, MAX_USERNAME_LENGTH);
+  billboard.textEditedAt = Date.now();
+
+  syncBotBillboardEntry(billboard);
+  scheduleBillboardSave();
+  if (!billboard.hidden) {
+    broadcastBillboardData(billboard);
+  }
+}
+
+// Whether a player id is banned
+function isPlayerBanned(playerId) {
+  return !!playerId && Object.prototype.hasOwnProperty.call(moderationData.bans, playerId);
+}
+
+// Whether a client address belongs to a banned player
+function isAddressBanned(address) {
+  return !!address && Object.values(moderationData.bans).some(ban => (ban.addresses || []).includes(address));
+}
+
+// Ban a player id, and the addresses it last played from, and drop its connections.
+// A new session without a token gets a new id, so the address ban is what keeps them out;
+// players behind the same NAT or proxy (see TRUST_PROXY) are shut out along with them.
+function banPlayer(playerId, reason) {
+  const addresses = new Set();
+  if (playerData[playerId] && playerData[playerId].lastAddress) {
+    addresses.add(playerData[playerId].lastAddress);
+  }
+
+  const sockets = [];
+  wsServer.clients.forEach(client => {
+    if (client.playerId === playerId) {
+      sockets.push(client);
+      if (client.clientAddress) addresses.add(client.clientAddress);
+    }
+  });
+
+  // Never ban this machine: local players, and moderators on it, all share it
+  addresses.forEach(address => {
+    if (isLoopbackAddress(address)) addresses.delete(address);
+  });
+
+  const ban = { reason: String(reason || ''), bannedAt: Date.now(), addresses: [...addresses] };
+  moderationData.bans[playerId] = ban;
+  saveModerationData();
+  console.log(`Banned player ${playerId}${ban.reason ? `: ${ban.reason}` : ''} (${ban.addresses.length} addresses)`);
+
+  // Everyone else on a banned address goes too, or they could just start a new session
+  wsServer.clients.forEach(client => {
+    if (sockets.includes(client) || (!client.isAdmin && isAddressBanned(client.clientAddress))) {
+      sendProtocolError(client, { code: 'banned', message: 'You have been banned' });
+      client.close();
+    }
+  });
+
+  return ban;
+}
+
+// Lift a ban; false if the player wasn't banned
+function unbanPlayer(playerId) {
+  if (!isPlayerBanned(playerId)) return false;
+
+  delete moderationData.bans[playerId];
+  saveModerationData();
+  console.log(`Lifted ban on player ${playerId}`);
+  return true;
+}
+
+// CONFIG RELOAD SYSTEM //
+
+// Wait for an editor to finish writing before reloading a changed file
+const CONFIG_RELOAD_DELAY = 300;
+const configReloadTimers = {};
+
+// Sections of CONFIG clients keep their own copy of, and those sections as last sent to them
+const CLIENT_CONFIG_SECTIONS = ['world', 'player', 'billboard', 'teams', 'match', 'network', 'economy'];
+let clientConfigSnapshot = {};
+
+// Describe the first value in loaded whose type differs from the same key in defaults.
+// Keys the server doesn't know (client-only settings) are not checked.
+function findConfigTypeMismatch(defaults, loaded, prefix) {
+  if (!loaded || typeof loaded !== 'object' || Array.isArray(loaded)) {
+    return `${prefix || 'configuration'} must be an object`;
+  }
+
+  for (const key of Object.keys(loaded)) {
+    if (!Object.prototype.hasOwnProperty.call(defaults, key)) continue;
+
+    const name = prefix ? `${prefix}.${key}` : key;
+    const expected = defaults[key];
+    const value = loaded[key];
+
+    if (Array.isArray(expected)) {
+      if (!Array.isArray(value)) return `${name} must be an array`;
+    } else if (expected !== null && typeof expected === 'object') {
+      const problem = findConfigTypeMismatch(expected, value, name);
+      if (problem) return problem;
+    } else if (typeof value !== typeof expected) {
+      return `${name} must be a ${typeof expected}`;
+    } else if (typeof value === 'number' && !Number.isFinite(value)) {
+      return `${name} must be a finite number`;
+    }
+  }
+  return null;
+}
+
+// Lowest value each numeric game setting may take, by dotted path. Timers, durations and
+// divisors stay positive; whole marks counts that must be integers.
+const GAME_CONFIG_LIMITS = {
+  'world.radius': { min: 1 },
+  'world.dayNightCycle': { min: 1 },
+  'player.runSpeed': { min: 0.1 },
+  'player.shootRange': { min: 0 },
+  'player.ammoRegen': { min: 0 },
+  'player.billboardSlots': { min: 1, whole: true },
+  'player.maxBillboardSlots': { min: 1, whole: true },
+  'player.gun.startingAmmoShooting': { min: 0, whole: true },
+  'player.gun.maxAmmoShooting': { min: 0, whole: true },
+  'player.gun.startingAmmoBillboard': { min: 0, whole: true },
+  'player.gun.maxAmmoBillboard': { min: 0, whole: true },
+  'billboard.startSize': { min: 0.1 },
+  'billboard.maxSize': { min: 0.1 },
+  'billboard.growthPerDamage': { min: 0 },
+  'billboard.healthSizeMultiplier': { min: 0.1 },
+  'billboard.damagePerShot': { min: 0 },
+  'billboard.decayRate': { min: 0 },
+  'billboard.decayInterval': { min: 1 },
+  'match.lobbyDuration': { min: 1 },
+  'match.roundDuration': { min: 1 },
+  'match.resultsDuration': { min: 1 },
+  'network.interestRadius': { min: 0 },
+  'network.summaryInterval': { min: 100 },
+  'network.gridCellSize': { min: 1 },
+  'economy.mcPerDamage': { min: 0 },
+  'economy.mcDailyBonus': { min: 0 },
+  'economy.ammoRefillCost': { min: 0 },
+  'economy.billboardUpgradeCost': { min: 0 },
+  'economy.billboardUpgradeGrowth': { min: 0 },
+  'economy.billboardSlotCost': { min: 0 }
+};
+
+// Check the values of a complete game config: ranges, settings that must agree with each
+// other and the faction list. Types are checked by findConfigTypeMismatch.
+function validateGameConfig(config) {
+  for (const [name, limit] of Object.entries(GAME_CONFIG_LIMITS)) {
+    const value = name.split('.').reduce((section, key) => (section ? section[key] : undefined), config);
+    if (value === undefined) continue;
+
+    if (limit.whole ? !(Number.isInteger(value) && value >= limit.min) : !(Number.isFinite(value) && value >= limit.min)) {
+      return `${name} must be a ${limit.whole ? 'whole number' : 'number'} (at least ${limit.min})`;
+    }
+  }
+
+  if (config.player.maxBillboardSlots < config.player.billboardSlots) {
+    return 'player.maxBillboardSlots must be at least player.billboardSlots';
+  }
+  if (config.player.gun.maxAmmoShooting < config.player.gun.startingAmmoShooting) {
+    return 'player.gun.maxAmmoShooting must be at least player.gun.startingAmmoShooting';
+  }
+  if (config.player.gun.maxAmmoBillboard < config.player.gun.startingAmmoBillboard) {
+    return 'player.gun.maxAmmoBillboard must be at least player.gun.startingAmmoBillboard';
+  }
+  if (config.billboard.maxSize < config.billboard.startSize) {
+    return 'billboard.maxSize must be at least billboard.startSize';
+  }
+  if (config.network.gridCellSize > 180) {
+    return 'network.gridCellSize must be at most 180 degrees';
+  }
+  if (!['reset', 'archive'].includes(config.match.endAction)) {
+    return "match.endAction must be 'reset' or 'archive'";
+  }
+
+  const factions = config.teams.factions;
+  if (!Array.isArray(factions) || factions.length === 0) {
+    return 'teams.factions must list at least one faction';
+  }
+  const factionIds = new Set();
+  for (const faction of factions) {
+    if (!faction || typeof faction.id !== 'string' || !faction.id) {
+      return 'every faction in teams.factions needs an id';
+    }
+    if (typeof faction.name !== 'string' || !faction.name || typeof faction.color !== 'string' || !faction.color) {
+      return `teams.factions ${faction.id} needs a name and a color`;
+    }
+    if (factionIds.has(faction.id)) {
+      return `teams.factions lists ${faction.id} twice`;
+    }
+    factionIds.add(faction.id);
+  }
+  return null;
+}
+
+// Check a partial game config (a file, or one admin change) before applying it on top of base:
+// types first, then the values of the config it would produce, so rules across settings see both sides
+function findGameConfigProblem(loaded, base = CONFIG) {
+  const mismatch = findConfigTypeMismatch(base, loaded, '');
+  if (mismatch) return mismatch;
+
+  const candidate = JSON.parse(JSON.stringify(base));
+  mergeConfig(candidate, loaded);
+  return validateGameConfig(candidate);
+}
+
+// Check the bot settings that drive timers, spawning and the bot players
+function validateBotConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'must be an object';
+
+  for (const key of ['spawnInterval', 'checkInterval']) {
+    if (config[key] !== undefined && !(Number.isFinite(config[key]) && config[key] >= 100)) {
+      return `${key} must be a number of milliseconds (at least 100)`;
+    }
+  }
+  for (const key of ['respawnDelay', 'textRotationInterval', 'lifespan']) {
+    if (config[key] !== undefined && !(Number.isFinite(config[key]) && config[key] >= 0)) {
+      return `${key} must be a number of milliseconds (at least 0)`;
+    }
+  }
+  if (config.maxBots !== undefined && !(Number.isInteger(config.maxBots) && config.maxBots >= 0)) {
+    return 'maxBots must be a whole number';
+  }
+  for (const key of ['messages', 'botSenders', 'colors']) {
+    if (config[key] !== undefined && !(Array.isArray(config[key]) && config[key].length > 0 && config[key].every(item => typeof item === 'string'))) {
+      return `${key} must be a non-empty list of strings`;
+    }
+  }
+
+  const levels = config.difficultyLevels !== undefined ? config.difficultyLevels : botConfig.difficultyLevels;
+  if (!levels || typeof levels !== 'object' || Array.isArray(levels) || Object.keys(levels).length === 0) {
+    return 'difficultyLevels must name at least one level';
+  }
+  for (const [name, level] of Object.entries(levels)) {
+    for (const key of BOT_DIFFICULTY_SETTINGS) {
+      if (!(level && Number.isFinite(level[key]) && level[key] >= 0)) {
+        return `difficultyLevels.${name}.${key} must be a number (at least 0)`;
+      }
+    }
+  }
+
+  const players = config.botPlayers;
+  if (players !== undefined) {
+    if (!players || typeof players !== 'object' || Array.isArray(players)) return 'botPlayers must be an object';
+    if (players.count !== undefined && !(Number.isInteger(players.count) && players.count >= 0)) {
+      return 'botPlayers.count must be a whole number';
+    }
+    if (players.tickInterval !== undefined && !(Number.isFinite(players.tickInterval) && players.tickInterval >= 50)) {
+      return 'botPlayers.tickInterval must be a number of milliseconds (at least 50)';
+    }
+    if (players.runWhenEmpty !== undefined && typeof players.runWhenEmpty !== 'boolean') {
+      return 'botPlayers.runWhenEmpty must be true or false';
+    }
+    if (players.difficulty !== undefined) {
+      const names = [].concat(players.difficulty);
+      const unknown = names.find(name => typeof name !== 'string' || !levels[name]);
+      if (names.length === 0 || unknown !== undefined) {
+        return `botPlayers.difficulty must name levels from difficultyLevels${unknown !== undefined ? ` (unknown: ${unknown})` : ''}`;
+      }
+    }
+  }
+  return null;
+}
+
+// Check the powerups-config.json layout: a list of types with spawn settings
+function validatePowerupConfig(config) {
+  if (!config || !Array.isArray(config.types)) return 'types must be an array';
+
+  for (const typeConfig of config.types) {
+    if (!typeConfig || typeof typeConfig.type !== 'string' || !typeConfig.type) {
+      return 'every entry in types needs a type name';
+    }
+    if (!(Number.isFinite(typeConfig.spawnInterval) && typeConfig.spawnInterval >= 100)) {
+      return `${typeConfig.type}.spawnInterval must be a number of milliseconds (at least 100)`;
+    }
+    if (typeConfig.maxPowerups !== undefined && !(Number.isInteger(typeConfig.maxPowerups) && typeConfig.maxPowerups >= 0)) {
+      return `${typeConfig.type}.maxPowerups must be a whole number`;
+    }
+    if (typeConfig.spawnChance !== undefined && !(typeof typeConfig.spawnChance === 'number' && typeConfig.spawnChance >= 0 && typeConfig.spawnChance <= 1)) {
+      return `${typeConfig.type}.spawnChance must be between 0 and 1`;
+    }
+    if (typeConfig.effectDuration !== undefined && !(Number.isFinite(typeConfig.effectDuration) && typeConfig.effectDuration >= 0)) {
+      return `${typeConfig.type}.effectDuration must be a number of milliseconds`;
+    }
+    if (typeConfig.effectDuration > 0 && !(Number.isFinite(typeConfig.effectAmount) && typeConfig.effectAmount >= 0)) {
+      return `${typeConfig.type}.effectAmount must be a multiplier for a timed effect`;
+    }
+    if (typeConfig.stacking !== undefined && !EFFECT_STACKING_RULES.includes(typeConfig.stacking)) {
+      return `${typeConfig.type}.stacking must be one of ${EFFECT_STACKING_RULES.join(', ')}`;
+    }
+    if (typeConfig.maxStacks !== undefined && !(Number.isInteger(typeConfig.maxStacks) && typeConfig.maxStacks >= 1)) {
+      return `${typeConfig.type}.maxStacks must be a whole number of at least 1`;
+    }
+  }
+  return null;
+}
+
+// Reload one config file and restart whatever was built from it
+function reloadConfigFile(fileName) {
+  console.log(`Config file ${fileName} changed, reloading`);
+
+  if (fileName === path.basename(GAME_CONFIG_FILE)) {
+    const previous = JSON.parse(JSON.stringify(CONFIG));
+    if (!loadGameConfig()) return;
+    applyConfigChanges(previous);
+  } else if (fileName === path.basename(BOT_CONFIG_FILE)) {
+    if (!loadBotConfig()) return;
+    // Spawning restarts with the new interval if more bots are still needed
+    stopSpawningBots();
+    startBotBillboardSystem();
+    startBotPlayerSystem();
+  } else if (fileName === path.basename(POWERUP_CONFIG_FILE)) {
+    if (!loadPowerupConfig()) return;
+    startPowerupSpawnTimers();
+  } else {
+    return;
+  }
+
+  broadcastConfigUpdate(fileName);
+}
+
+// Watch the code directory (editors often replace files rather than write in place)
+function watchConfigFiles() {
+  const watched = [GAME_CONFIG_FILE, BOT_CONFIG_FILE, POWERUP_CONFIG_FILE].map(file => path.basename(file));
+
+  try {
+    fs.watch(path.dirname(GAME_CONFIG_FILE), (eventType, fileName) => {
+      if (!watched.includes(fileName)) return;
+
+      clearTimeout(configReloadTimers[fileName]);
+      configReloadTimers[fileName] = setTimeout(() => {
+        delete configReloadTimers[fileName];
+        reloadConfigFile(fileName);
+      }, CONFIG_RELOAD_DELAY);
+    });
+    console.log(`Watching ${watched.join(', ')} for changes`);
+  } catch (error) {
+    console.error('Could not watch config files, changes need a restart:', error.message);
+  }
+}
+
+// ADMIN SYSTEM //
+
+// Load or create the admin token
+function loadAdminToken() {
+  if (process.env.ADMIN_TOKEN) {
+    adminToken = process.env.ADMIN_TOKEN;
+    return;
+  }
+
+  try {
+    if (fs.existsSync(ADMIN_TOKEN_FILE)) {
+      adminToken = fs.readFileSync(ADMIN_TOKEN_FILE, 'utf8').trim();
+    }
+
+    if (!adminToken) {
+      adminToken = crypto.randomBytes(24).toString('base64url');
+      fs.writeFileSync(ADMIN_TOKEN_FILE, adminToken, { encoding: 'utf8', mode: 0o600 });
+      console.log(`Generated new admin token in ${ADMIN_TOKEN_FILE}`);
+    }
+  } catch (error) {
+    // Without a token only local HTTP requests can administer the server
+    console.error('Error loading admin token, admin channel disabled:', error);
+    adminToken = null;
+  }
+}
+
+// Compare a candidate against the admin token in constant time
+function isAdminToken(candidate) {
+  if (!adminToken || typeof candidate !== 'string') return false;
+
+  const expected = Buffer.from(adminToken);
+  const actual = Buffer.from(candidate);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Send a message to every connected client
+function broadcastToAll(message) {
+  const payload = JSON.stringify(message);
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  });
+}
+
+// Remember the client-facing config sections as clients currently have them
+function snapshotClientConfig() {
+  clientConfigSnapshot = {};
+  for (const section of CLIENT_CONFIG_SECTIONS) {
+    clientConfigSnapshot[section] = JSON.stringify(CONFIG[section]);
+  }
+}
+
+// Push the config sections that changed since clients last got them; source names what changed
+function broadcastConfigUpdate(source = 'admin') {
+  const changed = {};
+  for (const section of CLIENT_CONFIG_SECTIONS) {
+    const json = JSON.stringify(CONFIG[section]);
+    if (json !== clientConfigSnapshot[section]) {
+      changed[section] = CONFIG[section];
+      clientConfigSnapshot[section] = json;
+    }
+  }
+
+  if (Object.keys(changed).length === 0) return;
+  broadcastToAll({ type: 'config_updated', config: changed, source });
+}
+
+// Restart the jobs whose timing comes from the config, after it changed from previous
+function applyConfigChanges(previous) {
+  const sectionChanged = section => JSON.stringify(previous[section]) !== JSON.stringify(CONFIG[section]);
+
+  startInterestSummaries();
+  startAmmoRegeneration();
+
+  if (sectionChanged('billboard')) {
+    startDecaySystem();
+  }
+
+  // Clients hear about a new day length right away rather than at the next sync
+  if (sectionChanged('world')) {
+    startWorldTimeSync();
+    broadcastWorldTime();
+  }
+
+  if (sectionChanged('powerUps') && isSpawningPowerups) {
+    startPowerupSpawnTimers();
+  }
+
+  if (CONFIG.match.enabled && match.phase === 'idle') {
+    startMatchSystem();
+  } else if (!CONFIG.match.enabled && match.phase !== 'idle') {
+    clearTimeout(matchTimer);
+    match.phase = 'idle';
+    match.phaseEndsAt = null;
+    broadcastMatchState();
+  }
+}
+
+// Change one config value by dotted path; only existing keys, checked like a config.json reload
+function setConfigValue(configPath, value) {
+  const keys = String(configPath).split('.');
+  const last = keys.pop();
+  let section = CONFIG;
+  for (const key of keys) {
+    if (!section[key] || typeof section[key] !== 'object') return `Unknown config section: ${key}`;
+    section = section[key];
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(section, last)) {
+    return `Unknown config key: ${configPath}`;
+  }
+
+  // Nest the value under its path so it goes through the same checks and merge as a file
+  const change = keys.reduceRight((nested, key) => ({ [key]: nested }), { [last]: value });
+  const problem = findGameConfigProblem(change);
+  if (problem) return problem;
+
+  mergeConfig(CONFIG, change);
+  console.log(`Config ${configPath} set to ${JSON.stringify(value)}`);
+  return null;
+}
+
+// Online connections matching a player id or username
+function findPlayerSockets({ playerId, username }) {
+  const matches = [];
+  wsServer.clients.forEach(client => {
+    if ((playerId && client.playerId === playerId) || (username && client.username === username)) {
+      matches.push(client);
+    }
+  });
+  return matches;
+}
+
+// Snapshot every billboard before a wipe; returns the backup's file name
+function backupBillboards() {
+  if (!fs.existsSync(BILLBOARD_BACKUP_DIR)) {
+    fs.mkdirSync(BILLBOARD_BACKUP_DIR, { recursive: true });
+  }
+
+  const fileName = `billboards-${Date.now()}.json`;
+  writeFileAtomic(path.join(BILLBOARD_BACKUP_DIR, fileName), JSON.stringify({ billboards, botBillboards }, null, 2));
+  return fileName;
+}
+
+// Replace every billboard and tell clients; used by wipes and restores
+function replaceAllBillboards(newBillboards, newBotBillboards) {
+  billboards.length = 0;
+  botBillboards.length = 0;
+  billboardNetIds.clear();
+  billboards.push(...newBillboards);
+  botBillboards.push(...newBotBillboards);
+  mergeBotBillboards();
+  saveBillboardData();
+  saveBotBillboardData();
+
+  broadcastToAll({ type: 'all_billboards', billboards: getVisibleBillboards().map(withNetId) });
+  scheduleLeaderboardBroadcast();
+}
+
+// Run one admin command. actor says where it came from (for the log).
+// Returns {success, message} plus any data the command produced.
+function runAdminCommand(command, args, actor) {
+  console.log(`Admin command from ${actor}: ${command} ${JSON.stringify(args)}`);
+
+  switch (command) {
+    case 'list_players':
+      return { success: true, message: `${getOnlinePlayers().length} players online`, players: getOnlinePlayers() };
+
+    case 'kick': {
+      const sockets = findPlayerSockets(args);
+      if (sockets.length === 0) return { success: false, message: 'No such player online' };
+
+      sockets.forEach(client => {
+        sendProtocolError(client, { code: 'kicked', message: args.reason || 'You have been kicked' });
+        client.close();
+      });
+      return { success: true, message: `Kicked ${sockets.length} connection${sockets.length === 1 ? '' : 's'}` };
+    }
+
+    case 'ban':
+      if (typeof args.playerId !== 'string' || !args.playerId) return { success: false, message: 'playerId is required' };
+      banPlayer(args.playerId, args.reason);
+      return { success: true, message: `Banned ${args.playerId}` };
+
+    case 'unban':
+      return unbanPlayer(args.playerId)
+        ? { success: true, message: `Unbanned ${args.playerId}` }
+        : { success: false, message: 'Player is not banned' };
+
+    case 'wipe_billboards': {
+      const backup = backupBillboards();
+      const count = billboards.length;
+      replaceAllBillboards([], []);
+      return { success: true, message: `Wiped ${count} billboards (backup ${backup})`, backup };
+    }
+
+    case 'restore_billboards': {
+      if (!fs.existsSync(BILLBOARD_BACKUP_DIR)) return { success: false, message: 'No backups' };
+
+      const backups = fs.readdirSync(BILLBOARD_BACKUP_DIR).filter(name => /^billboards-\d+\.json$/.test(name)).sort();
+      const backup = args.backup || backups[backups.length - 1];
+      if (!backups.includes(backup)) return { success: false, message: 'Backup not found', backups };
+
+      const saved = JSON.parse(fs.readFileSync(path.join(BILLBOARD_BACKUP_DIR, backup), 'utf8'));
+      replaceAllBillboards(saved.billboards || [], saved.botBillboards || []);
+      return { success: true, message: `Restored ${billboards.length} billboards from ${backup}`, backup };
+    }
+
+    case 'spawn_powerup': {
+      if (!powerupConfig[args.type]) return { success: false, message: `Unknown powerup type: ${args.type}` };
+
+      const count = Math.min(Math.max(parseInt(args.count, 10) || 1, 1), 50);
+      let spawned = 0;
+      for (let i = 0; i < count; i++) {
+        if (spawnPowerupOfType(args.type)) spawned++;
+      }
+      return { success: spawned > 0, message: `Spawned ${spawned} ${args.type} powerup${spawned === 1 ? '' : 's'}` };
+    }
+
+    case 'spawn_bots': {
+      const count = Math.min(Math.max(parseInt(args.count, 10) || 1, 1), 50);
+      let spawned = 0;
+      for (let i = 0; i < count; i++) {
+        if (spawnBotBillboard()) spawned++;
+      }
+      return { success: spawned > 0, message: `Spawned ${spawned} bot billboard${spawned === 1 ? '' : 's'}` };
+    }
+
+    case 'set_config': {
+      const previous = JSON.parse(JSON.stringify(CONFIG));
+      const problem = setConfigValue(args.path, args.value);
+      if (problem) return { success: false, message: problem };
+
+      applyConfigChanges(previous);
+      broadcastConfigUpdate();
+      return { success: true, message: `${args.path} is now ${JSON.stringify(args.value)}` };
+    }
+
+    case 'announce': {
+      const text = filterText(args.message, MAX_BILLBOARD_TEXT_LENGTH).text;
+      if (!text) return { success: false, message: 'message is required' };
+
+      broadcastToAll({ type: 'announcement', message: text, timestamp: Date.now() });
+      return { success: true, message: 'Announcement sent' };
+    }
+
+    case 'reveal_billboards':
+      broadcastToAll({ type: 'admin_command', command: 'reveal_billboards' });
+      return { success: true, message: 'Revealed billboards to every player' };
+
+    default:
+      return { success: false, message: `Unknown admin command: ${command}` };
+  }
+}
+
+// AUTH SYSTEM //
+
+// Player-scoped messages and the field naming the player they act for; these need a session token
+const PLAYER_SCOPED_MESSAGES = {
+  player_position: 'playerId',
+  player_load_data: 'playerId',
+  player_save_data: 'playerId',
+  player_save_ammo: 'playerId',
+  player_save_billboard_text: 'playerId',
+  player_save_username: 'playerId',
+  shop_purchase: 'playerId',
+  player_set_team: 'playerId',
+  shot_fired: 'playerId',
+  billboard_report: 'playerId',
+  powerup_collected: 'playerId',
+  account_claim: 'playerId',
+  billboard_data: 'player_id',
+  billboard_remove: 'player_id'
+};
+
+// Load or create the secret that signs session tokens
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) {
+    sessionSecret = process.env.SESSION_SECRET;
+    return;
+  }
+
+  try {
+    if (fs.existsSync(SESSION_SECRET_FILE)) {
+      sessionSecret = fs.readFileSync(SESSION_SECRET_FILE, 'utf8').trim();
+    }
+
+    if (!sessionSecret) {
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(SESSION_SECRET_FILE, sessionSecret, { encoding: 'utf8', mode: 0o600 });
+      console.log('Generated new session secret');
+    }
+  } catch (error) {
+    // Tokens still work until restart, they just won't survive it
+    console.error('Error loading session secret, using a temporary one:', error);
+    sessionSecret = crypto.randomBytes(32).toString('hex');
+  }
+}
+
+// Sign a payload with the session secret
+function signSessionPayload(payload) {
+  return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+}
+
+// Issue a token binding this session to a player id
+function issueSessionToken(playerId) {
+  const payload = Buffer.from(JSON.stringify({ pid: playerId, iat: Date.now() })).toString('base64url');
+  return `${payload}.${signSessionPayload(payload)}`;
+}
+
+// Return the player id a token was issued for, or null if it's forged or expired
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signSessionPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { pid, iat } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof pid !== 'string' || Date.now() - iat > SESSION_TOKEN_TTL) return null;
+    return pid;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check a player-scoped message carries a token for the player it claims to act for
+function authorizeMessage(data) {
+  const field = PLAYER_SCOPED_MESSAGES[data.type];
+  if (!field) return null;
+
+  // Bot billboards belong to the server's bot system; clients only ever receive them
+  if ((data.type === 'billboard_data' || data.type === 'billboard_remove') && data.id.startsWith('bot_')) {
+    return { code: 'unauthorized', message: 'Bot billboards are managed by the server' };
+  }
+
+  const playerId = data[field];
+  if (!playerId) {
+    // Players without persistence may still move around and pick things up anonymously
+    if (data.type === 'player_position' || data.type === 'powerup_collected') return null;
+    return { code: 'unauthorized', message: `${data.type} needs a ${field}` };
+  }
+
+  if (verifySessionToken(data.token) !== playerId) {
+    return { code: 'unauthorized', message: `Invalid or expired session for ${playerId}` };
+  }
+
+  if (isPlayerBanned(playerId)) {
+    return { code: 'banned', message: 'You have been banned' };
+  }
+
+  return null;
+}
+
+// Generate a new player id in the same format clients used to create themselves
+function generatePlayerId() {
+  let playerId;
+  do {
+    const randomNumbers = Math.floor(10000 + Math.random() * 90000);
+    const randomAlphabets = Array.from({ length: 5 }, () => String.fromCharCode(97 + crypto.randomInt(26))).join('');
+    playerId = `player_${randomNumbers}_${randomAlphabets}`;
+  } while (playerData[playerId]);
+
+  return playerId;
+}
+
+// Ids created by browsers before sessions existed: never issued a session or protected
+// by a password. Their progress can be adopted once, by migrateLegacyPlayer
+function canAdoptPlayerId(playerId) {
+  if (typeof playerId !== 'string' || !/^player_\d{5}_[a-z]{5}$/.test(playerId)) return false;
+
+  const record = playerData[playerId];
+  return !record || (!record.sessionIssuedAt && !record.passwordHash);
+}
+
+// Move a legacy player's progress onto the id the server issued that browser. Player ids
+// are public, so naming one proves nothing: only the legacy id this connection presented
+// at session_start, in place of a token, is moved (presentedLegacyId), once, after which
+// the old id is gone
+function migrateLegacyPlayer(legacyPlayerId, playerId, presentedLegacyId) {
+  if (legacyPlayerId !== presentedLegacyId || legacyPlayerId === playerId ||
+      !playerData[legacyPlayerId] || !canAdoptPlayerId(legacyPlayerId)) {
+    return false;
+  }
+
+  const legacy = playerData[legacyPlayerId];
+  if (legacy.isBot) return false;
+
+  const { sessionIssuedAt, passwordHash, passwordSalt, recoveryCodeHash, accountName, ...progress } = legacy;
+  Object.assign(getPlayerRecord(playerId), progress, { lastUpdate: Date.now() });
+  delete playerData[legacyPlayerId];
+
+  let movedBillboards = 0;
+  billboards.forEach(billboard => {
+    if (billboard.player_id === legacyPlayerId) {
+      billboard.player_id = playerId;
+      movedBillboards++;
+    }
+  });
+  if (movedBillboards > 0) {
+    scheduleBillboardSave();
+  }
+
+  savePlayerData();
+  console.log(`Migrated legacy player ${legacyPlayerId} to ${playerId} (${movedBillboards} billboards)`);
+  return true;
+}
+
+// Hash a password with a per-account salt; scrypt runs off the event loop
+function hashPassword(password, salt, callback) {
+  crypto.scrypt(password, salt, 32, (error, key) => {
+    callback(error, key ? key.toString('hex') : null);
+  });
+}
+
+// Limit keys for a login attempt: the client's address and, for password logins, the account
+function getLoginLimitKeys(socket, username) {
+  const keys = [`address:${socket.clientAddress}`];
+  if (typeof username === 'string' && username.trim()) {
+    keys.push(`account:${username.trim().toLowerCase()}`);
+  }
+  return keys;
+}
+
+// Count a login attempt up front, so parallel attempts can't slip past the limit;
+// returns false if any key has used up its attempts for the window
+function takeLoginAttempt(keys) {
+  const now = Date.now();
+
+  for (const [key, entry] of loginAttempts) {
+    if (now - entry.firstAt >= LOGIN_ATTEMPT_WINDOW) {
+      loginAttempts.delete(key);
+    }
+  }
+
+  if (keys.some(key => loginAttempts.has(key) && loginAttempts.get(key).count >= MAX_LOGIN_ATTEMPTS)) {
+    return false;
+  }
+
+  keys.forEach(key => {
+    const entry = loginAttempts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      loginAttempts.set(key, { count: 1, firstAt: now });
+    }
+  });
+  return true;
+}
+
+// A successful login doesn't count against the limit
+function refundLoginAttempt(keys) {
+  keys.forEach(key => {
+    const entry = loginAttempts.get(key);
+    if (entry && --entry.count <= 0) {
+      loginAttempts.delete(key);
+    }
+  });
+}
+
+// Normalize and hash a recovery code so it can be looked up without storing it
+function hashRecoveryCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Create a human-friendly recovery code, e.g. "K7QM-2XRD-9FHA"
+function generateRecoveryCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const chars = Array.from({ length: 12 }, () => alphabet[crypto.randomInt(alphabet.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8).join('')}`;
+}
+
+// Start a session for a connection, reusing the player from a valid token if there is one
+function startSession(socket, data, token) {
+  // Without a valid token the client gets a fresh id; legacy progress follows via migrateLegacyPlayer
+  let playerId = verifySessionToken(token);
+
+  if (isPlayerBanned(playerId) || isAddressBanned(socket.clientAddress)) {
+    sendProtocolError(socket, { code: 'banned', message: 'You have been banned' }, data.type);
+    socket.close();
+    return;
+  }
+
+  const created = !playerId;
+  if (created) {
+    playerId = generatePlayerId();
+
+    // The id a browser from before sessions kept; only this connection may move its progress over
+    if (canAdoptPlayerId(data.playerId)) {
+      socket.legacyPlayerId = data.playerId;
+    }
+  }
+
+  sendSession(socket, playerId, created);
+}
+
+// Bind a connection to a player and hand the client a fresh token
+function sendSession(socket, playerId, created = false) {
+  const record = getPlayerRecord(playerId);
+  record.sessionIssuedAt = Date.now();
+  identifySocket(socket, playerId);
+  schedulePlayerDataSave();
+
+  socket.send(JSON.stringify({
+    type: 'session',
+    playerId: playerId,
+    token: issueSessionToken(playerId),
+    created: created,
+    claimed: !!record.passwordHash || !!record.recoveryCodeHash,
+    accountName: record.accountName || null
+  }));
+}
+
+// Protect an account with a password and/or recovery code; calls back with the new recovery code
+function claimAccount(playerId, username, password, callback) {
+  const record = getPlayerRecord(playerId);
+
+  const finishClaim = () => {
+    // Each claim replaces the previous recovery code
+    const recoveryCode = generateRecoveryCode();
+    record.recoveryCodeHash = hashRecoveryCode(recoveryCode);
+    savePlayerData();
+
+    callback({ success: true, recoveryCode, accountName: record.accountName || null });
+  };
+
+  if (password === undefined) {
+    finishClaim();
+    return;
+  }
+
+  if (password.length < 6) {
+    callback({ success: false, error: 'Password must be at least 6 characters' });
+    return;
+  }
+
+  const accountName = (username || record.username || '').trim().toLowerCase();
+  if (!accountName) {
+    callback({ success: false, error: 'Pick a username before setting a password' });
+    return;
+  }
+
+  const isTaken = () => Object.entries(playerData).some(([id, other]) => id !== playerId && other.accountName === accountName);
+  if (isTaken()) {
+    callback({ success: false, error: 'That username is already claimed' });
+    return;
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  hashPassword(password, salt, (error, hash) => {
+    if (error) {
+      console.error('Error hashing password:', error);
+      callback({ success: false, error: 'Could not set the password, try again' });
+      return;
+    }
+
+    // Someone else may have claimed the name while the hash was computed
+    if (isTaken()) {
+      callback({ success: false, error: 'That username is already claimed' });
+      return;
+    }
+
+    record.accountName = accountName;
+    record.passwordSalt = salt;
+    record.passwordHash = hash;
+    finishClaim();
+  });
+}
+
+// Find the player an account login refers to; calls back with null if the credentials don't match
+function findAccount(data, callback) {
+  if (data.recoveryCode) {
+    const codeHash = hashRecoveryCode(data.recoveryCode);
+    const match = Object.entries(playerData).find(([, record]) => record.recoveryCodeHash === codeHash);
+    callback(match ? match[0] : null);
+    return;
+  }
+
+  if (!data.username || !data.password) {
+    callback(null);
+    return;
+  }
+
+  const accountName = data.username.trim().toLowerCase();
+  const match = Object.entries(playerData).find(([, record]) => record.accountName === accountName && record.passwordHash);
+  if (!match) {
+    callback(null);
+    return;
+  }
+
+  const [playerId, record] = match;
+  hashPassword(data.password, record.passwordSalt, (error, hash) => {
+    if (error) {
+      console.error('Error hashing password:', error);
+      callback(null);
+      return;
+    }
+
+    const expected = Buffer.from(record.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    callback(crypto.timingSafeEqual(expected, actual) ? playerId : null);
+  });
+}
+
+// DAY/NIGHT CYCLE //
+
+// Current position in the day/night cycle, 0..1
+function getDayNightPhase() {
+  const cycleMs = (CONFIG.world.dayNightCycle || 600) * 1000;
+  return ((Date.now() - dayNightEpoch) % cycleMs) / cycleMs;
+}
+
+// Build the world time message clients use to line up their sun
+function getWorldTimeMessage() {
+  return JSON.stringify({
+    type: 'world_time',
+    phase: getDayNightPhase(),
+    cycleLength: CONFIG.world.dayNightCycle || 600,
+    timestamp: Date.now()
+  });
+}
+
+// Send every client the current day/night phase
+function broadcastWorldTime() {
+  const message = getWorldTimeMessage();
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+// Periodically resend the phase so clients don't drift apart
+function startWorldTimeSync() {
+  if (worldTimeTimer) {
+    clearInterval(worldTimeTimer);
+  }
+
+  worldTimeTimer = setInterval(broadcastWorldTime, WORLD_TIME_SYNC_INTERVAL);
+}
+
+// PRESENCE SYSTEM //
+
+// Everyone currently connected who has joined with a username, plus the bot players
+function getOnlinePlayers() {
+  const now = Date.now();
+  const players = [];
+
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN && client.username) {
+      players.push(client);
+    }
+  });
+
+  return players.concat(botPlayers).map(player => ({
+    entityId: player.entityId,
+    playerId: player.playerId || null,
+    username: player.username,
+    position: player.lastKnownPosition || null,
+    quaternion: player.lastKnownQuaternion || null,
+    timestamp: player.lastPositionTimestamp || null,
+    connectedAt: player.connectedAt,
+    onlineSeconds: Math.floor((now - player.connectedAt) / 1000),
+    isBot: !!player.isBot
+  }));
+}
+
+// Remember who is on a connection when they join or move
+function trackPresence(socket, data) {
+  socket.username = data.username;
+
+  if (data.type === 'player_position') {
+    data.position = limitPositionChange(socket, data.playerId, data.position);
+    socket.lastKnownPosition = data.position;
+    socket.lastKnownQuaternion = data.quaternion || null;
+    socket.lastPositionTimestamp = data.timestamp;
+    updateSpatialIndex(socket);
+  }
+}
+
+// Limit a reported position to how far the player could have moved since the last one, so
+// claims and shots can't be made from anywhere. Movement allowance builds up at the player's
+// top speed (speed boosts included) up to a short burst; a report beyond it is cut short
+// along the same direction. The first report on a connection is where the player spawned.
+function limitPositionChange(socket, playerId, position, now = Date.now()) {
+  const maxSpeed = CONFIG.player.runSpeed * MAX_MOVE_SPEED_FACTOR * getEffectMultiplier(playerId, 'speed_boost');
+  const maxAllowance = maxSpeed * MAX_MOVE_BURST / 1000 + MOVE_SLACK;
+  const previous = socket.lastKnownPosition;
+
+  if (!previous) {
+    socket.moveAllowance = maxAllowance;
+    socket.lastMoveAt = now;
+    return position;
+  }
+
+  const elapsed = Math.max(0, now - socket.lastMoveAt);
+  socket.lastMoveAt = now;
+  socket.moveAllowance = Math.min(maxAllowance, socket.moveAllowance + maxSpeed * elapsed / 1000);
+
+  const offset = vecSub(position, previous);
+  const distance = vecLength(offset);
+  if (distance <= socket.moveAllowance) {
+    socket.moveAllowance -= distance;
+    return position;
+  }
+
+  const limited = vecAdd(previous, vecScale(offset, socket.moveAllowance / distance));
+  socket.moveAllowance = 0;
+  return limited;
+}
+
+// Send a newly joined player everyone else who is online
+function sendRoster(socket) {
+  const players = getOnlinePlayers().filter(player => player.username !== socket.username);
+  socket.send(JSON.stringify({ type: 'player_roster', players }));
+}
+
+// Tell everyone a player has gone, unless they are still connected on another socket
+function handlePlayerDisconnect(socket) {
+  removeFromSpatialIndex(socket);
+  if (!socket.username) return;
+
+  let stillOnline = false;
+  wsServer.clients.forEach(client => {
+    if (client !== socket && client.readyState === WebSocket.OPEN && client.username === socket.username) {
+      stillOnline = true;
+    }
+  });
+  if (stillOnline) return;
+
+  const message = JSON.stringify({
+    type: 'player_left',
+    username: socket.username,
+    playerId: socket.playerId || null
+  });
+  wsServer.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(message);
+    }
+  });
+
+  console.log(`${socket.username} left (${Math.floor((Date.now() - socket.connectedAt) / 1000)}s online)`);
+}
+
+// NETWORK ENCODING //
+
+// Numeric ids used in binary frames for players (per connection) and billboards; never persisted
+let nextNetId = 1;
+const billboardNetIds = new Map();
+
+// Numeric id for a billboard, assigned on first use
+function getBillboardNetId(billboardId) {
+  if (!billboardNetIds.has(billboardId)) {
+    billboardNetIds.set(billboardId, nextNetId++);
+  }
+  return billboardNetIds.get(billboardId);
+}
+
+// Billboard data as sent to clients, carrying its numeric id
+function withNetId(billboard) {
+  return { ...billboard, netId: getBillboardNetId(billboard.id) };
+}
+
+// Switch a connection between JSON and binary frames for high-frequency messages
+function setSocketEncoding(socket, encoding) {
+  if (!Protocol.ENCODINGS.includes(encoding)) {
+    sendProtocolError(socket, { code: 'invalid_field', message: `Unsupported encoding: ${encoding}` }, 'set_encoding');
+    return;
+  }
+
+  socket.encoding = encoding;
+  socket.send(JSON.stringify({ type: 'encoding_set', encoding, entityId: socket.entityId }));
+}
+
+// Pick what to send a client: the binary frame if it negotiated binary and one exists
+function payloadFor(client, message) {
+  if (typeof message === 'string') return message;
+  return client.encoding === 'binary' && message.binary ? message.binary : message.json;
+}
+
+// Turn a client's binary frame back into the message it stands for
+function decodeClientBinary(socket, message) {
+  // Binary frames carry no username or player id, so they rely on the connection's identity
+  if (socket.encoding !== 'binary' || !socket.username) return null;
+
+  const frame = message.buffer.slice(message.byteOffset, message.byteOffset + message.byteLength);
+  const decoded = Protocol.decodeBinary(frame);
+  if (!decoded || decoded.type !== 'player_position') return null;
+
+  return {
+    type: 'player_position',
+    username: socket.username,
+    position: decoded.position,
+    quaternion: decoded.quaternion,
+    timestamp: decoded.timestamp
+  };
+}
+
+// INTEREST MANAGEMENT //
+
+// Connections bucketed by geodesic grid cell ("row:col" over phi/theta)
+const spatialIndex = new Map();
+let interestSummaryTimer = null;
+
+// Grid cell coordinates for a position on the globe
+function getGridCell(position) {
+  const { phi, theta } = MathUtils.cartesianToSpherical(position.x, position.y, position.z);
+  const cellSize = CONFIG.network.gridCellSize * Math.PI / 180;
+  return {
+    row: Math.min(Math.floor(phi / cellSize), Math.ceil(Math.PI / cellSize) - 1),
+    col: Math.floor((theta + Math.PI) / cellSize) % Math.ceil(2 * Math.PI / cellSize)
+  };
+}
+
+// Move a connection to the grid cell of its latest position
+function updateSpatialIndex(socket) {
+  const { row, col } = getGridCell(socket.lastKnownPosition);
+  const key = `${row}:${col}`;
+  if (socket.gridCell === key) return;
+
+  removeFromSpatialIndex(socket);
+  if (!spatialIndex.has(key)) {
+    spatialIndex.set(key, new Set());
+  }
+  spatialIndex.get(key).add(socket);
+  socket.gridCell = key;
+}
+
+// Drop a connection from the grid
+function removeFromSpatialIndex(socket) {
+  if (!socket.gridCell) return;
+
+  const cell = spatialIndex.get(socket.gridCell);
+  if (cell) {
+    cell.delete(socket);
+    if (cell.size === 0) spatialIndex.delete(socket.gridCell);
+  }
+  socket.gridCell = null;
+}
+
+// Great-circle distance between two positions, measured on the globe's surface
+function surfaceDistance(a, b) {
+  const from = MathUtils.cartesianToSpherical(a.x, a.y, a.z);
+  const to = MathUtils.cartesianToSpherical(b.x, b.y, b.z);
+
+  // cartesianToSpherical gives phi from the pole; sphereDistance's haversine wants latitude
+  return MathUtils.sphereDistance(
+    Math.PI / 2 - from.phi, from.theta,
+    Math.PI / 2 - to.phi, to.theta,
+    CONFIG.world.radius
+  );
+}
+
+// Connections whose player is within the interest radius of a position
+function getSocketsNear(position) {
+  const cellSize = CONFIG.network.gridCellSize * Math.PI / 180;
+  const rows = Math.ceil(Math.PI / cellSize);
+  const cols = Math.ceil(2 * Math.PI / cellSize);
+  const angularRadius = CONFIG.network.interestRadius / CONFIG.world.radius;
+  const { row, col } = getGridCell(position);
+
+  const rowSpan = Math.ceil(angularRadius / cellSize);
+  const nearby = [];
+
+  for (let r = Math.max(0, row - rowSpan); r <= Math.min(rows - 1, row + rowSpan); r++) {
+    // Cells get narrower towards the poles, so the column span widens; near a pole take the whole ring
+    const closestToPole = Math.min(Math.sin(r * cellSize), Math.sin(Math.min(Math.PI, (r + 1) * cellSize)));
+    const colSpan = closestToPole <= Math.sin(angularRadius) ? cols :
+      Math.ceil(Math.asin(Math.sin(angularRadius) / closestToPole) / cellSize);
+
+    const firstCol = colSpan * 2 + 1 >= cols ? 0 : col - colSpan;
+    const lastCol = colSpan * 2 + 1 >= cols ? cols - 1 : col + colSpan;
+    for (let c = firstCol; c <= lastCol; c++) {
+      const cell = spatialIndex.get(`${r}:${(c + cols) % cols}`);
+      if (!cell) continue;
+
+      cell.forEach(client => {
+        if (surfaceDistance(position, client.lastKnownPosition) <= CONFIG.network.interestRadius) {
+          nearby.push(client);
+        }
+      });
+    }
+  }
+
+  return nearby;
+}
+
+// Send something that happened at a position: nearby players (and those who haven't reported
+// a position yet) get it now, everyone else gets it in their next summary via onDeferred.
+// message is a JSON string or {json, binary} for messages with a binary form.
+function sendWithInterest(position, message, onDeferred, exclude = null) {
+  const nearby = isValidVector(position) ? new Set(getSocketsNear(position)) : null;
+
+  wsServer.clients.forEach(client => {
+    if (client === exclude || client.readyState !== WebSocket.OPEN) return;
+
+    if (!nearby || !client.gridCell || nearby.has(client)) {
+      client.send(payloadFor(client, message));
+    } else if (onDeferred) {
+      onDeferred(client);
     }
+  });
+}
+
+// Queue a billboard or powerup for a far-away client's next summary
+function deferForSummary(client, kind, id) {
+  if (!client.pendingSummary) {
+    client.pendingSummary = { billboards: new Set(), powerups: new Set() };
   }
+  client.pendingSummary[kind].add(id);
 }
 
-// Broadcast billboard data to all connected clients
-function broadcastBillboardData(billboardData) {
+// Send each positioned client the far-away players (bot players included) and the world changes it was spared
+function sendInterestSummaries() {
+  const online = [];
   wsServer.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(billboardData));
+    if (client.readyState === WebSocket.OPEN && client.username && client.lastKnownPosition) {
+      online.push(client);
     }
   });
+
+  online.forEach(client => {
+    if (!client.gridCell) return;
+
+    // Only players who moved since this client's last summary
+    const nearby = new Set(getSocketsNear(client.lastKnownPosition));
+    const lastSent = client.summarySentAt || (client.summarySentAt = new Map());
+    const players = online.concat(botPlayers)
+      .filter(other => other !== client && !nearby.has(other) && other.username !== client.username)
+      .filter(other => lastSent.get(other.username) !== other.lastPositionTimestamp)
+      .map(other => ({
+        entityId: other.entityId,
+        username: other.username,
+        position: other.lastKnownPosition,
+        quaternion: other.lastKnownQuaternion || null,
+        timestamp: other.lastPositionTimestamp
+      }));
+
+    players.forEach(player => lastSent.set(player.username, player.timestamp));
+
+    const pending = client.pendingSummary || { billboards: new Set(), powerups: new Set() };
+    const summaryBillboards = getVisibleBillboards().filter(b => pending.billboards.has(b.id));
+    const summaryPowerups = powerups.filter(p => pending.powerups.has(p.id));
+    client.pendingSummary = null;
+
+    if (players.length === 0 && summaryBillboards.length === 0 && summaryPowerups.length === 0) return;
+
+    client.send(JSON.stringify({
+      type: 'world_summary',
+      players: players,
+      billboards: summaryBillboards.map(withNetId),
+      powerups: summaryPowerups
+    }));
+  });
+}
+
+// Start the low-rate summary loop
+function startInterestSummaries() {
+  if (interestSummaryTimer) {
+    clearInterval(interestSummaryTimer);
+  }
+
+  interestSummaryTimer = setInterval(sendInterestSummaries, CONFIG.network.summaryInterval);
+}
+
+// LEADERBOARD SYSTEM //
+
+// Columns the leaderboard can be ranked by, mapped to entry fields
+const LEADERBOARD_SORT_FIELDS = {
+  area: 'area',
+  damage: 'damageDealt',
+  destroyed: 'billboardsDestroyed'
+};
+
+// Add damage dealt to other players' billboards (and any destruction) to a player's stats
+function recordCombatStats(playerId, damage, destroyed) {
+  const record = getPlayerRecord(playerId);
+  if (!record.stats) {
+    record.stats = { damageDealt: 0, billboardsDestroyed: 0 };
+  }
+
+  record.stats.damageDealt += damage;
+  if (destroyed) {
+    record.stats.billboardsDestroyed++;
+  }
+
+  schedulePlayerDataSave();
+  scheduleLeaderboardBroadcast();
+}
+
+// Rank players by billboard area owned, damage dealt or billboards destroyed
+function buildLeaderboard(sortBy = 'area', limit = LEADERBOARD_SIZE) {
+  const sortField = LEADERBOARD_SORT_FIELDS[sortBy] || LEADERBOARD_SORT_FIELDS.area;
+  const entries = new Map();
+
+  const entryFor = (playerId) => {
+    if (!entries.has(playerId)) {
+      entries.set(playerId, {
+        playerId: playerId,
+        username: playerData[playerId]?.username || null,
+        area: 0,
+        billboards: 0,
+        damageDealt: 0,
+        billboardsDestroyed: 0
+      });
+    }
+    return entries.get(playerId);
+  };
+
+  // Territory comes from the visible billboards (bot billboards don't belong to players)
+  for (const billboard of getVisibleBillboards()) {
+    if (!billboard.player_id || (billboard.id && billboard.id.startsWith('bot_'))) continue;
+
+    const entry = entryFor(billboard.player_id);
+    entry.area += (billboard.width || 0) * (billboard.height || 0);
+    entry.billboards++;
+    if (!entry.username) {
+      entry.username = billboard.owner || null;
+    }
+  }
+
+  // Combat stats come from the persisted player records
+  for (const [playerId, record] of Object.entries(playerData)) {
+    if (!record.stats) continue;
+
+    const entry = entryFor(playerId);
+    entry.damageDealt = record.stats.damageDealt;
+    entry.billboardsDestroyed = record.stats.billboardsDestroyed;
+  }
+
+  const ranked = [...entries.values()]
+    .sort((a, b) => (b[sortField] - a[sortField]) || (b.area - a.area))
+    .slice(0, limit)
+    .map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      username: entry.username || 'Anonymous',
+      area: Math.round(entry.area * 100) / 100,
+      damageDealt: Math.round(entry.damageDealt * 100) / 100
+    }));
+
+  return {
+    sortBy: LEADERBOARD_SORT_FIELDS[sortBy] ? sortBy : 'area',
+    totalPlayers: entries.size,
+    entries: ranked,
+    teams: buildTeamTally(),
+    timestamp: Date.now()
+  };
+}
+
+// Push the leaderboard to every client, batching bursts of changes into one update
+function scheduleLeaderboardBroadcast() {
+  if (leaderboardBroadcastTimer) return;
+
+  leaderboardBroadcastTimer = setTimeout(() => {
+    leaderboardBroadcastTimer = null;
+
+    const message = JSON.stringify({ type: 'leaderboard_update', ...buildLeaderboard() });
+    wsServer.clients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(message);
+      }
+    });
+  }, LEADERBOARD_BROADCAST_DELAY);
+}
+
+// Broadcast billboard data to all connected clients; size/health-only changes (resized)
+// go to binary clients as a compact frame
+function broadcastBillboardData(billboardData, resized = false) {
+  scheduleLeaderboardBroadcast();
+
+  // Hidden billboards stay off every client until a moderator restores them
+  if (billboardData.hidden) return;
+
+  const message = {
+    json: JSON.stringify({ type: 'billboard_data', ...withNetId(billboardData) }),
+    binary: resized ? Protocol.encodeBillboardUpdate(getBillboardNetId(billboardData.id), billboardData) : null
+  };
+  sendWithInterest(billboardData.position, message, client => deferForSummary(client, 'billboards', billboardData.id));
 }
 
 // Broadcast powerup data to all connected clients
 function broadcastPowerupData(powerupData) {
+  // Wrapped so the powerup's own type doesn't collide with the message type
+  const message = JSON.stringify({ type: 'powerup_spawned', powerup: powerupData });
+  sendWithInterest(powerupData.position, message, client => deferForSummary(client, 'powerups', powerupData.id));
+}
+
+// Tell a client why its message was not accepted
+function sendProtocolError(socket, problem, requestType) {
+  if (socket.readyState !== WebSocket.OPEN) return;
+  socket.send(JSON.stringify(Protocol.createError(problem, requestType)));
+}
+
+// Relay a validated player message to every other client, rebuilt from its schema's fields.
+// Binary clients map the entity id in position frames back to the sender's username.
+function relayToOthers(socket, data) {
+  const message = JSON.stringify({ ...Protocol.pick(Protocol.CLIENT_MESSAGES, data), entityId: socket.entityId });
+  let broadcastCount = 0;
   wsServer.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(powerupData));
+    if (client !== socket && client.readyState === WebSocket.OPEN) {
+      client.send(message);
+      broadcastCount++;
     }
   });
+  return broadcastCount;
 }
 
 // Setup WebSocket connection handling
-wsServer.on('connection', (socket) => {
+wsServer.on('connection', (socket, req) => {
   console.log('Player connected');
+  socket.connectedAt = Date.now();
+  socket.clientAddress = getClientAddress(req);
+  
+  if (isAddressBanned(socket.clientAddress)) {
+    sendProtocolError(socket, { code: 'banned', message: 'You have been banned' });
+    socket.close();
+    return;
+  }
+  
+  socket.entityId = nextNetId++;
+  socket.encoding = 'json';
+  
+  // Announce the protocol version so clients can detect a mismatch, and the encodings on offer
+  socket.send(JSON.stringify({
+    type: 'server_hello',
+    protocolVersion: Protocol.VERSION,
+    encodings: Protocol.ENCODINGS
+  }));
+  
+  // Start the new player on the shared time of day
+  socket.send(getWorldTimeMessage());
+  
+  // and, in match mode, the current phase of the round
+  if (CONFIG.match.enabled) {
+    broadcastMatchState(socket);
+  }
 
-  socket.on('message', (message) => {
+  socket.on('message', (message, isBinary) => {
+    let data;
+    if (isBinary) {
+      data = decodeClientBinary(socket, message);
+      if (!data) {
+        sendProtocolError(socket, { code: 'malformed_message', message: 'Unsupported binary frame' });
+        return;
+      }
+    } else {
+      try {
+        data = JSON.parse(message);
+      } catch (error) {
+        sendProtocolError(socket, { code: 'malformed_message', message: 'Message is not valid JSON' });
+        return;
+      }
+    }
+    
+    // Unknown or malformed messages are answered with an error and never relayed
+    const problem = Protocol.validate(Protocol.CLIENT_MESSAGES, data);
+    if (problem) {
+      console.log(`Rejected message: ${problem.message}`);
+      sendProtocolError(socket, problem, data && data.type);
+      return;
+    }
+    
+    // Player-scoped messages must come with a session token for that player
+    const authProblem = authorizeMessage(data);
+    if (authProblem) {
+      console.log(`Rejected ${data.type}: ${authProblem.message}`);
+      sendProtocolError(socket, authProblem, data.type);
+      return;
+    }
+    
+    // The token has done its job; never store or relay it (session_start still needs it to resume)
+    const sessionToken = data.token;
+    delete data.token;
+    
     try {
-      const data = JSON.parse(message);
       //console.log('Received message type:', data.type);
 
       // Handle different message types
-      if (data.type === 'billboard_data') {
-        // Check if this is a bot billboard by the ID prefix
-        const isBotBillboard = data.id && data.id.startsWith('bot_');
+      if (data.type === 'session_start') {
+        startSession(socket, data, sessionToken);
+      }
+      else if (data.type === 'account_claim') {
+        claimAccount(data.playerId, data.username, data.password, result => {
+          if (socket.readyState !== WebSocket.OPEN) return;
+          
+          if (!result.success) {
+            sendProtocolError(socket, { code: 'claim_failed', message: result.error }, data.type);
+            return;
+          }
+          
+          socket.send(JSON.stringify({
+            type: 'account_claimed',
+            playerId: data.playerId,
+            recoveryCode: result.recoveryCode,
+            accountName: result.accountName
+          }));
+          console.log(`Player ${data.playerId} claimed their account`);
+        });
+      }
+      else if (data.type === 'account_login') {
+        const limitKeys = getLoginLimitKeys(socket, data.username);
+        if (!takeLoginAttempt(limitKeys)) {
+          sendProtocolError(socket, { code: 'login_failed', message: 'Too many failed attempts, try again later' }, data.type);
+          return;
+        }
+        
+        findAccount(data, playerId => {
+          if (socket.readyState !== WebSocket.OPEN) return;
+          
+          if (!playerId) {
+            sendProtocolError(socket, { code: 'login_failed', message: 'Unknown account or wrong password/recovery code' }, data.type);
+            return;
+          }
+          
+          refundLoginAttempt(limitKeys);
+          sendSession(socket, playerId);
+          console.log(`Player ${playerId} logged in to their account`);
+        });
+      }
+      else if (data.type === 'billboard_data') {
+        // Only whitelisted fields are taken from the client - never trust anything else
+        const clientFields = {};
+        for (const field of CLIENT_BILLBOARD_FIELDS) {
+          if (data[field] !== undefined) {
+            clientFields[field] = data[field];
+          }
+        }
+        if (clientFields.color !== undefined && typeof clientFields.color !== 'string') {
+          delete clientFields.color;
+        }
+        const position = data.position;
+        
+        // Text and owner name go through the moderation filter before anyone sees them
+        const moderationContext = { billboardId: data.id, playerId: data.player_id || null };
+        if (clientFields.text !== undefined) {
+          clientFields.text = moderateText(clientFields.text, MAX_BILLBOARD_TEXT_LENGTH, moderationContext);
+        }
+        if (clientFields.owner !== undefined) {
+          clientFields.owner = moderateText(clientFields.owner, MAX_USERNAME_LENGTH, moderationContext);
+        }
         
         // Store billboard data for future players
         const existingIndex = billboards.findIndex(b => b.id === data.id);
+        let storedBillboard;
         if (existingIndex !== -1) {
-          // Update existing billboard but preserve original text and owner if not a bot update
-          if (!isBotBillboard) {
-            const originalText = billboards[existingIndex].text;
-            const originalOwner = billboards[existingIndex].owner;
-            
-            // Store the updated data but preserve text and owner
-            billboards[existingIndex] = {
-              ...billboards[existingIndex],
-              ...data,
-              // Keep original text and owner
-              text: originalText,
-              owner: originalOwner
-            };
-            
-            console.log(`Updated player billboard ${data.id} in server storage (preserved text and owner)`);
-          } else {
-            // For bot billboards, update everything
-            billboards[existingIndex] = {
-              ...data
-            };
-            
-            console.log(`Updated bot billboard ${data.id} in server storage`);
-            
-            // Also update in the bot billboards array
-            const botIndex = botBillboards.findIndex(b => b.id === data.id);
-            if (botIndex !== -1) {
-              botBillboards[botIndex] = { ...data };
-            }
-          }
+          const existing = billboards[existingIndex];
           
-          // Log health update if it changed
-          if (data.health !== undefined && billboards[existingIndex].health !== data.health) {
-            console.log(`Billboard ${data.id} health updated to: ${data.health}`);
+          // Only the owner may update an existing billboard
+          if (existing.player_id && existing.player_id !== data.player_id) {
+            console.log(`Ignoring update to billboard ${data.id} from non-owner ${data.player_id || 'unknown player'}`);
+            return;
           }
           
-          // Save billboard data when health changes
-          if (data.health !== undefined) {
-            // Save periodically to avoid too frequent writes
-            if (Math.random() < 0.3) { // 30% chance to save on update
-              // Only save to billboard-data.json if it's a player billboard
-              if (!isBotBillboard) {
-                saveBillboardData();
-              }
-              
-              // If it's a bot billboard, only save bot data
-              if (isBotBillboard) {
-                saveBotBillboardData();
-              }
+          // Update existing billboard but preserve original text and owner
+          storedBillboard = { ...existing };
+          for (const field of CLIENT_BILLBOARD_UPDATE_FIELDS) {
+            if (clientFields[field] !== undefined) {
+              storedBillboard[field] = clientFields[field];
             }
           }
-        } else {
-          // Add new billboard
-          billboards.push(data);
-          console.log(`Added new billboard ${data.id} to server storage`);
+          markBillboardTended(storedBillboard);
+          
+          console.log(`Updated player billboard ${data.id} in server storage (preserved text and owner)`);
           
-          // If it's a bot billboard, also add to bot billboards
-          if (isBotBillboard) {
-            botBillboards.push(data);
-            console.log(`Added new bot billboard ${data.id} to bot storage`);
+          billboards[existingIndex] = storedBillboard;
+          scheduleBillboardSave();
+        } else {
+          if (!isValidVector(position)) {
+            console.warn(`Rejected new billboard ${data.id} without a valid position`);
+            return;
           }
           
-          // Save billboard data when a new billboard is added - only for player billboards
-          if (!isBotBillboard) {
-            saveBillboardData();
+          // Players are limited by their billboard slots and ammo
+          const rejection = checkBillboardPlacement(data.player_id);
+          if (rejection) {
+            console.log(`Rejected billboard ${data.id} from ${data.player_id || 'unknown player'}: ${rejection}`);
+            socket.send(JSON.stringify({
+              type: 'billboard_rejected',
+              id: data.id,
+              error: rejection
+            }));
+            if (data.player_id) {
+              sendAmmoUpdate(socket, data.player_id);
+              sendSlotsUpdate(socket, data.player_id);
+            }
+            return;
           }
           
-          // If it's a bot billboard, only save bot data
-          if (isBotBillboard) {
-            saveBotBillboardData();
+          identifySocket(socket, data.player_id);
+          getPlayerRecord(data.player_id).billboardAmmo--;
+          schedulePlayerDataSave();
+          
+          // Add new billboard at the configured starting size, in its owner's team colors
+          const startSize = CONFIG.billboard.startSize || 5;
+          storedBillboard = { ...clientFields, position, billboard_category: 'player', timestamp: Date.now() };
+          if (getPlayerTeam(data.player_id)) {
+            storedBillboard.team = getPlayerTeam(data.player_id);
           }
+          resizeBillboard(storedBillboard, startSize, startSize);
+          markBillboardTended(storedBillboard);
+          
+          billboards.push(storedBillboard);
+          console.log(`Added new billboard ${data.id} to server storage`);
+          
+          // Save billboard data when a new billboard is added
+          saveBillboardData();
+          
+          sendAmmoUpdate(socket, data.player_id);
+          sendSlotsUpdate(socket, data.player_id);
+        }
+        
+        // Broadcast the authoritative billboard state to every client, including the sender
+        broadcastBillboardData(storedBillboard);
+      } 
+      else if (data.type === 'billboard_remove') {
+        const existing = billboards.find(b => b.id === data.id);
+        if (!existing) return;
+        
+        // Players may only take down their own billboards; destruction is decided by shot_fired
+        if (existing.player_id && existing.player_id !== data.player_id) {
+          console.log(`Ignoring removal of billboard ${data.id} from non-owner ${data.player_id || 'unknown player'}`);
+          return;
         }
         
-        // Broadcast the billboard update to all other clients with consistent naming
-        const broadcastData = {
-          type: 'billboard_data',
-          ...data
+        removeBillboardById(data.id);
+        console.log(`Removed billboard ${data.id} from server storage`);
+        scheduleLeaderboardBroadcast();
+        
+        // Save billboard data when a billboard is removed
+        saveBillboardData();
+        
+        // Broadcast removal to all other clients with the expected "billboard_removed" type
+        const removalData = {
+          type: 'billboard_removed',
+          id: data.id,
+          timestamp: Date.now()
         };
         
         wsServer.clients.forEach(client => {
           if (client !== socket && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify(broadcastData));
+            client.send(JSON.stringify(removalData));
           }
         });
-      } 
-      else if (data.type === 'billboard_remove') {
-        // Check if this is a bot billboard by the ID prefix
-        const isBotBillboard = data.id && data.id.startsWith('bot_');
-        
-        // Remove billboard from stored list
-        const index = billboards.findIndex(b => b.id === data.id);
-        if (index !== -1) {
-          billboards.splice(index, 1);
-          console.log(`Removed billboard ${data.id} from server storage`);
-          
-          // If it's a bot billboard, also remove from bot billboards
-          if (isBotBillboard) {
-            const botIndex = botBillboards.findIndex(b => b.id === data.id);
-            if (botIndex !== -1) {
-              botBillboards.splice(botIndex, 1);
-              console.log(`Removed bot billboard ${data.id} from bot storage`);
-            }
-          }
-          
-          // Save billboard data when a billboard is removed - only for player billboards
-          if (!isBotBillboard) {
-            saveBillboardData();
-          }
-          
-          // If it's a bot billboard, only save bot data
-          if (isBotBillboard) {
-            saveBotBillboardData();
-          }
-          
-          // Broadcast removal to all other clients with the expected "billboard_removed" type
-          const removalData = {
-            type: 'billboard_removed',  // Note: Changed from 'billboard_remove' to 'billboard_removed'
-            id: data.id,
-            timestamp: Date.now()
-          };
-          
-          wsServer.clients.forEach(client => {
-            if (client !== socket && client.readyState === WebSocket.OPEN) {
-              client.send(JSON.stringify(removalData));
-            }
-          });
-        }
+      }
+      // Handle shot intents - the server resolves hits, damage and growth
+      else if (data.type === 'shot_fired') {
+        handleShotFired(socket, data);
       }
       // Handle player data persistence
       else if (data.type === 'player_save_data') {
         if (data.playerId) {
-          // Store the player data
-          playerData[data.playerId] = {
-            username: data.username,
-            billboardText: data.billboardText,
-            position: data.position,
-            shootingAmmo: data.shootingAmmo,
-            billboardAmmo: data.billboardAmmo,
-            lastUpdate: Date.now()
-          };
+          identifySocket(socket, data.playerId);
+          
+          // Store the player data, keeping server-owned fields such as credits and ammo
+          const record = getPlayerRecord(data.playerId);
+          
+          // Auto-saves repeat the same text; only actual changes count against the limit
+          const context = { playerId: data.playerId };
+          const username = filterText(data.username, MAX_USERNAME_LENGTH).text;
+          const billboardText = filterText(data.billboardText, MAX_BILLBOARD_TEXT_LENGTH).text;
+          const textChanged = (data.username !== undefined && username !== record.username) ||
+            (data.billboardText !== undefined && billboardText !== record.billboardText);
+          if (!textChanged || allowTextChange(data.playerId)) {
+            if (data.username !== undefined) record.username = moderateText(data.username, MAX_USERNAME_LENGTH, context);
+            if (data.billboardText !== undefined) record.billboardText = moderateText(data.billboardText, MAX_BILLBOARD_TEXT_LENGTH, context);
+          }
+          record.position = data.position;
+          record.lastUpdate = Date.now();
+          applyClientAmmoReport(record, data.shootingAmmo);
           
           console.log(`Saved data for player ${data.playerId}`);
           
-          // Save to file periodically (not on every update to avoid I/O overhead)
-          // In this case, we'll save every 5th update
-          if (Math.random() < 0.2) {
-            savePlayerData();
+          schedulePlayerDataSave();
+          
+          // A browser from before sessions sends its old id along until the progress has moved over
+          if (data.legacyPlayerId !== undefined) {
+            socket.send(JSON.stringify({
+              type: 'legacy_migration',
+              playerId: data.playerId,
+              legacyPlayerId: data.legacyPlayerId,
+              migrated: migrateLegacyPlayer(data.legacyPlayerId, data.playerId, socket.legacyPlayerId)
+            }));
+            socket.legacyPlayerId = null;
           }
         }
       }
       else if (data.type === 'player_save_ammo') {
         if (data.playerId && playerData[data.playerId]) {
-          // Update just the ammo values
-          playerData[data.playerId].shootingAmmo = data.shootingAmmo;
-          playerData[data.playerId].billboardAmmo = data.billboardAmmo;
-          playerData[data.playerId].lastUpdate = Date.now();
+          // Update just the ammo values, clamped to what the server allows
+          const record = getPlayerRecord(data.playerId);
+          applyClientAmmoReport(record, data.shootingAmmo);
+          record.lastUpdate = Date.now();
+          
+          // Correct the client if it claimed more than it has
+          if (data.shootingAmmo !== record.shootingAmmo || data.billboardAmmo !== record.billboardAmmo) {
+            sendAmmoUpdate(socket, data.playerId);
+          }
           
           console.log(`Updated ammo for player ${data.playerId}`);
         }
       }
       else if (data.type === 'player_save_billboard_text') {
         if (data.playerId && playerData[data.playerId]) {
+          if (!allowTextChange(data.playerId)) {
+            sendProtocolError(socket, { code: 'rate_limited', message: 'Too many text changes, try again later' }, data.type);
+            return;
+          }
+          
           // Update just the billboard text
-          playerData[data.playerId].billboardText = data.billboardText;
+          playerData[data.playerId].billboardText = moderateText(data.billboardText, MAX_BILLBOARD_TEXT_LENGTH, { playerId: data.playerId });
           playerData[data.playerId].lastUpdate = Date.now();
           
           console.log(`Updated billboard text for player ${data.playerId}`);
@@ -1220,10 +4892,39 @@ wsServer.on('connection', (socket) => {
           savePlayerData();
         }
       }
+      else if (data.type === 'player_save_username') {
+        if (playerData[data.playerId]) {
+          if (!allowTextChange(data.playerId)) {
+            sendProtocolError(socket, { code: 'rate_limited', message: 'Too many name changes, try again later' }, data.type);
+            return;
+          }
+          
+          playerData[data.playerId].username = moderateText(data.username, MAX_USERNAME_LENGTH, { playerId: data.playerId });
+          playerData[data.playerId].lastUpdate = Date.now();
+          schedulePlayerDataSave();
+        }
+      }
+      else if (data.type === 'billboard_report') {
+        const result = reportBillboard(data.playerId, data.billboardId, data.reason);
+        socket.send(JSON.stringify({
+          type: 'report_result',
+          billboardId: data.billboardId,
+          ...result
+        }));
+      }
+      else if (data.type === 'player_set_team') {
+        identifySocket(socket, data.playerId);
+        socket.send(JSON.stringify({
+          type: 'team_assigned',
+          playerId: data.playerId,
+          team: assignTeam(data.playerId, data.team)
+        }));
+      }
       else if (data.type === 'player_load_data') {
         if (data.playerId) {
           // Look up player data
           const playerInfo = playerData[data.playerId];
+          identifySocket(socket, data.playerId);
           
           // Send response back to client
           const response = {
@@ -1245,118 +4946,63 @@ wsServer.on('connection', (socket) => {
             console.log(`No data found for player ${data.playerId}`);
           }
           
-          socket.send(JSON.stringify(response));
-        }
-      }
-      else if (data.type === 'request_terrain_data') {
-        // If we don't have terrain data yet, this would be generated by the first player
-        // In a production environment, you'd want to pre-generate this during server startup
-        if (!terrainData) {
-          console.log('No terrain data exists yet - server would request generation from client');
-          // In a real implementation, you would generate the terrain here
-          // or already have it generated at server start
+          // Loading player data counts as a login for the daily bonus
+          const dailyBonus = grantDailyBonus(data.playerId);
+          const record = getPlayerRecord(data.playerId);
+          response.credits = record.credits;
+          response.shootingAmmo = record.shootingAmmo;
+          response.billboardAmmo = record.billboardAmmo;
+          response.billboardSlots = getBillboardSlots(data.playerId);
+          response.billboardsOwned = countPlayerBillboards(data.playerId);
+          response.team = getPlayerTeam(data.playerId);
           
-          // For demo purposes, create dummy data that will be populated by first client
-          terrainData = {
-            seed: CONFIG.world.terrainSeed,
-            craters: [],
-            rocks: [],
-            towers: []
-          };
-        }
-        
-        // Send terrain data to the requesting client
-        const response = {
-          type: 'terrain_data',
-          terrainData: terrainData
-        };
-        socket.send(JSON.stringify(response));
-        console.log('Sent terrain data to requesting client');
-      }
-      else if (data.type === 'terrain_data_update') {
-        // First client is providing generated terrain data to the server
-        if (data.terrainData && (!terrainData || terrainData.craters.length === 0)) {
-          console.log('Received terrain data from client - saving for future clients');
-          terrainData = data.terrainData;
+          socket.send(JSON.stringify(response));
           
-          // Save to file for persistence
-          try {
-            fs.writeFileSync(
-              path.join(__dirname, 'terrain-data.json'), 
-              JSON.stringify(terrainData, null, 2),
-              'utf8'
-            );
-            console.log('Terrain data saved to file');
-          } catch (error) {
-            console.error('Error saving terrain data:', error);
+          if (dailyBonus > 0) {
+            sendCreditsUpdate(socket, data.playerId, dailyBonus, 'daily_bonus');
           }
+          
+          // Effects picked up before a reconnect keep running
+          sendStatusEffects(socket, data.playerId);
         }
       }
-      else if (data.type === 'powerup_collected') {
-        // Process powerup collection
-        const powerupId = data.powerupId;
-        const playerId = data.playerId;
-        
-        console.log(`[DEBUG SERVER] Player ${playerId} collected powerup ${powerupId}`);
-        
-        // Find the powerup in our array
-        const powerupIndex = powerups.findIndex(p => p.id === powerupId);
-        
-        if (powerupIndex !== -1) {
-          // Get the powerup data
-          const powerup = powerups[powerupIndex];
-          
-          console.log(`[DEBUG SERVER] Found powerup ${powerupId} at index ${powerupIndex}, type: ${powerup.type}`);
-          
-          // Mark as collected
-          powerup.isCollected = true;
-          powerup.collectedBy = playerId;
-          powerup.collectedAt = Date.now();
+      // Handle credit spending
+      else if (data.type === 'shop_purchase') {
+        if (data.playerId) {
+          const result = purchaseItem(data.playerId, data.item, data.billboardId);
           
-          // Remove from the main array
-          powerups.splice(powerupIndex, 1);
-          console.log(`[DEBUG SERVER] Removed powerup ${powerupId} from main powerups array`);
+          socket.send(JSON.stringify({
+            type: 'purchase_result',
+            playerId: data.playerId,
+            item: data.item,
+            credits: getPlayerRecord(data.playerId).credits,
+            ...result
+          }));
           
-          // Also remove from type-specific array
-          if (powerupsByType[powerup.type]) {
-            const typeIndex = powerupsByType[powerup.type].findIndex(p => p.id === powerupId);
-            if (typeIndex !== -1) {
-              powerupsByType[powerup.type].splice(typeIndex, 1);
-              console.log(`[DEBUG SERVER] Removed powerup ${powerupId} from ${powerup.type} type-specific array`);
-            } else {
-              console.warn(`[DEBUG SERVER] Powerup ${powerupId} not found in ${powerup.type} type-specific array`);
-            }
+          if (result.success) {
+            console.log(`Player ${data.playerId} bought ${data.item} for ${result.cost} MC`);
+            savePlayerData();
           }
-          
-          console.log(`[DEBUG SERVER] Removed powerup ${powerupId} from server (collected by ${playerId})`);
-          
-          // Save updated powerup data
-          console.log(`[DEBUG SERVER] Saving updated powerups-data.json (${powerups.length} powerups remaining)`);
-          savePowerupData();
-          
-          // Broadcast removal to all clients
-          console.log(`[DEBUG SERVER] Broadcasting removal of powerup ${powerupId} to all clients`);
-          broadcastPowerupRemoval(powerupId);
-        } else {
-          console.warn(`[DEBUG SERVER] Powerup ${powerupId} not found for collection by ${playerId}`);
         }
       }
+      else if (data.type === 'request_terrain_data') {
+        socket.send(JSON.stringify({
+          type: 'terrain_data',
+          terrainData: terrainData
+        }));
+      }
+      else if (data.type === 'powerup_collected') {
+        collectPowerup(socket, data.powerupId, data.playerId);
+      }
       // Handle request_billboards message
       else if (data.type === 'request_billboards') {
         // Ensure that bot billboards are included in the billboards array
-        // First, check if we might be missing some bot billboards
-        for (const botBillboard of botBillboards) {
-          const found = billboards.some(b => b.id === botBillboard.id);
-          if (!found) {
-            console.log(`Adding missing bot billboard ${botBillboard.id} to main billboards array`);
-            billboards.push(botBillboard);
-          }
-        }
+        mergeBotBillboards();
         
         // Send all stored billboards to the requesting client
         const response = {
           type: 'all_billboards',
-          billboards: billboards
+          billboards: getVisibleBillboards().map(withNetId)
         };
         socket.send(JSON.stringify(response));
         
@@ -1365,6 +5011,10 @@ wsServer.on('connection', (socket) => {
         const playerCount = billboards.length - botCount;
         console.log(`Sent ${billboards.length} billboards to requesting client (${playerCount} player, ${botCount} bot)`);
       }
+      // Handle request_leaderboard message
+      else if (data.type === 'request_leaderboard') {
+        socket.send(JSON.stringify({ type: 'leaderboard_update', ...buildLeaderboard(data.sortBy) }));
+      }
       // Handle request_powerups message
       else if (data.type === 'request_powerups') {
         // Send all stored powerups to the requesting client
@@ -1376,62 +5026,76 @@ wsServer.on('connection', (socket) => {
         
         console.log(`Sent ${powerups.length} powerups to requesting client`);
       }
-
-      // Broadcast the general message to all other clients for other message types
-      // But don't broadcast billboard data or removals that are already handled above
-      if (data.type !== 'billboard_data' && data.type !== 'billboard_remove') {
-        // Special handling for player_position and player_join
-        if (data.type === 'player_position' || data.type === 'player_join') {
-          // Make sure this is a fresh message, not a stale one
-          const now = Date.now();
-          const messageAge = now - (data.timestamp || 0);
+      // Player presence and admin commands are relayed to everyone else
+      else if (data.type === 'player_position' || data.type === 'player_join') {
+        if (data.type === 'player_join' && data.protocolVersion !== undefined &&
+            data.protocolVersion !== Protocol.VERSION) {
+          sendProtocolError(socket, {
+            code: 'unsupported_version',
+            message: `Server speaks protocol ${Protocol.VERSION}, client sent ${data.protocolVersion}`
+          }, data.type);
+          return;
+        }
+        
+        // Make sure this is a fresh message, not a stale one
+        const now = Date.now();
+        const messageAge = now - (data.timestamp || 0);
+        
+        // Only forward if the message is less than 10 seconds old
+        if (messageAge < 10000) {
+          // Names shown above other players go through the same filter as billboard text
+          data.username = filterText(data.username, MAX_USERNAME_LENGTH).text;
           
-          // Only forward if the message is less than 10 seconds old
-          if (messageAge < 10000) {
-            if (data.type === 'player_position') {
-              console.log(`Broadcasting player_position for ${data.username || 'unknown player'} at (${data.position?.x.toFixed(2)}, ${data.position?.y.toFixed(2)}, ${data.position?.z.toFixed(2)})`);
-            } else {
-              console.log(`Broadcasting ${data.type} for ${data.username || 'unknown player'}`);
-            }
-            
-            // Count connected clients
-            let clientCount = 0;
-            wsServer.clients.forEach(c => {
-              if (c.readyState === WebSocket.OPEN) clientCount++;
-            });
-            
-            // Broadcast to all other connected clients
-            let broadcastCount = 0;
-            wsServer.clients.forEach(client => {
-              if (client !== socket && client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify(data));
-                broadcastCount++;
-              }
-            });
-            
-            console.log(`Broadcast complete: ${broadcastCount} clients received the update (out of ${clientCount} total connected)`);
+          // Remember who and where this connection's player is (also used to validate shot origins)
+          trackPresence(socket, data);
+          
+          // Positions only go out in real time to players close enough to see them;
+          // the rest get them in the periodic world_summary. Too frequent to log.
+          if (data.type === 'player_position') {
+            identifySocket(socket, data.playerId);
+            sendWithInterest(data.position, {
+              json: JSON.stringify(Protocol.pick(Protocol.CLIENT_MESSAGES, data)),
+              binary: Protocol.encodePlayerPosition(socket.entityId, data.position, data.quaternion, data.timestamp)
+            }, null, socket);
           } else {
-            console.log(`Discarding stale ${data.type} message from ${data.username}, age: ${messageAge}ms`);
+            sendRoster(socket);
+            
+            const broadcastCount = relayToOthers(socket, data);
+            console.log(`Broadcast ${data.type} for ${data.username} to ${broadcastCount} clients`);
           }
         } else {
-          // Default broadcasting for other message types
-          wsServer.clients.forEach(client => {
-            if (client !== socket && client.readyState === WebSocket.OPEN) {
-              // Ensure we're sending a string, not a raw message object
-              if (typeof message === 'string') {
-                client.send(message);
-              } else {
-                // If it's not a string (perhaps an object), stringify it
-                try {
-                  client.send(JSON.stringify(message));
-                } catch (error) {
-                  console.error('Error stringifying message for broadcast:', error);
-                }
-              }
-            }
-          });
+          console.log(`Discarding stale ${data.type} message from ${data.username}, age: ${messageAge}ms`);
         }
       }
+      else if (data.type === 'set_encoding') {
+        setSocketEncoding(socket, data.encoding);
+      }
+      else if (data.type === 'admin_auth') {
+        const limitKeys = getLoginLimitKeys(socket);
+        if (!takeLoginAttempt(limitKeys)) {
+          sendProtocolError(socket, { code: 'login_failed', message: 'Too many failed attempts, try again later' }, data.type);
+          return;
+        }
+        
+        socket.isAdmin = isAdminToken(data.adminToken);
+        if (socket.isAdmin) {
+          refundLoginAttempt(limitKeys);
+        }
+        socket.send(JSON.stringify({ type: 'admin_auth_result', success: socket.isAdmin }));
+      }
+      else if (data.type === 'admin_command') {
+        // Only connections that authenticated with the admin token may run commands
+        if (!socket.isAdmin) {
+          sendProtocolError(socket, { code: 'unauthorized', message: 'Admin commands need admin_auth first' }, data.type);
+          return;
+        }
+        
+        socket.send(JSON.stringify({
+          type: 'admin_result',
+          command: data.command,
+          ...runAdminCommand(data.command, data.args || {}, `socket ${socket.username || socket.playerId || 'unknown'}`)
+        }));
+      }
     } catch (error) {
       console.error('Error processing message:', error);
     }
@@ -1439,49 +5103,105 @@ wsServer.on('connection', (socket) => {
 
   socket.on('close', () => {
     console.log('Player disconnected');
+    handlePlayerDisconnect(socket);
   });
 });
 
 // Broadcast powerup data to all connected clients
 function broadcastPowerupRemoval(powerupId) {
-  console.log(`[DEBUG SERVER] Broadcasting powerup removal for ID: ${powerupId} to all clients`);
-  
   const removalData = {
     type: 'powerup_removed',
     id: powerupId
   };
   
-  let clientCount = 0;
   wsServer.clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) {
       client.send(JSON.stringify(removalData));
-      clientCount++;
     }
   });
-  
-  console.log(`[DEBUG SERVER] Sent powerup_removed message to ${clientCount} connected clients`);
 }
 
-// Start the server
-httpServer.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`WebSocket server running on same port`);
-  
-  // Load data
-  loadPlayerData();
-  loadBillboardData();
-  loadBotBillboardData();
-  loadBotConfig();
-  loadPowerupConfig();
-  loadPowerupData();
-  initializeTerrainData();
-  
-  // Start bot billboard system
-  console.log('Starting bot billboard system...');
-  botCheckTimer = setInterval(checkBotBillboards, botConfig.checkInterval || 30000);
-  checkBotBillboards(); // Initial check
-  
-  // Start powerup system
-  console.log('Starting powerup system...');
-  startPowerupSystem();
-});
\ No newline at end of file
+// Start the server when run directly; tests require this file for its helpers
+if (require.main === module) {
+  httpServer.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`WebSocket server running on same port`);
+
+    // Load data
+    loadGameConfig();
+    snapshotClientConfig();
+    loadSessionSecret();
+    loadAdminToken();
+    loadModerationConfig();
+    loadModerationData();
+    loadPlayerData();
+    loadBillboardData();
+    loadBotBillboardData();
+    mergeBotBillboards();
+    loadBotConfig();
+    loadPowerupConfig();
+    loadPowerupData();
+    initializeTerrainData();
+
+    // Start bot billboard system
+    console.log('Starting bot billboard system...');
+    startBotBillboardSystem();
+
+    // Start simulated bot players
+    startBotPlayerSystem();
+
+    // Start powerup system
+    console.log('Starting powerup system...');
+    startPowerupSystem();
+
+    // Start billboard decay
+    startDecaySystem();
+
+    // Start ammo regeneration
+    startAmmoRegeneration();
+
+    // Keep clients' day/night cycle in step
+    startWorldTimeSync();
+
+    // Summarize far-away activity for each player
+    startInterestSummaries();
+
+    // Run timed rounds if match mode is on
+    startMatchSystem();
+
+    // Pick up edits to the config files without a restart
+    watchConfigFiles();
+  });
+
+  // Write out anything still waiting in the storage batch before the process goes away
+  process.on('exit', () => storage.close());
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      console.log(`Received ${signal}, saving data and shutting down`);
+      process.exit(0);
+    });
+  });
+}
+
+module.exports = {
+  CONFIG,
+  playerData,
+  loadModerationConfig,
+  filterText,
+  applyStatusEffect,
+  getActiveEffects,
+  getEffectMultiplier,
+  findConfigTypeMismatch,
+  validateGameConfig,
+  findGameConfigProblem,
+  canAdoptPlayerId,
+  migrateLegacyPlayer,
+  getClientAddress,
+  validateShot,
+  billboards,
+  decayBillboards,
+  limitPositionChange,
+  applyGameConfig,
+  applyConfigChanges,
+  purchaseItem
+};
@@ -0,0 +1,265 @@
+// storage.js - Durable storage for server data (JSON files or SQLite) - 2026-10-19
+//
+// The server keeps its state in memory and hands whole collections (billboards,
+// players, powerups, terrain, ...) to a store by name. Saves are batched: the latest
+// value of each collection is written once per batch, and a batch lands either
+// completely or not at all.
+
+const fs = require('fs');
+const path = require('path');
+
+// Default time to gather saves into one batch (ms)
+const DEFAULT_BATCH_DELAY = 1000;
+
+// Shared batching; backends implement load(name) and writeBatch(entries)
+class Storage {
+  constructor({ batchDelay = DEFAULT_BATCH_DELAY } = {}) {
+    this.batchDelay = batchDelay;
+    this.pending = new Map(); // collection name -> latest value to write
+    this.flushTimer = null;
+  }
+
+  // Queue a collection to be written with the next batch
+  save(name, value) {
+    this.pending.set(name, value);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.batchDelay);
+      // A pending batch shouldn't keep the process alive; close() flushes on exit
+      this.flushTimer.unref();
+    }
+  }
+
+  // Write everything queued so far, right now
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.size === 0) return;
+
+    const batch = this.pending;
+    this.pending = new Map();
+
+    try {
+      this.writeBatch(batch);
+    } catch (error) {
+      console.error('Error writing storage batch, will retry:', error);
+
+      // Retry with the next batch unless a newer value was queued meanwhile
+      for (const [name, value] of batch) {
+        if (!this.pending.has(name)) this.pending.set(name, value);
+      }
+      if (!this.flushTimer) {
+        this.flushTimer = setTimeout(() => this.flush(), this.batchDelay);
+        this.flushTimer.unref();
+      }
+    }
+  }
+
+  // Flush and release the backend
+  close() {
+    this.flush();
+  }
+}
+
+// One pretty-printed JSON file per collection (<dir>/<name>.json), the format the
+// server has always used. Files are replaced atomically, and each batch is written
+// to a journal first so a crash halfway through a batch is replayed on the next start.
+class JsonFileStorage extends Storage {
+  constructor({ dir, batchDelay } = {}) {
+    super({ batchDelay });
+    this.dir = dir;
+    this.journalFile = path.join(dir, 'storage-journal.json');
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    this.replayJournal();
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  // Stored value of a collection, or undefined if there is none
+  load(name) {
+    const file = this.fileFor(name);
+    if (!fs.existsSync(file)) return undefined;
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  writeBatch(batch) {
+    const entries = [...batch].map(([name, value]) => [name, JSON.stringify(value, null, 2)]);
+
+    // A single collection can't be half-applied, so it doesn't need the journal
+    if (entries.length > 1) {
+      writeFileAtomic(this.journalFile, JSON.stringify(entries));
+    }
+
+    for (const [name, contents] of entries) {
+      writeFileAtomic(this.fileFor(name), contents);
+    }
+
+    if (entries.length > 1) {
+      fs.unlinkSync(this.journalFile);
+    }
+  }
+
+  // Finish a batch that was interrupted; a journal that can't be read was never complete,
+  // so none of its files were touched and it can be dropped
+  replayJournal() {
+    if (!fs.existsSync(this.journalFile)) return;
+
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.journalFile, 'utf8'));
+      for (const [name, contents] of entries) {
+        writeFileAtomic(this.fileFor(name), contents);
+      }
+      console.log(`Replayed storage journal (${entries.length} collections)`);
+    } catch (error) {
+      console.error('Discarding incomplete storage journal:', error.message);
+    }
+    fs.unlinkSync(this.journalFile);
+  }
+}
+
+// An embedded SQLite database (<dir>/vandals.db). Every item of a collection is its own
+// row, so the data can be queried with SQLite's JSON functions, e.g.
+//   SELECT json_extract(value, '$.owner') FROM records WHERE collection = 'billboard-data'
+// Collections still in JSON files from the file backend are imported on first load.
+class SqliteStorage extends Storage {
+  constructor({ dir, batchDelay, fileName = 'vandals.db' } = {}) {
+    super({ batchDelay });
+    this.dir = dir;
+
+    // Optional dependency; createStorage falls back to JSON files without it
+    const Database = require('better-sqlite3');
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(path.join(dir, fileName));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = FULL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+    `);
+
+    this.statements = {
+      getCollection: this.db.prepare('SELECT kind FROM collections WHERE name = ?'),
+      getRecords: this.db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY position'),
+      clearRecords: this.db.prepare('DELETE FROM records WHERE collection = ?'),
+      insertRecord: this.db.prepare('INSERT INTO records (collection, key, position, value) VALUES (?, ?, ?, ?)'),
+      putCollection: this.db.prepare(`
+        INSERT INTO collections (name, kind, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET kind = excluded.kind, updated_at = excluded.updated_at
+      `)
+    };
+
+    // Every collection in a batch is replaced in one transaction
+    this.writeTransaction = this.db.transaction(batch => {
+      for (const [name, value] of batch) {
+        this.writeCollection(name, value);
+      }
+    });
+  }
+
+  load(name) {
+    const collection = this.statements.getCollection.get(name);
+    if (!collection) return this.importJsonFile(name);
+
+    const rows = this.statements.getRecords.all(name);
+    if (collection.kind === 'array') {
+      return rows.map(row => JSON.parse(row.value));
+    }
+    return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.value)]));
+  }
+
+  writeBatch(batch) {
+    this.writeTransaction(batch);
+  }
+
+  // Replace a collection's rows. Array items are keyed by their id, objects by their keys.
+  writeCollection(name, value) {
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [item && item.id, item, index]) : Object.entries(value || {});
+    const usedKeys = new Set();
+
+    this.statements.clearRecords.run(name);
+    entries.forEach(([key, item, index], position) => {
+      // Items without a usable id (or with a repeated one) fall back to their index
+      let rowKey = key === undefined || key === null ? String(index) : String(key);
+      if (usedKeys.has(rowKey)) rowKey = `#${position}`;
+      usedKeys.add(rowKey);
+
+      this.statements.insertRecord.run(name, rowKey, position, JSON.stringify(item));
+    });
+    this.statements.putCollection.run(name, isArray ? 'array' : 'object', Date.now());
+  }
+
+  // Bring over a collection written by the JSON file backend
+  importJsonFile(name) {
+    const file = path.join(this.dir, `${name}.json`);
+    if (!fs.existsSync(file)) return undefined;
+
+    const value = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (value === null || typeof value !== 'object') return value;
+
+    this.writeTransaction([[name, value]]);
+    console.log(`Imported ${name}.json into SQLite storage`);
+    return value;
+  }
+
+  close() {
+    super.close();
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+// Write a file so readers see either the old or the new contents, never a partial write
+function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+}
+
+// Open the configured backend ('json' or 'sqlite'). SQLite falls back to JSON files
+// if better-sqlite3 isn't installed or the database can't be opened.
+function createStorage({ backend = 'json', dir, batchDelay } = {}) {
+  if (backend === 'sqlite') {
+    try {
+      const storage = new SqliteStorage({ dir, batchDelay });
+      console.log(`Using SQLite storage in ${dir}`);
+      return storage;
+    } catch (error) {
+      console.error('SQLite storage unavailable, falling back to JSON files:', error.message);
+    }
+  } else if (backend !== 'json') {
+    console.warn(`Unknown storage backend "${backend}", using JSON files`);
+  }
+
+  console.log(`Using JSON file storage in ${dir}`);
+  return new JsonFileStorage({ dir, batchDelay });
+}
+
+module.exports = { createStorage, Storage, JsonFileStorage, SqliteStorage, writeFileAtomic };
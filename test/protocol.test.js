@@ -0,0 +1,32 @@
+// protocol.test.js - Tests for the shared message protocol - 2026-10-19
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Protocol = require('../code/js/utils/protocol');
+
+test('pick keeps only the fields a message type lists', () => {
+  const message = {
+    type: 'player_position',
+    username: 'Alice',
+    position: { x: 1, y: 2, z: 3, payload: 'x'.repeat(1000) },
+    quaternion: { x: 0, y: 0, z: 0, w: 1, extra: true },
+    timestamp: 123,
+    payload: 'x'.repeat(1000),
+    admin: true
+  };
+
+  assert.strictEqual(Protocol.validate(Protocol.CLIENT_MESSAGES, message), null);
+  assert.deepStrictEqual(Protocol.pick(Protocol.CLIENT_MESSAGES, message), {
+    type: 'player_position',
+    username: 'Alice',
+    position: { x: 1, y: 2, z: 3 },
+    quaternion: { x: 0, y: 0, z: 0, w: 1 },
+    timestamp: 123
+  });
+});
+
+test('pick leaves out optional fields that were not sent', () => {
+  const message = { type: 'player_join', username: 'Bob', timestamp: 5, colour: 'red' };
+
+  assert.deepStrictEqual(Protocol.pick(Protocol.CLIENT_MESSAGES, message), { type: 'player_join', username: 'Bob', timestamp: 5 });
+});
@@ -0,0 +1,384 @@
+// server.test.js - Tests for the server's pure helpers - 2026-10-19
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep anything the server persists out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vandals-server-'));
+process.env.DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const server = require('../server');
+
+// Player ids and legacy adoption
+
+test('canAdoptPlayerId accepts only legacy ids without a session or password', () => {
+  const { canAdoptPlayerId, playerData } = server;
+
+  assert.strictEqual(canAdoptPlayerId('player_12345_abcde'), true, 'unknown legacy id');
+  assert.strictEqual(canAdoptPlayerId('player_1234_abcde'), false);
+  assert.strictEqual(canAdoptPlayerId('player_12345_ABCDE'), false);
+  assert.strictEqual(canAdoptPlayerId('player_12345_abcde; drop'), false);
+  assert.strictEqual(canAdoptPlayerId(null), false);
+  assert.strictEqual(canAdoptPlayerId({}), false);
+
+  playerData.player_11111_aaaaa = { credits: 3 };
+  playerData.player_22222_bbbbb = { credits: 3, sessionIssuedAt: Date.now() };
+  playerData.player_33333_ccccc = { credits: 3, passwordHash: 'hash' };
+
+  assert.strictEqual(canAdoptPlayerId('player_11111_aaaaa'), true);
+  assert.strictEqual(canAdoptPlayerId('player_22222_bbbbb'), false, 'already issued a session');
+  assert.strictEqual(canAdoptPlayerId('player_33333_ccccc'), false, 'protected by a password');
+});
+
+test('migrateLegacyPlayer moves progress but not auth fields, and only once', () => {
+  const { migrateLegacyPlayer, playerData } = server;
+  const legacyId = 'player_44444_ddddd';
+  const playerId = 'issued-player';
+
+  playerData[legacyId] = { credits: 77, username: 'Legacy', accountName: 'legacy' };
+  playerData[playerId] = { credits: 0, sessionIssuedAt: Date.now() };
+
+  assert.strictEqual(migrateLegacyPlayer(legacyId, playerId, legacyId), true);
+  assert.strictEqual(playerData[legacyId], undefined);
+  assert.strictEqual(playerData[playerId].credits, 77);
+  assert.strictEqual(playerData[playerId].username, 'Legacy');
+  assert.strictEqual(playerData[playerId].accountName, undefined);
+  assert.ok(playerData[playerId].sessionIssuedAt, 'keeps its own session');
+
+  assert.strictEqual(migrateLegacyPlayer(legacyId, playerId, legacyId), false, 'nothing left to migrate');
+});
+
+test('migrateLegacyPlayer refuses ids that cannot be adopted', () => {
+  const { migrateLegacyPlayer, playerData } = server;
+
+  playerData.player_55555_eeeee = { credits: 9, sessionIssuedAt: Date.now() };
+  playerData.player_66666_fffff = { credits: 9, isBot: true };
+
+  assert.strictEqual(migrateLegacyPlayer('player_55555_eeeee', 'someone', 'player_55555_eeeee'), false);
+  assert.strictEqual(migrateLegacyPlayer('player_66666_fffff', 'someone', 'player_66666_fffff'), false);
+  assert.strictEqual(migrateLegacyPlayer('player_77777_ggggg', 'someone', 'player_77777_ggggg'), false, 'no record');
+  assert.strictEqual(migrateLegacyPlayer('player_55555_eeeee', 'player_55555_eeeee', 'player_55555_eeeee'), false);
+  assert.strictEqual(playerData.player_55555_eeeee.credits, 9);
+});
+
+test('migrateLegacyPlayer refuses a legacy id the connection did not present at session start', () => {
+  const { migrateLegacyPlayer, playerData } = server;
+  const victimId = 'player_88888_hhhhh';
+
+  // Player ids are public (billboards, leaderboard), so another session can name this one
+  playerData[victimId] = { credits: 500, username: 'Victim' };
+  playerData['attacker-player'] = { credits: 0, sessionIssuedAt: Date.now() };
+
+  assert.strictEqual(migrateLegacyPlayer(victimId, 'attacker-player', undefined), false, 'no legacy id presented');
+  assert.strictEqual(migrateLegacyPlayer(victimId, 'attacker-player', 'player_99999_iiiii'), false, 'a different legacy id presented');
+  assert.strictEqual(playerData[victimId].credits, 500);
+  assert.strictEqual(playerData['attacker-player'].credits, 0);
+});
+
+// Client addresses
+
+test('getClientAddress takes the address the proxy appended, not one the client wrote', (t) => {
+  const { getClientAddress } = server;
+  const previous = process.env.TRUST_PROXY;
+  t.after(() => {
+    if (previous === undefined) delete process.env.TRUST_PROXY;
+    else process.env.TRUST_PROXY = previous;
+  });
+  const request = (forwardedFor) => ({
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+    socket: { remoteAddress: '10.0.0.1' }
+  });
+
+  delete process.env.TRUST_PROXY;
+  assert.strictEqual(getClientAddress(request('1.2.3.4')), '10.0.0.1', 'header ignored without a proxy');
+
+  process.env.TRUST_PROXY = '1';
+  assert.strictEqual(getClientAddress(request('203.0.113.7')), '203.0.113.7');
+  assert.strictEqual(getClientAddress(request('1.2.3.4, 203.0.113.7')), '203.0.113.7', 'spoofed entry ignored');
+  assert.strictEqual(getClientAddress(request()), '10.0.0.1');
+
+  process.env.TRUST_PROXY = '2';
+  assert.strictEqual(getClientAddress(request('1.2.3.4, 203.0.113.7, 10.0.0.2')), '203.0.113.7');
+
+  process.env.TRUST_PROXY = 'true';
+  assert.strictEqual(getClientAddress(request('1.2.3.4,203.0.113.7')), '203.0.113.7');
+});
+
+// Shots
+
+test('validateShot rejects shots until the server knows where the player is', () => {
+  const { CONFIG, validateShot } = server;
+  const origin = { x: 0, y: CONFIG.world.radius + 2, z: 0 };
+  const shot = { playerId: 'shooting-player', origin, direction: { x: 1, y: 0, z: 0 } };
+
+  assert.strictEqual(validateShot({}, shot), 'Player position unknown');
+  assert.strictEqual(validateShot({ lastKnownPosition: { ...origin, x: 1 } }, shot), null);
+  assert.strictEqual(validateShot({ lastKnownPosition: { ...origin, x: 80 } }, shot), 'Shot origin too far from player position');
+});
+
+// Billboard decay
+
+test('decayBillboards starts the clock of billboards from before decay existed now', () => {
+  const { CONFIG, billboards, decayBillboards } = server;
+  const startSize = CONFIG.billboard.startSize;
+  const billboard = {
+    id: 'pre-decay-billboard',
+    position: { x: 0, y: CONFIG.world.radius, z: 0 },
+    width: startSize,
+    height: startSize,
+    timestamp: Date.now() - 365 * 24 * 60 * 60 * 1000
+  };
+  billboards.push(billboard);
+
+  const before = Date.now();
+  decayBillboards();
+
+  assert.ok(billboards.includes(billboard), 'not decayed away at startup');
+  assert.strictEqual(billboard.width, startSize);
+  assert.strictEqual(billboard.height, startSize);
+  assert.ok(billboard.lastTendedAt >= before);
+
+  billboards.splice(billboards.indexOf(billboard), 1);
+});
+
+// Position reports
+
+test('limitPositionChange takes the first report and caps later ones at the player\'s top speed', () => {
+  const { CONFIG, limitPositionChange } = server;
+  const socket = {};
+  const start = { x: 0, y: CONFIG.world.radius, z: 0 };
+  const far = { x: 150, y: CONFIG.world.radius, z: 0 };
+
+  assert.deepStrictEqual(limitPositionChange(socket, 'moving-player', start, 0), start, 'spawn point');
+  socket.lastKnownPosition = start;
+
+  // A powerup's coordinates reported right away: cut down to the short burst allowance
+  const jumped = limitPositionChange(socket, 'moving-player', far, 100);
+  assert.ok(jumped.x < 50 && jumped.x > 0);
+  assert.strictEqual(jumped.y, start.y);
+  socket.lastKnownPosition = jumped;
+
+  // Walking speed over a second is always accepted
+  const walked = { ...jumped, x: jumped.x + CONFIG.player.runSpeed };
+  assert.deepStrictEqual(limitPositionChange(socket, 'moving-player', walked, 1100), walked);
+});
+
+test('limitPositionChange gives no extra distance for sending reports faster', () => {
+  const { CONFIG, limitPositionChange } = server;
+  const socket = {};
+  let position = { x: 0, y: CONFIG.world.radius, z: 0 };
+  limitPositionChange(socket, 'spamming-player', position, 0);
+  socket.lastKnownPosition = position;
+
+  for (let time = 1; time <= 1000; time++) {
+    position = limitPositionChange(socket, 'spamming-player', { ...position, x: position.x + 10 }, time);
+    socket.lastKnownPosition = position;
+  }
+
+  // One second at top speed plus the burst, however many reports it was split into
+  const topSpeed = CONFIG.player.runSpeed * 4;
+  assert.ok(position.x <= topSpeed * 3 + 3 + 1e-9, `moved ${position.x}`);
+});
+
+// Text filter
+
+test('filterText masks blocked words, links and long repeats from the moderation config', () => {
+  const { loadModerationConfig, filterText } = server;
+  loadModerationConfig();
+
+  assert.deepStrictEqual(filterText('Mars or bust', 100), { text: 'Mars or bust', flagged: false });
+  assert.deepStrictEqual(filterText('SHIT happens', 100), { text: '**** happens', flagged: true });
+  assert.deepStrictEqual(filterText('so shitty', 100), { text: 'so ******', flagged: true });
+  assert.deepStrictEqual(filterText('visit https://spam.example now', 100), { text: `visit ${'*'.repeat('https://spam.example'.length)} now`, flagged: true });
+  assert.deepStrictEqual(filterText('aaaaaaaaaaaa', 100), { text: '************', flagged: true });
+  assert.deepStrictEqual(filterText('aaaaaaaaa', 100), { text: 'aaaaaaaaa', flagged: false });
+});
+
+test('filterText trims to the length before filtering and tolerates non-strings', () => {
+  const { filterText } = server;
+
+  assert.deepStrictEqual(filterText('hello shit', 5), { text: 'hello', flagged: false });
+  assert.deepStrictEqual(filterText(undefined, 10), { text: '', flagged: false });
+  assert.deepStrictEqual(filterText(12345, 3), { text: '123', flagged: false });
+});
+
+// Config validation
+
+test('findConfigTypeMismatch names the first value whose type differs from the defaults', () => {
+  const { findConfigTypeMismatch } = server;
+  const defaults = { world: { radius: 100, name: 'Mars' }, teams: { factions: [] }, enabled: false };
+
+  assert.strictEqual(findConfigTypeMismatch(defaults, { world: { radius: 50 }, enabled: true }, ''), null);
+  assert.strictEqual(findConfigTypeMismatch(defaults, { world: { radius: '50' } }, ''), 'world.radius must be a number');
+  assert.strictEqual(findConfigTypeMismatch(defaults, { world: { radius: Infinity } }, ''), 'world.radius must be a finite number');
+  assert.strictEqual(findConfigTypeMismatch(defaults, { world: { name: 3 } }, ''), 'world.name must be a string');
+  assert.strictEqual(findConfigTypeMismatch(defaults, { teams: { factions: {} } }, ''), 'teams.factions must be an array');
+  assert.strictEqual(findConfigTypeMismatch(defaults, { world: [] }, ''), 'world must be an object');
+  assert.strictEqual(findConfigTypeMismatch(defaults, null, ''), 'configuration must be an object');
+});
+
+test('findConfigTypeMismatch leaves settings the server does not know alone', () => {
+  const { findConfigTypeMismatch } = server;
+
+  assert.strictEqual(findConfigTypeMismatch({ world: { radius: 100 } }, { graphics: 'high', world: { fog: true } }, ''), null);
+});
+
+test('validateGameConfig accepts the defaults and checks ranges and related settings', () => {
+  const { CONFIG, validateGameConfig } = server;
+  const withChange = (change) => {
+    const config = JSON.parse(JSON.stringify(CONFIG));
+    change(config);
+    return validateGameConfig(config);
+  };
+
+  assert.strictEqual(withChange(() => {}), null);
+  assert.strictEqual(withChange(config => { config.network.summaryInterval = 0; }), 'network.summaryInterval must be a number (at least 100)');
+  assert.strictEqual(withChange(config => { config.player.billboardSlots = 1.5; }), 'player.billboardSlots must be a whole number (at least 1)');
+  assert.strictEqual(withChange(config => { config.match.roundDuration = -1; }), 'match.roundDuration must be a number (at least 1)');
+  assert.strictEqual(withChange(config => { config.billboard.maxSize = config.billboard.startSize / 2; }), 'billboard.maxSize must be at least billboard.startSize');
+  assert.strictEqual(withChange(config => { config.network.gridCellSize = 181; }), 'network.gridCellSize must be at most 180 degrees');
+  assert.strictEqual(withChange(config => { config.match.endAction = 'delete'; }), "match.endAction must be 'reset' or 'archive'");
+});
+
+test('validateGameConfig checks the faction list', () => {
+  const { CONFIG, validateGameConfig } = server;
+  const withFactions = (factions) => validateGameConfig({ ...JSON.parse(JSON.stringify(CONFIG)), teams: { factions } });
+
+  assert.strictEqual(withFactions([]), 'teams.factions must list at least one faction');
+  assert.strictEqual(withFactions([{ name: 'Red', color: '#f00' }]), 'every faction in teams.factions needs an id');
+  assert.strictEqual(withFactions([{ id: 'red', color: '#f00' }]), 'teams.factions red needs a name and a color');
+  assert.strictEqual(withFactions([{ id: 'red', name: 'Red', color: '#f00' }, { id: 'red', name: 'Also red', color: '#f11' }]), 'teams.factions lists red twice');
+  assert.strictEqual(withFactions([{ id: 'red', name: 'Red', color: '#f00' }]), null);
+});
+
+test('findGameConfigProblem checks a partial change against the current config', () => {
+  const { CONFIG, findGameConfigProblem } = server;
+  const before = JSON.stringify(CONFIG);
+
+  assert.strictEqual(findGameConfigProblem({ economy: { mcPerDamage: 2 } }), null);
+  assert.strictEqual(findGameConfigProblem({ economy: { mcPerDamage: 'two' } }), 'economy.mcPerDamage must be a number');
+  assert.strictEqual(findGameConfigProblem({ billboard: { maxSize: CONFIG.billboard.startSize / 2 } }), 'billboard.maxSize must be at least billboard.startSize');
+  assert.strictEqual(JSON.stringify(CONFIG), before, 'checking does not apply the change');
+});
+
+test('applyGameConfig puts settings removed from the file back to their defaults', (t) => {
+  const { CONFIG, applyGameConfig } = server;
+  const original = JSON.parse(JSON.stringify(CONFIG));
+  t.after(() => applyGameConfig(original));
+
+  assert.strictEqual(applyGameConfig({ economy: { mcPerDamage: 7 }, world: { maxBillboards: 10 } }), null);
+  assert.strictEqual(CONFIG.economy.mcPerDamage, 7);
+  assert.strictEqual(CONFIG.world.maxBillboards, 10);
+
+  assert.strictEqual(applyGameConfig({ world: { radius: original.world.radius } }), null);
+  assert.strictEqual(CONFIG.economy.mcPerDamage, original.economy.mcPerDamage);
+  assert.strictEqual(CONFIG.world.maxBillboards, undefined, 'client-only settings go too');
+
+  assert.strictEqual(applyGameConfig({ economy: { mcPerDamage: -1 } }), 'economy.mcPerDamage must be a number (at least 0)');
+  assert.strictEqual(CONFIG.economy.mcPerDamage, original.economy.mcPerDamage, 'an invalid file changes nothing');
+});
+
+test('applyConfigChanges restarts the decay job when the billboard settings change', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: 1000000 });
+  const { CONFIG, billboards, applyGameConfig, applyConfigChanges } = server;
+  const original = JSON.parse(JSON.stringify(CONFIG));
+  const startSize = CONFIG.billboard.startSize;
+  const billboard = {
+    id: 'reload-decay-billboard',
+    position: { x: 0, y: CONFIG.world.radius, z: 0 },
+    width: startSize,
+    height: startSize,
+    lastTendedAt: Date.now()
+  };
+  billboards.push(billboard);
+  t.after(() => {
+    billboards.splice(billboards.indexOf(billboard), 1);
+    applyGameConfig(original);
+  });
+
+  assert.strictEqual(applyGameConfig({ billboard: { decayInterval: 60 } }), null);
+  applyConfigChanges(original);
+
+  // Decays on the new one-minute interval instead of waiting for a restart
+  t.mock.timers.tick(60000);
+  assert.ok(Math.abs(billboard.width - (startSize - CONFIG.billboard.decayRate)) < 1e-9, `width ${billboard.width}`);
+});
+
+// Shop
+
+test('purchaseItem sells billboard slots when the config does not set a maximum', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { CONFIG, playerData, purchaseItem } = server;
+  const maxBillboardSlots = CONFIG.player.maxBillboardSlots;
+  t.after(() => { CONFIG.player.maxBillboardSlots = maxBillboardSlots; });
+  delete CONFIG.player.maxBillboardSlots;
+
+  playerData['slot-buyer'] = { credits: CONFIG.economy.billboardSlotCost * 10 };
+  const result = purchaseItem('slot-buyer', 'billboard_slot');
+
+  assert.strictEqual(result.success, true, result.error);
+  assert.strictEqual(result.billboardSlots, CONFIG.player.billboardSlots + 1);
+});
+
+// Status effects
+
+test('applyStatusEffect refreshes an effect by default', () => {
+  const { applyStatusEffect } = server;
+  const config = { effectDuration: 1000, stacking: 'refresh' };
+
+  applyStatusEffect('refresh-player', 'speed_boost', 1.5, config, 10000);
+  const effect = applyStatusEffect('refresh-player', 'speed_boost', 1.5, config, 10500);
+
+  assert.deepStrictEqual(effect, { amount: 1.5, stacks: 1, expiresAt: 11500 });
+});
+
+test('applyStatusEffect extends the time left under the extend rule', () => {
+  const { applyStatusEffect } = server;
+  const config = { effectDuration: 1000, stacking: 'extend' };
+
+  applyStatusEffect('extend-player', 'rapid_fire', 2, config, 10000);
+  const effect = applyStatusEffect('extend-player', 'rapid_fire', 2, config, 10500);
+
+  assert.deepStrictEqual(effect, { amount: 2, stacks: 1, expiresAt: 12000 });
+});
+
+test('applyStatusEffect adds stacks up to maxStacks under the stack rule', () => {
+  const { applyStatusEffect } = server;
+  const config = { effectDuration: 1000, stacking: 'stack', maxStacks: 2 };
+
+  applyStatusEffect('stack-player', 'shield', 0.5, config, 10000);
+  assert.strictEqual(applyStatusEffect('stack-player', 'shield', 0.5, config, 10100).stacks, 2);
+  assert.deepStrictEqual(applyStatusEffect('stack-player', 'shield', 0.5, config, 10200), { amount: 0.5, stacks: 2, expiresAt: 11200 });
+});
+
+test('applyStatusEffect starts over once the previous effect has worn off', () => {
+  const { applyStatusEffect, getActiveEffects } = server;
+  const config = { effectDuration: 1000, stacking: 'extend' };
+
+  applyStatusEffect('expired-player', 'speed_boost', 1.5, config, 10000);
+  assert.deepStrictEqual(getActiveEffects('expired-player', 11000), {}, 'gone at its expiry time');
+
+  const effect = applyStatusEffect('expired-player', 'speed_boost', 1.5, config, 12000);
+  assert.strictEqual(effect.expiresAt, 13000);
+});
+
+test('getEffectMultiplier scales with stacks and never goes below zero', () => {
+  const { applyStatusEffect, getEffectMultiplier } = server;
+  const now = Date.now();
+  const config = { effectDuration: 60000, stacking: 'stack', maxStacks: 3 };
+
+  assert.strictEqual(getEffectMultiplier('multiplier-player', 'shield'), 1, 'no effect');
+
+  applyStatusEffect('multiplier-player', 'speed_boost', 1.5, config, now);
+  applyStatusEffect('multiplier-player', 'speed_boost', 1.5, config, now);
+  assert.strictEqual(getEffectMultiplier('multiplier-player', 'speed_boost'), 2);
+
+  for (let i = 0; i < 3; i++) {
+    applyStatusEffect('multiplier-player', 'shield', 0.5, config, now);
+  }
+  assert.strictEqual(getEffectMultiplier('multiplier-player', 'shield'), 0);
+});
@@ -0,0 +1,153 @@
+// storage.test.js - Tests for the batched JSON file and SQLite storage - 2026-10-19
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, Storage, JsonFileStorage, SqliteStorage, writeFileAtomic } = require('../storage');
+
+// A fresh directory per test, removed again afterwards
+function makeTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vandals-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  hasSqlite = false;
+}
+
+test('writeFileAtomic replaces a file without leaving a temp file behind', (t) => {
+  const dir = makeTempDir(t);
+  const file = path.join(dir, 'data.json');
+
+  writeFileAtomic(file, 'old');
+  writeFileAtomic(file, 'new');
+
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'new');
+  assert.deepStrictEqual(fs.readdirSync(dir), ['data.json']);
+});
+
+test('JsonFileStorage writes the latest value of each collection when flushed', (t) => {
+  const dir = makeTempDir(t);
+  const storage = new JsonFileStorage({ dir, batchDelay: 60000 });
+
+  storage.save('players', { a: 1 });
+  storage.save('players', { a: 2 });
+  assert.strictEqual(storage.load('players'), undefined, 'nothing is written before the batch');
+
+  storage.flush();
+  assert.deepStrictEqual(storage.load('players'), { a: 2 });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'players.json'), 'utf8')), { a: 2 });
+});
+
+test('JsonFileStorage close() writes whatever is still queued', (t) => {
+  const dir = makeTempDir(t);
+  const storage = new JsonFileStorage({ dir, batchDelay: 60000 });
+
+  storage.save('billboards', [{ id: 'b1' }]);
+  storage.close();
+
+  assert.deepStrictEqual(new JsonFileStorage({ dir }).load('billboards'), [{ id: 'b1' }]);
+});
+
+test('JsonFileStorage removes the journal once a batch has landed', (t) => {
+  const dir = makeTempDir(t);
+  const storage = new JsonFileStorage({ dir, batchDelay: 60000 });
+
+  storage.save('players', { a: 1 });
+  storage.save('billboards', []);
+  storage.flush();
+
+  assert.ok(!fs.existsSync(path.join(dir, 'storage-journal.json')));
+  assert.deepStrictEqual(storage.load('players'), { a: 1 });
+  assert.deepStrictEqual(storage.load('billboards'), []);
+});
+
+test('JsonFileStorage replays a batch interrupted after the journal was written', (t) => {
+  const dir = makeTempDir(t);
+  fs.writeFileSync(path.join(dir, 'players.json'), JSON.stringify({ a: 'old' }));
+  fs.writeFileSync(path.join(dir, 'storage-journal.json'), JSON.stringify([
+    ['players', JSON.stringify({ a: 'new' })],
+    ['billboards', JSON.stringify([{ id: 'b1' }])]
+  ]));
+
+  const storage = new JsonFileStorage({ dir });
+
+  assert.deepStrictEqual(storage.load('players'), { a: 'new' });
+  assert.deepStrictEqual(storage.load('billboards'), [{ id: 'b1' }]);
+  assert.ok(!fs.existsSync(path.join(dir, 'storage-journal.json')));
+});
+
+test('JsonFileStorage drops a journal that was never completely written', (t) => {
+  const dir = makeTempDir(t);
+  fs.writeFileSync(path.join(dir, 'players.json'), JSON.stringify({ a: 'old' }));
+  fs.writeFileSync(path.join(dir, 'storage-journal.json'), '[["players", "{\\"a\\"');
+
+  const storage = new JsonFileStorage({ dir });
+
+  assert.deepStrictEqual(storage.load('players'), { a: 'old' });
+  assert.ok(!fs.existsSync(path.join(dir, 'storage-journal.json')));
+});
+
+test('Storage keeps a failed batch for the next flush unless a newer value was queued', () => {
+  const storage = new Storage({ batchDelay: 60000 });
+  const written = [];
+  let failNext = true;
+  storage.writeBatch = (batch) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('disk full');
+    }
+    written.push(...batch);
+  };
+
+  storage.save('players', 'first');
+  storage.save('billboards', 'first');
+  storage.flush();
+  assert.deepStrictEqual(written, []);
+
+  storage.save('players', 'second');
+  storage.flush();
+  assert.deepStrictEqual(new Map(written), new Map([['players', 'second'], ['billboards', 'first']]));
+
+  storage.close();
+});
+
+test('createStorage falls back to JSON files for an unknown backend', (t) => {
+  const dir = makeTempDir(t);
+  assert.ok(createStorage({ backend: 'redis', dir }) instanceof JsonFileStorage);
+});
+
+test('SqliteStorage round-trips arrays in order and objects by key', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, (t) => {
+  const dir = makeTempDir(t);
+  const storage = new SqliteStorage({ dir, batchDelay: 60000 });
+  t.after(() => storage.close());
+
+  const billboards = [{ id: 'b2', text: 'second' }, { id: 'b1', text: 'first' }, { id: 'b1', text: 'repeated id' }, { text: 'no id' }];
+  storage.save('billboards', billboards);
+  storage.save('players', { p1: { credits: 5 }, p2: { credits: 0 } });
+  storage.flush();
+
+  assert.deepStrictEqual(storage.load('billboards'), billboards);
+  assert.deepStrictEqual(storage.load('players'), { p1: { credits: 5 }, p2: { credits: 0 } });
+  assert.strictEqual(storage.load('missing'), undefined);
+});
+
+test('SqliteStorage imports collections left in JSON files', { skip: !hasSqlite && 'better-sqlite3 is not installed' }, (t) => {
+  const dir = makeTempDir(t);
+  fs.writeFileSync(path.join(dir, 'players.json'), JSON.stringify({ p1: { credits: 7 } }));
+
+  const storage = new SqliteStorage({ dir });
+  t.after(() => storage.close());
+
+  assert.deepStrictEqual(storage.load('players'), { p1: { credits: 7 } });
+
+  // Imported once; later changes to the file no longer matter
+  fs.writeFileSync(path.join(dir, 'players.json'), JSON.stringify({ p1: { credits: 0 } }));
+  assert.deepStrictEqual(storage.load('players'), { p1: { credits: 7 } });
+});